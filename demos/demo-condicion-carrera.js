@@ -1,6 +1,10 @@
 const axios = require('axios');
 
 const API_GATEWAY = 'http://localhost:3000';
+// Demos book on behalf of several users and flip the chaos switches, so they
+// need the admin role
+const API_KEY = process.env.API_KEY || 'dev-admin-key';
+axios.defaults.headers.common['X-API-Key'] = API_KEY;
 const INVENTARIO_SERVICE = 'http://localhost:3002';
 
 async function sleep(ms) {
@@ -1,6 +1,10 @@
 const axios = require('axios');
 
 const API_GATEWAY = 'http://localhost:3000';
+// Quotas are per tier, so the flood is sent as a customer to run into the
+// customer limits (100 req/min, 20 reservations/min)
+const API_KEY = process.env.API_KEY || 'dev-customer-key';
+axios.defaults.headers.common['X-API-Key'] = API_KEY;
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
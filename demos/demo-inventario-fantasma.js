@@ -1,7 +1,10 @@
 const axios = require('axios');
 
 const API_GATEWAY = 'http://localhost:3000';
-const INVENTARIO_SERVICE = 'http://localhost:3002';
+// Demos book on behalf of several users and flip the chaos switches, so they
+// need the admin role
+const API_KEY = process.env.API_KEY || 'dev-admin-key';
+axios.defaults.headers.common['X-API-Key'] = API_KEY;
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -31,7 +34,7 @@ async function demo() {
     console.log('\nSTEP 2: Simulating inventory service OUTAGE\n');
 
     try {
-      await axios.post(`${INVENTARIO_SERVICE}/admin/simular-fallo`, {
+      await axios.post(`${API_GATEWAY}/api/admin/simular-fallo`, {
         activar: true
       });
       console.log('Inventory service DOWN (not responding to requests)');
@@ -88,7 +91,7 @@ async function demo() {
     console.log('\nSTEP 5: Restoring inventory service\n');
 
     try {
-      await axios.post(`${INVENTARIO_SERVICE}/admin/simular-fallo`, {
+      await axios.post(`${API_GATEWAY}/api/admin/simular-fallo`, {
         activar: false
       });
       console.log('Inventory service RESTORED');
@@ -1,7 +1,10 @@
 const axios = require('axios');
 
 const API_GATEWAY = 'http://localhost:3000';
-const PAGOS_SERVICE = 'http://localhost:3003';
+// Demos book on behalf of several users and flip the chaos switches, so they
+// need the admin role
+const API_KEY = process.env.API_KEY || 'dev-admin-key';
+axios.defaults.headers.common['X-API-Key'] = API_KEY;
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -56,7 +59,7 @@ async function demo() {
 
     console.log('\nSTEP 2: Enabling EXTREME LATENCY in payment service\n');
     
-    await axios.post(`${PAGOS_SERVICE}/admin/simular-latencia`, {
+    await axios.post(`${API_GATEWAY}/api/admin/simular-latencia`, {
       activar: true,
       latenciaMs: 20000
     });
@@ -128,7 +131,7 @@ async function demo() {
 
     console.log('\nSTEP 6: Restoring payment service to normal speed\n');
     
-    await axios.post(`${PAGOS_SERVICE}/admin/simular-latencia`, {
+    await axios.post(`${API_GATEWAY}/api/admin/simular-latencia`, {
       activar: false
     });
     
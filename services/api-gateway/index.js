@@ -3,49 +3,149 @@ const path = require('path');
 const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const Redis = require('ioredis');
 const logger = require('../../shared/logger');
-const { createResilientHttpClient, Bulkhead } = require('../../shared/resilience-patterns');
+const { createResilientHttpClient, Bulkhead, estadoBreaker } = require('../../shared/resilience-patterns');
+const { idempotencia, conClaveIdempotencia, CABECERA_IDEMPOTENCIA } = require('../../shared/idempotencia');
+const { montarTrazas } = require('../../shared/trazas');
+const { ROLES, autenticacion, requerirRol, cabeceraIdentidad } = require('../../shared/autenticacion');
+const { montarMetricas, registrarEstadoRedis } = require('../../shared/prometheus');
+const { validar, rechazarJsonInvalido } = require('../../shared/validacion');
+const {
+  CREAR_RESERVA,
+  MODIFICAR_RESERVA,
+  PARAMS_RESERVA,
+  ARTICULO_CARRITO,
+  CREAR_CARRITO,
+  PARAMS_CARRITO,
+  PARAMS_ARTICULO_CARRITO,
+  PAGAR_CARRITO,
+  CHECKIN,
+  PARAMS_USUARIO,
+  CONSULTA_RESERVAS,
+  CONSULTA_RESERVAS_USUARIO,
+  PARAMS_EVENTO,
+  CONSULTA_ASIENTOS,
+  UNIRSE_LISTA_ESPERA,
+  CONSULTA_LISTA_ESPERA,
+  EVENTO,
+  EVENTO_PARCIAL,
+  PROMOCION,
+  PARAMS_PROMOCION,
+  SIMULACION_FALLO,
+  SIMULACION_LATENCIA,
+  CONFIGURAR_EVENTO,
+  PARAMS_DEMO,
+  PARAMETROS_DEMO
+} = require('../../shared/esquemas');
+const { MetricasVentana } = require('./metricas');
+const { ESTADOS, RESUMEN, MonitorSalud } = require('./salud');
+const { montarOpenApi } = require('./openapi');
+const { AlmacenLimites, limitarFallosAutenticacion, claveLimite, nivelLimite, leerCuotas, describirCuotas } = require('./limites');
+
+const PORT = process.env.PORT || 3000;
+const RESERVAS_URL = process.env.RESERVAS_URL || 'http://localhost:3001';
+const INVENTARIO_URL = process.env.INVENTARIO_URL || 'http://localhost:3002';
+const PAGOS_URL = process.env.PAGOS_URL || 'http://localhost:3003';
+const NOTIFICACIONES_URL = process.env.NOTIFICACIONES_URL || 'http://localhost:3004';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const IDEMPOTENCIA_TTL_SEGUNDOS = parseInt(process.env.IDEMPOTENCIA_TTL_SEGUNDOS || '86400', 10);
+const SALUD_TIMEOUT_MS = parseInt(process.env.SALUD_TIMEOUT_MS || '2000', 10);
+const LIMITE_VENTANA_MS = parseInt(process.env.LIMITE_VENTANA_SEGUNDOS || '60', 10) * 1000;
+const CUOTAS_GENERAL = leerCuotas(process.env.CUOTAS_GENERAL || 'anonimo:60,customer:100,operator:300,admin:300', 'CUOTAS_GENERAL');
+const CUOTAS_RESERVAS = leerCuotas(process.env.CUOTAS_RESERVAS || 'customer:20,operator:60,admin:60', 'CUOTAS_RESERVAS');
+const AUTENTICACION_FALLOS_MAX = parseInt(process.env.AUTENTICACION_FALLOS_MAX || '20', 10);
 
 const app = express();
 app.use(express.json());
+app.use(rechazarJsonInvalido);
 app.use(cors());
 app.use(express.static(path.join(__dirname, '../../public')));
+montarTrazas(app, 'api-gateway', {
+  fuentes: [RESERVAS_URL, INVENTARIO_URL, PAGOS_URL, NOTIFICACIONES_URL]
+});
+montarMetricas(app, 'api-gateway');
 
-const PORT = process.env.PORT || 3000;
-const RESERVAS_URL = process.env.RESERVAS_URL || 'http://localhost:3001';
-const INVENTARIO_URL = process.env.INVENTARIO_URL || 'http://localhost:3002';
-const PAGOS_URL = process.env.PAGOS_URL || 'http://localhost:3003';
+// Dashboard polling and health probes still get per-route numbers, but are
+// left out of the headline latency and request rate
+const metricas = new MetricasVentana({
+  excluirDelResumen: [
+    'GET /metrics', 'GET /api/metrics', 'GET /health',
+    'GET /api/health', 'GET /api/health/live', 'GET /api/health/ready'
+  ]
+});
+app.use(metricas.middleware());
+
+const redis = new Redis(REDIS_URL, {
+  retryStrategy: () => null,
+  enableOfflineQueue: false,
+  lazyConnect: true
+});
+
+redis.connect().then(() => {
+  logger.info('Redis connected successfully');
+}).catch((error) => {
+  logger.warn(`Redis not available: ${error.message}. Idempotency keys and rate limits kept in memory.`);
+});
+
+registrarEstadoRedis(() => redis.status === 'ready');
+
+function solicitante(req) {
+  return req.identidad ? `${req.identidad.usuario} (${req.identidad.metodo})` : `IP ${req.ip}`;
+}
+
+function segundosHasta(fecha) {
+  return Math.max(Math.ceil((fecha.getTime() - Date.now()) / 1000), 0);
+}
 
 const limiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 100,
-  message: {
-    error: 'Too many requests from this IP. Please try again later.',
-    retryAfter: '60 seconds'
-  },
-  standardHeaders: true,
+  windowMs: LIMITE_VENTANA_MS,
+  limit: req => CUOTAS_GENERAL[nivelLimite(req)],
+  store: new AlmacenLimites({ redis, prefijo: 'general' }),
+  keyGenerator: claveLimite,
+  identifier: 'general',
+  standardHeaders: 'draft-8',
   legacyHeaders: false,
   handler: (req, res) => {
-    logger.warn(`RATE LIMIT EXCEEDED: IP ${req.ip} - ${req.method} ${req.path}`);
+    logger.warn(`RATE LIMIT EXCEEDED: ${solicitante(req)} - ${req.method} ${req.path}`);
+    metricas.registrarRechazo('general');
     res.status(429).json({
       error: 'Too many requests. Please wait before retrying.',
-      retryAfter: 60
+      retryAfter: segundosHasta(req.rateLimit.resetTime)
     });
   }
 });
 
 const strictLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 20,
-  message: {
-    error: 'Reservation limit exceeded. Maximum 20 reservations per minute.',
-    retryAfter: '60 seconds'
-  },
+  windowMs: LIMITE_VENTANA_MS,
+  limit: req => CUOTAS_RESERVAS[nivelLimite(req)],
+  store: new AlmacenLimites({ redis, prefijo: 'reservas' }),
+  keyGenerator: claveLimite,
+  identifier: 'reservas',
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
   handler: (req, res) => {
-    logger.error(`CRITICAL RATE LIMIT: IP ${req.ip} attempted too many reservations`);
+    logger.error(`CRITICAL RATE LIMIT: ${solicitante(req)} attempted too many reservations`);
+    metricas.registrarRechazo('reservas');
     res.status(429).json({
       error: 'Reservation limit exceeded. Please wait before creating more reservations.',
-      retryAfter: 60
+      retryAfter: segundosHasta(req.rateLimit.resetTime)
+    });
+  }
+});
+
+const limitadorAutenticacion = limitarFallosAutenticacion({
+  redis,
+  maximo: AUTENTICACION_FALLOS_MAX,
+  ventanaMs: LIMITE_VENTANA_MS,
+  alExceder: (req, res, resetTime) => {
+    const retryAfter = segundosHasta(resetTime);
+    logger.error(`AUTHENTICATION RATE LIMIT: IP ${req.ip} has too many failed authentication attempts`);
+    metricas.registrarRechazo('autenticacion');
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Too many failed authentication attempts. Please wait before retrying.',
+      retryAfter
     });
   }
 });
@@ -80,8 +180,36 @@ const inventarioCache = {
   timestamp: null
 };
 
+// Failed credentials are counted per IP before they are checked; the quotas
+// are counted once the caller is known, so they key on the user or API key
+// rather than on an IP many customers may share
+app.use(limitadorAutenticacion);
+app.use(autenticacion());
 app.use(limiter);
 
+// Ownership of each reservation is enforced by the reservas service with the
+// forwarded identity; the gateway only turns anonymous callers away
+app.use('/api/reservas', requerirRol());
+app.use('/api/carritos', requerirRol());
+app.use('/api/usuarios', requerirRol());
+app.use('/api/admin', requerirRol(ROLES.ADMIN));
+app.use('/demo', requerirRol(ROLES.ADMIN));
+
+app.use(idempotencia({
+  redis,
+  servicio: 'api-gateway',
+  ttlSegundos: IDEMPOTENCIA_TTL_SEGUNDOS,
+  porUsuario: true
+}));
+
+// Passes the caller's key downstream so a retry through the gateway is also
+// recognised by the service that does the work. Prefixed with the caller so
+// the same key from two clients stays two different operations.
+function reenviarIdempotencia(req) {
+  const clave = req.get(CABECERA_IDEMPOTENCIA);
+  return conClaveIdempotencia(clave && `${req.identidad.usuario}:${clave}`);
+}
+
 app.get('/api', (req, res) => {
   res.json({
     name: 'Sistema de Reservas - API Gateway',
@@ -89,19 +217,52 @@ app.get('/api', (req, res) => {
     description: 'API con patrones de tolerancia a fallos',
     endpoints: {
       health: '/api/health',
+      liveness: '/api/health/live',
+      readiness: '/api/health/ready',
       metrics: '/api/metrics',
       inventario: {
-        listar: 'GET /api/inventario'
+        listar: 'GET /api/inventario',
+        asientos: 'GET /api/inventario/:eventoId/asientos',
+        listaEspera: 'GET /api/inventario/:eventoId/lista-espera',
+        unirseListaEspera: 'POST /api/inventario/:eventoId/lista-espera',
+        salirListaEspera: 'DELETE /api/inventario/:eventoId/lista-espera'
       },
       reservas: {
         listar: 'GET /api/reservas',
+        porUsuario: 'GET /api/usuarios/:usuario/reservas',
         crear: 'POST /api/reservas',
         detalle: 'GET /api/reservas/:id',
-        cancelar: 'DELETE /api/reservas/:id'
+        saga: 'GET /api/reservas/:id/saga',
+        modificar: 'PATCH /api/reservas/:id',
+        condicionesCancelacion: 'GET /api/reservas/:id/cancelacion',
+        cancelar: 'DELETE /api/reservas/:id',
+        entradas: 'GET /api/reservas/:id/entradas'
       },
-      ejemplos: 'GET /api/ejemplos'
+      carritos: {
+        crear: 'POST /api/carritos',
+        detalle: 'GET /api/carritos/:id',
+        agregarArticulo: 'POST /api/carritos/:id/articulos',
+        quitarArticulo: 'DELETE /api/carritos/:id/articulos/:articuloId',
+        pagar: 'POST /api/carritos/:id/checkout'
+      },
+      checkin: 'POST /api/checkin',
+      admin: {
+        simularFallo: 'POST /api/admin/simular-fallo',
+        simularLatencia: 'POST /api/admin/simular-latencia',
+        configurarEvento: 'POST /api/admin/configurar-evento',
+        crearEvento: 'POST /api/admin/eventos',
+        reemplazarEvento: 'PUT /api/admin/eventos/:eventoId',
+        actualizarEvento: 'PATCH /api/admin/eventos/:eventoId',
+        eliminarEvento: 'DELETE /api/admin/eventos/:eventoId',
+        promociones: 'GET /api/admin/promociones',
+        promocion: 'GET /api/admin/promociones/:codigo',
+        crearPromocion: 'POST /api/admin/promociones',
+        desactivarPromocion: 'DELETE /api/admin/promociones/:codigo'
+      },
+      ejemplos: 'GET /api/ejemplos',
+      openapi: 'GET /api/openapi.json'
     },
-    documentation: 'Consulta /api/ejemplos para ver ejemplos de uso'
+    documentation: 'Documentacion interactiva en /api/docs; ejemplos de uso en /api/ejemplos'
   });
 });
 
@@ -118,18 +279,20 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/api/reservas', async (req, res) => {
+async function listarReservas(res, params) {
   try {
-    logger.info('GET /api/reservas');
-    
     const response = await reservasBulkhead.execute(async () => {
-      return await reservasClient.get('/reservas');
+      return await reservasClient.get('/reservas', { params });
     });
     
     res.json(response.data);
   } catch (error) {
     logger.error(`Error obteniendo reservas: ${error.message}`);
     
+    if (error.response && error.response.status === 400) {
+      return res.status(400).json(error.response.data);
+    }
+    
     if (error.message && error.message.includes('breaker')) {
       return res.status(503).json({
         error: 'Reservation service unavailable',
@@ -143,35 +306,40 @@ app.get('/api/reservas', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
+}
+
+app.get('/api/reservas', validar({ query: CONSULTA_RESERVAS }), (req, res) => {
+  logger.info('GET /api/reservas');
+  listarReservas(res, req.query);
+});
+
+// Customer support shortcut; a customer only gets results for themselves
+app.get('/api/usuarios/:usuario/reservas', validar({ params: PARAMS_USUARIO, query: CONSULTA_RESERVAS_USUARIO }), (req, res) => {
+  logger.info(`GET /api/usuarios/${req.params.usuario}/reservas`);
+  listarReservas(res, { ...req.query, usuario: req.params.usuario });
 });
 
-app.post('/api/reservas', strictLimiter, async (req, res) => {
+app.post('/api/reservas', strictLimiter, validar({ body: CREAR_RESERVA }), async (req, res) => {
   try {
-    const { eventoId, asientos, usuario } = req.body;
+    const { eventoId, asientos, asientoIds } = req.body;
     
-    logger.info(`POST /api/reservas - Usuario: ${usuario}, Evento: ${eventoId}, Asientos: ${asientos}`);
-    
-    if (!eventoId || !asientos || !usuario) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: eventoId, asientos, usuario' 
-      });
-    }
+    logger.info(`POST /api/reservas - Usuario: ${req.identidad.usuario}, Evento: ${eventoId}, Asientos: ${asientoIds || asientos}`);
     
     const response = await reservasBulkhead.execute(async () => {
-      return await reservasClient.post('/reservas', {
-        eventoId,
-        asientos,
-        usuario
-      });
+      return await reservasClient.post('/reservas', req.body, reenviarIdempotencia(req));
     });
     
     logger.info(`Reservation created: ID ${response.data.id}`);
-    res.status(201).json(response.data);
+    // 202 when the payment timed out and the reservation is pago_pendiente
+    res.status(response.status).json(response.data);
     
   } catch (error) {
     logger.error(`Error creating reservation: ${error.message}`);
     
     if (error.response) {
+      if (error.response.headers['retry-after']) {
+        res.set('Retry-After', error.response.headers['retry-after']);
+      }
       return res.status(error.response.status).json(error.response.data);
     }
     
@@ -191,7 +359,7 @@ app.post('/api/reservas', strictLimiter, async (req, res) => {
   }
 });
 
-app.get('/api/reservas/:id', async (req, res) => {
+app.get('/api/reservas/:id', validar({ params: PARAMS_RESERVA }), async (req, res) => {
   try {
     const { id } = req.params;
     logger.info(`GET /api/reservas/${id}`);
@@ -216,27 +384,241 @@ app.get('/api/reservas/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/reservas/:id', async (req, res) => {
+app.get('/api/reservas/:id/saga', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`GET /api/reservas/${id}/saga`);
+    
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.get(`/reservas/${id}/saga`);
+    });
+    
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting saga ${req.params.id}: ${error.message}`);
+    
+    if (error.response && error.response.status === 404) {
+      return res.status(404).json({ error: 'Saga not found' });
+    }
+    
+    res.status(503).json({ 
+      error: 'Service temporarily unavailable',
+      message: 'Please try again in a few seconds',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.patch('/api/reservas/:id', strictLimiter, validar({ params: PARAMS_RESERVA, body: MODIFICAR_RESERVA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`PATCH /api/reservas/${id} - Usuario: ${req.identidad.usuario}, Cambios: ${JSON.stringify(req.body)}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.patch(`/reservas/${id}`, req.body, reenviarIdempotencia(req));
+    });
+
+    // 202 when the payment of the difference timed out
+    res.status(response.status).json(response.data);
+
+  } catch (error) {
+    logger.error(`Error changing reservation ${req.params.id}: ${error.message}`);
+
+    if (error.response) {
+      if (error.response.headers['retry-after']) {
+        res.set('Retry-After', error.response.headers['retry-after']);
+      }
+      return res.status(error.response.status).json(error.response.data);
+    }
+
+    res.status(503).json({
+      error: 'Reservation service unavailable',
+      message: 'Please try again in a few seconds',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/reservas/:id/cancelacion', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`GET /api/reservas/${id}/cancelacion`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.get(`/reservas/${id}/cancelacion`);
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting cancellation terms ${req.params.id}: ${error.message}`);
+
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+
+    res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Please try again in a few seconds',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/reservas/:id/entradas', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`GET /api/reservas/${id}/entradas`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.get(`/reservas/${id}/entradas`);
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting tickets of ${req.params.id}: ${error.message}`);
+
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+
+    res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Please try again in a few seconds',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.delete('/api/reservas/:id', validar({ params: PARAMS_RESERVA }), async (req, res) => {
   try {
     const { id } = req.params;
     logger.info(`DELETE /api/reservas/${id}`);
     
     const response = await reservasBulkhead.execute(async () => {
-      return await reservasClient.delete(`/reservas/${id}`);
+      return await reservasClient.delete(`/reservas/${id}`, reenviarIdempotencia(req));
     });
     
     res.json(response.data);
   } catch (error) {
     logger.error(`Error deleting reservation ${req.params.id}: ${error.message}`);
     
-    if (error.response && error.response.status === 404) {
-      return res.status(404).json({ error: 'Reservation not found' });
+    if (error.response) {
+      if (error.response.headers['retry-after']) {
+        res.set('Retry-After', error.response.headers['retry-after']);
+      }
+      return res.status(error.response.status).json(error.response.data);
     }
     
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Venue staff scanning tickets at the door
+app.post('/api/checkin', requerirRol(ROLES.OPERADOR, ROLES.ADMIN), validar({ body: CHECKIN }), async (req, res) => {
+  try {
+    logger.info(`POST /api/checkin - Usuario: ${req.identidad.usuario}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.post('/checkin', req.body, reenviarIdempotencia(req));
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Check-in failed: ${error.message}`);
+
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+
+    res.status(503).json({
+      error: 'Reservation service unavailable',
+      message: 'Please try again in a few seconds',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Ownership of each cart is enforced by reservas, like reservations
+app.post('/api/carritos', validar({ body: CREAR_CARRITO }), async (req, res) => {
+  try {
+    logger.info(`POST /api/carritos - Usuario: ${req.identidad.usuario}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.post('/carritos', req.body, reenviarIdempotencia(req));
+    });
+
+    res.status(201).json(response.data);
+  } catch (error) {
+    logger.error(`Error creating cart: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.get('/api/carritos/:id', validar({ params: PARAMS_CARRITO }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`GET /api/carritos/${id}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.get(`/carritos/${id}`);
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting cart ${req.params.id}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.post('/api/carritos/:id/articulos', validar({ params: PARAMS_CARRITO, body: ARTICULO_CARRITO }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`POST /api/carritos/${id}/articulos - Evento: ${req.body.eventoId}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.post(`/carritos/${id}/articulos`, req.body, reenviarIdempotencia(req));
+    });
+
+    res.status(201).json(response.data);
+  } catch (error) {
+    logger.error(`Error adding to cart ${req.params.id}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.delete('/api/carritos/:id/articulos/:articuloId', validar({ params: PARAMS_ARTICULO_CARRITO }), async (req, res) => {
+  try {
+    const { id, articuloId } = req.params;
+    logger.info(`DELETE /api/carritos/${id}/articulos/${articuloId}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.delete(`/carritos/${id}/articulos/${articuloId}`, reenviarIdempotencia(req));
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error removing from cart ${req.params.id}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.post('/api/carritos/:id/checkout', strictLimiter, validar({ params: PARAMS_CARRITO, body: PAGAR_CARRITO }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`POST /api/carritos/${id}/checkout - Usuario: ${req.identidad.usuario}`);
+
+    const response = await reservasBulkhead.execute(async () => {
+      return await reservasClient.post(`/carritos/${id}/checkout`, req.body, reenviarIdempotencia(req));
+    });
+
+    // 202 when the payment timed out and the cart is pago_pendiente
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    logger.error(`Error checking out cart ${req.params.id}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
 app.get('/api/inventario', async (req, res) => {
   try {
     logger.info('GET /api/inventario');
@@ -252,6 +634,7 @@ app.get('/api/inventario', async (req, res) => {
     
     const cacheAge = inventarioCache.timestamp ? Date.now() - inventarioCache.timestamp : null;
     const cacheValid = inventarioCache.data && cacheAge !== null && cacheAge <= INVENTARIO_CACHE_TTL_MS;
+    metricas.registrarCache(Boolean(cacheValid));
     
     if (cacheValid) {
       res.set('X-Inventory-Cache', 'true');
@@ -273,57 +656,351 @@ app.get('/api/inventario', async (req, res) => {
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'api-gateway',
+app.get('/api/inventario/:eventoId/asientos', validar({ params: PARAMS_EVENTO, query: CONSULTA_ASIENTOS }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`GET /api/inventario/${eventoId}/asientos`);
+    
+    const response = await inventarioClient.get(`/inventario/${eventoId}/asientos`, {
+      params: req.query
+    });
+    
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error obteniendo mapa de asientos: ${error.message}`);
+    
+    if (error.response && error.response.status === 404) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    
+    res.status(503).json({
+      error: 'Inventory service unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+function responderErrorInventario(res, error) {
+  if (error.response) {
+    return res.status(error.response.status).json(error.response.data);
+  }
+
+  res.status(503).json({
+    error: 'Inventory service unavailable',
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.get('/api/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`GET /api/inventario/${eventoId}/lista-espera`);
+
+    const response = await inventarioClient.get(`/inventario/${eventoId}/lista-espera`);
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting waitlist of ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.post('/api/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO, body: UNIRSE_LISTA_ESPERA }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`POST /api/inventario/${eventoId}/lista-espera - Usuario: ${req.identidad.usuario}`);
+
+    const response = await inventarioClient.post(`/inventario/${eventoId}/lista-espera`, req.body, reenviarIdempotencia(req));
+
+    res.status(201).json(response.data);
+  } catch (error) {
+    logger.error(`Error joining waitlist of ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.delete('/api/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO, query: CONSULTA_LISTA_ESPERA }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`DELETE /api/inventario/${eventoId}/lista-espera`);
+
+    const response = await inventarioClient.delete(`/inventario/${eventoId}/lista-espera`, {
+      params: req.query,
+      ...reenviarIdempotencia(req)
+    });
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error leaving waitlist of ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.post('/api/admin/eventos', validar({ body: EVENTO }), async (req, res) => {
+  try {
+    logger.info(`POST /api/admin/eventos - ${req.body.nombre}`);
+    
+    const response = await inventarioClient.post('/inventario/eventos', req.body, reenviarIdempotencia(req));
+    
+    logger.info(`Event created: ${response.data.id}`);
+    res.status(201).json(response.data);
+  } catch (error) {
+    logger.error(`Error creating event: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.put('/api/admin/eventos/:eventoId', validar({ params: PARAMS_EVENTO, body: EVENTO }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`PUT /api/admin/eventos/${eventoId}`);
+    
+    const response = await inventarioClient.put(`/inventario/eventos/${eventoId}`, req.body, reenviarIdempotencia(req));
+    
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error replacing event ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.patch('/api/admin/eventos/:eventoId', validar({ params: PARAMS_EVENTO, body: EVENTO_PARCIAL }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`PATCH /api/admin/eventos/${eventoId}`);
+    
+    const response = await inventarioClient.patch(`/inventario/eventos/${eventoId}`, req.body, reenviarIdempotencia(req));
+    
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error updating event ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+app.delete('/api/admin/eventos/:eventoId', validar({ params: PARAMS_EVENTO }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`DELETE /api/admin/eventos/${eventoId}`);
+    
+    const response = await inventarioClient.delete(`/inventario/eventos/${eventoId}`, reenviarIdempotencia(req));
+    
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error deleting event ${req.params.eventoId}: ${error.message}`);
+    responderErrorInventario(res, error);
+  }
+});
+
+function responderErrorReservas(res, error) {
+  if (error.response) {
+    if (error.response.headers['retry-after']) {
+      res.set('Retry-After', error.response.headers['retry-after']);
+    }
+    return res.status(error.response.status).json(error.response.data);
+  }
+
+  res.status(503).json({
+    error: 'Reservation service unavailable',
     timestamp: new Date().toISOString()
   });
+}
+
+app.get('/api/admin/promociones', async (req, res) => {
+  try {
+    logger.info('GET /api/admin/promociones');
+
+    const response = await reservasClient.get('/promociones');
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error listing promo codes: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.get('/api/admin/promociones/:codigo', validar({ params: PARAMS_PROMOCION }), async (req, res) => {
+  try {
+    const { codigo } = req.params;
+    logger.info(`GET /api/admin/promociones/${codigo}`);
+
+    const response = await reservasClient.get(`/promociones/${codigo}`);
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error getting promo code ${req.params.codigo}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.post('/api/admin/promociones', validar({ body: PROMOCION }), async (req, res) => {
+  try {
+    logger.info(`POST /api/admin/promociones - ${req.body.codigo}`);
+
+    const response = await reservasClient.post('/promociones', req.body, reenviarIdempotencia(req));
+
+    res.status(201).json(response.data);
+  } catch (error) {
+    logger.error(`Error creating promo code: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+app.delete('/api/admin/promociones/:codigo', validar({ params: PARAMS_PROMOCION }), async (req, res) => {
+  try {
+    const { codigo } = req.params;
+    logger.info(`DELETE /api/admin/promociones/${codigo}`);
+
+    const response = await reservasClient.delete(`/promociones/${codigo}`, reenviarIdempotencia(req));
+
+    res.json(response.data);
+  } catch (error) {
+    logger.error(`Error deactivating promo code ${req.params.codigo}: ${error.message}`);
+    responderErrorReservas(res, error);
+  }
+});
+
+// Chaos switches of the downstream services. They answer only to the admin
+// identity forwarded from here, so the gateway is the one way in.
+async function reenviarAdmin(res, url, cuerpo) {
+  try {
+    const { data } = await axios.post(url, cuerpo, { headers: cabeceraIdentidad(), timeout: 5000 });
+    res.json(data);
+  } catch (error) {
+    logger.error(`Error calling ${url}: ${error.message}`);
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    res.status(503).json({ error: 'Service unavailable', timestamp: new Date().toISOString() });
+  }
+}
+
+app.post('/api/admin/simular-fallo', validar({ body: SIMULACION_FALLO }), (req, res) => {
+  reenviarAdmin(res, `${INVENTARIO_URL}/admin/simular-fallo`, req.body);
+});
+
+app.post('/api/admin/simular-latencia', validar({ body: SIMULACION_LATENCIA }), (req, res) => {
+  reenviarAdmin(res, `${PAGOS_URL}/admin/simular-latencia`, req.body);
+});
+
+app.post('/api/admin/configurar-evento', validar({ body: CONFIGURAR_EVENTO }), (req, res) => {
+  reenviarAdmin(res, `${INVENTARIO_URL}/admin/configurar-evento`, req.body);
+});
+
+function breakerRemoto(datos, nombre) {
+  return datos && datos.circuitBreakers ? datos.circuitBreakers[nombre] : undefined;
+}
+
+function sinIndefinidos(objeto) {
+  return Object.fromEntries(Object.entries(objeto).filter(([, valor]) => valor !== undefined));
+}
+
+// Redis is not critical: every service falls back to memory or disk without it
+const monitorSalud = new MonitorSalud([
+  {
+    nombre: 'reservas',
+    url: `${RESERVAS_URL}/health`,
+    critica: true,
+    usadoPor: ['api-gateway'],
+    circuitBreakers: () => ({ 'api-gateway': estadoBreaker(reservasClient.breaker) })
+  },
+  {
+    nombre: 'inventario',
+    url: `${INVENTARIO_URL}/health`,
+    critica: true,
+    usadoPor: ['api-gateway', 'reservas'],
+    evaluar: datos => datos.simulandoFallo
+      ? { estado: ESTADOS.DOWN, detalle: 'Failure simulation active' }
+      : null,
+    circuitBreakers: datos => sinIndefinidos({
+      'api-gateway': estadoBreaker(inventarioClient.breaker),
+      reservas: breakerRemoto(datos.reservas, 'inventario')
+    })
+  },
+  {
+    nombre: 'pagos',
+    url: `${PAGOS_URL}/health`,
+    critica: true,
+    usadoPor: ['reservas'],
+    evaluar: datos => datos.simulandoLatencia
+      ? { estado: ESTADOS.DEGRADED, detalle: `Latency simulation active (${datos.latenciaMs}ms)` }
+      : null,
+    circuitBreakers: datos => sinIndefinidos({ reservas: breakerRemoto(datos.reservas, 'pagos') })
+  },
+  {
+    nombre: 'notificaciones',
+    url: `${NOTIFICACIONES_URL}/health`,
+    critica: false,
+    usadoPor: ['reservas'],
+    circuitBreakers: datos => sinIndefinidos({ reservas: breakerRemoto(datos.reservas, 'notificaciones') })
+  },
+  {
+    nombre: 'redis',
+    critica: false,
+    usadoPor: ['api-gateway', 'reservas', 'inventario', 'pagos'],
+    sondear: async () => {
+      if (redis.status !== 'ready') {
+        throw new Error('Not connected, services are using their fallback storage');
+      }
+      return { respuesta: await redis.ping() };
+    }
+  }
+], { timeoutMs: SALUD_TIMEOUT_MS });
+
+app.get('/api/health', async (req, res) => {
+  const salud = await monitorSalud.comprobar();
+  res.status(salud.status === RESUMEN.DOWN ? 503 : 200).json({
+    status: salud.status,
+    service: 'api-gateway',
+    ...salud
+  });
 });
 
-app.get('/api/health', (req, res) => {
+// Liveness: the process is up and the event loop answers. Never probes
+// dependencies, so a downstream outage does not get the gateway restarted.
+app.get('/api/health/live', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: 'alive',
     service: 'api-gateway',
+    uptimeSegundos: Math.round(process.uptime()),
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/metrics', (req, res) => {
-  res.json({
+// Readiness: every dependency a booking needs is reachable
+app.get('/api/health/ready', async (req, res) => {
+  const salud = await monitorSalud.comprobar();
+  const criticas = Object.entries(salud.dependencias).filter(([, dependencia]) => dependencia.critica);
+  const caidas = criticas.filter(([, dependencia]) => dependencia.status === ESTADOS.DOWN).map(([nombre]) => nombre);
+
+  res.status(caidas.length > 0 ? 503 : 200).json({
+    status: caidas.length > 0 ? 'not_ready' : 'ready',
     service: 'api-gateway',
-    timestamp: new Date().toISOString(),
-    latency: Math.floor(Math.random() * 100) + 50,
-    requestsPerMinute: Math.floor(Math.random() * 50) + 10,
-    bulkhead: {
-      name: reservasBulkhead.name,
-      concurrent: reservasBulkhead.currentConcurrent,
-      maxConcurrent: reservasBulkhead.maxConcurrent,
-      queuedRequests: reservasBulkhead.queue.length
-    },
-    circuitBreaker: {
-      status: reservasClient.breaker.opened ? 'OPEN' : 
-              reservasClient.breaker.halfOpen ? 'HALF_OPEN' : 'CLOSED',
-      stats: reservasClient.breaker.stats
-    },
-    queue: {
-      size: reservasBulkhead.queue.length
-    },
-    cache: {
-      hitRate: Math.floor(Math.random() * 30)
-    },
-    locks: {
-      active: 0
-    }
+    timestamp: salud.timestamp,
+    dependencias: Object.fromEntries(criticas.map(([nombre, dependencia]) => [nombre, dependencia.status])),
+    ...(caidas.length > 0 ? { motivo: `Unavailable: ${caidas.join(', ')}` } : {})
   });
 });
 
-app.get('/api/metrics', (req, res) => {
-  res.json({
+async function locksActivos() {
+  try {
+    const { data } = await axios.get(`${RESERVAS_URL}/health`, { timeout: 1000 });
+    return data.stats.locksActivos;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function construirMetricas() {
+  const ventanas = metricas.ventanasResumen();
+  const ultimoMinuto = ventanas['1m'];
+
+  return {
     service: 'api-gateway',
     timestamp: new Date().toISOString(),
-    latency: Math.floor(Math.random() * 100) + 50,
-    requestsPerMinute: Math.floor(Math.random() * 50) + 10,
+    latency: ultimoMinuto.latenciaMs.media,
+    requestsPerMinute: ultimoMinuto.total,
+    ventanas,
     bulkhead: {
       name: reservasBulkhead.name,
       concurrent: reservasBulkhead.currentConcurrent,
@@ -331,20 +1008,29 @@ app.get('/api/metrics', (req, res) => {
       queuedRequests: reservasBulkhead.queue.length
     },
     circuitBreaker: {
-      status: reservasClient.breaker.opened ? 'OPEN' : 
-              reservasClient.breaker.halfOpen ? 'HALF_OPEN' : 'CLOSED',
+      status: estadoBreaker(reservasClient.breaker),
       stats: reservasClient.breaker.stats
     },
     queue: {
       size: reservasBulkhead.queue.length
     },
     cache: {
-      hitRate: Math.floor(Math.random() * 30)
+      hitRate: ultimoMinuto.cache.hitRate,
+      hits: ultimoMinuto.cache.hits,
+      misses: ultimoMinuto.cache.misses
     },
     locks: {
-      active: 0
+      active: await locksActivos()
     }
-  });
+  };
+}
+
+app.get('/metrics', async (req, res) => {
+  res.json(await construirMetricas());
+});
+
+app.get('/api/metrics', async (req, res) => {
+  res.json(await construirMetricas());
 });
 
 app.get('/api/ejemplos', (req, res) => {
@@ -366,7 +1052,7 @@ app.get('/api/ejemplos', (req, res) => {
         nombre: 'Crear Reserva - EVENTO 1 (100 asientos)',
         metodo: 'POST',
         url: 'http://localhost:3000/api/reservas',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'dev-operator-key' },
         body: {
           eventoId: 'evento-1',
           asientos: 2,
@@ -379,7 +1065,7 @@ app.get('/api/ejemplos', (req, res) => {
         nombre: 'Crear Reserva - EVENTO 2 (50 asientos)',
         metodo: 'POST',
         url: 'http://localhost:3000/api/reservas',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'dev-operator-key' },
         body: {
           eventoId: 'evento-2',
           asientos: 3,
@@ -392,7 +1078,7 @@ app.get('/api/ejemplos', (req, res) => {
         nombre: 'Crear Reserva - EVENTO 3 (500 asientos)',
         metodo: 'POST',
         url: 'http://localhost:3000/api/reservas',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'dev-operator-key' },
         body: {
           eventoId: 'evento-3',
           asientos: 5,
@@ -405,7 +1091,7 @@ app.get('/api/ejemplos', (req, res) => {
         nombre: 'Crear Reserva - EVENTO 4 (SOLO 1 ASIENTO - Para Carrera)',
         metodo: 'POST',
         url: 'http://localhost:3000/api/reservas',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'dev-operator-key' },
         body: {
           eventoId: 'evento-4',
           asientos: 1,
@@ -415,12 +1101,12 @@ app.get('/api/ejemplos', (req, res) => {
       },
       {
         id: 6,
-        nombre: 'Listar Todas las Reservas',
+        nombre: 'Buscar Reservas',
         metodo: 'GET',
-        url: 'http://localhost:3000/api/reservas',
-        headers: {},
+        url: 'http://localhost:3000/api/reservas?estado=confirmada&limite=20',
+        headers: { 'X-API-Key': 'dev-operator-key' },
         body: null,
-        respuestaEsperada: 'Array con todas las reservas realizadas'
+        respuestaEsperada: 'Pagina de reservas y paginacion.siguienteCursor para pedir la siguiente'
       },
       {
         id: 7,
@@ -428,7 +1114,7 @@ app.get('/api/ejemplos', (req, res) => {
         metodo: 'GET',
         url: 'http://localhost:3000/api/reservas/{reservaId}',
         descripcionReemplazo: 'Reemplaza {reservaId} con el ID obtenido al crear una reserva',
-        headers: {},
+        headers: { 'X-API-Key': 'dev-operator-key' },
         body: null,
         respuestaEsperada: 'Detalles completos de la reserva'
       },
@@ -438,7 +1124,7 @@ app.get('/api/ejemplos', (req, res) => {
         metodo: 'DELETE',
         url: 'http://localhost:3000/api/reservas/{reservaId}',
         descripcionReemplazo: 'Reemplaza {reservaId} con el ID de la reserva a cancelar',
-        headers: {},
+        headers: { 'X-API-Key': 'dev-operator-key' },
         body: null,
         respuestaEsperada: 'Reserva cancelada y reembolso procesado'
       },
@@ -472,7 +1158,7 @@ app.get('/api/ejemplos', (req, res) => {
   });
 });
 
-app.post('/demo/:demoName', async (req, res) => {
+app.post('/demo/:demoName', validar({ params: PARAMS_DEMO, body: PARAMETROS_DEMO }), async (req, res) => {
   const { demoName } = req.params;
   const params = req.body;
   logger.info(`Demo requested: ${demoName} with params:`, params);
@@ -493,8 +1179,6 @@ app.post('/demo/:demoName', async (req, res) => {
       case 'condicion-carrera':
         result = await ejecutarDemoCondicionCarrera(params);
         break;
-      default:
-        return res.status(400).json({ error: 'Demo desconocida' });
     }
     
     res.json(result);
@@ -517,7 +1201,7 @@ async function ejecutarDemoInventarioFantasma(params = {}) {
     steps[0].result = `${eventoId}: ${invAntes.data.asientosDisponibles} asientos disponibles`;
     
     steps.push({ step: 2, action: 'Activar fallo en servicio de inventario', status: 'iniciando' });
-    await axios.post(`${INVENTARIO_URL}/admin/simular-fallo`, { activar: true });
+    await axios.post(`${INVENTARIO_URL}/admin/simular-fallo`, { activar: true }, { headers: cabeceraIdentidad() });
     steps[1].status = 'completado';
     steps[1].result = 'Fallo simulado - Servicio respondiendo con errores';
     
@@ -551,7 +1235,7 @@ async function ejecutarDemoInventarioFantasma(params = {}) {
     }
     
     steps.push({ step: 5, action: 'Desactivar fallo y recuperar sistema', status: 'iniciando' });
-    await axios.post(`${INVENTARIO_URL}/admin/simular-fallo`, { activar: false });
+    await axios.post(`${INVENTARIO_URL}/admin/simular-fallo`, { activar: false }, { headers: cabeceraIdentidad() });
     steps[4].status = 'completado';
     
     await new Promise(resolve => setTimeout(resolve, 6000));
@@ -587,7 +1271,7 @@ async function ejecutarDemoPasarelaLenta(params = {}) {
   const steps = [];
   
   steps.push({ step: 1, action: 'Activar latencia en servicio de pagos (20s)', status: 'iniciando' });
-  await axios.post(`${PAGOS_URL}/admin/simular-latencia`, { activar: true });
+  await axios.post(`${PAGOS_URL}/admin/simular-latencia`, { activar: true }, { headers: cabeceraIdentidad() });
   steps[0].status = 'completado';
   
   steps.push({ step: 2, action: `Crear reserva para ${eventoId} con ${asientos} asientos (timeout 5s)`, status: 'iniciando' });
@@ -604,11 +1288,11 @@ async function ejecutarDemoPasarelaLenta(params = {}) {
   } catch (error) {
     const elapsed = Date.now() - startTime;
     steps[1].status = 'timeout-detectado';
-    steps[1].result = `Timeout activado despues de ${elapsed}ms - Pago procesandose en background`;
+    steps[1].result = `Timeout activado despues de ${elapsed}ms - Si el pago no responde a tiempo la reserva queda en pago_pendiente`;
   }
   
   steps.push({ step: 3, action: 'Desactivar latencia', status: 'iniciando' });
-  await axios.post(`${PAGOS_URL}/admin/simular-latencia`, { activar: false });
+  await axios.post(`${PAGOS_URL}/admin/simular-latencia`, { activar: false }, { headers: cabeceraIdentidad() });
   steps[2].status = 'completado';
   
   return {
@@ -616,7 +1300,7 @@ async function ejecutarDemoPasarelaLenta(params = {}) {
     demo: 'Pasarela Lenta',
     description: 'Timeout + Procesamiento Asincrono',
     steps: steps,
-    resultado: 'El sistema detecto el timeout y proceso el pago en background para no bloquear al usuario',
+    resultado: 'El sistema detecto el timeout sin bloquear al usuario; el reconciliador de reservas confirma o reembolsa los pagos pendientes en background',
     patronesActivados: ['Timeout', 'Async Processing', 'Background Worker']
   };
 }
@@ -686,7 +1370,7 @@ async function ejecutarDemoCondicionCarrera(params = {}) {
     await axios.post(`${INVENTARIO_URL}/admin/configurar-evento`, { 
       eventoId: 'evento-4',
       asientos: asientosDisponibles
-    });
+    }, { headers: cabeceraIdentidad() });
     steps[0].status = 'completado';
     steps[0].result = `Evento-4 configurado con ${asientosDisponibles} asiento(s)`;
   } catch (error) {
@@ -730,6 +1414,12 @@ async function ejecutarDemoCondicionCarrera(params = {}) {
   };
 }
 
+montarOpenApi(app, {
+  titulo: 'Sistema de Reservas - API Gateway',
+  version: '1.0.0',
+  limitadores: [limiter, strictLimiter]
+});
+
 app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
@@ -744,6 +1434,6 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   logger.info(`API Gateway listening on port ${PORT}`);
-  logger.info(`Rate Limit configured: 100 req/min general, 20 req/min for reservations`);
+  logger.info(`Rate Limit configured per ${LIMITE_VENTANA_MS / 1000}s: general ${describirCuotas(CUOTAS_GENERAL)}; reservations ${describirCuotas(CUOTAS_RESERVAS)}; ${AUTENTICACION_FALLOS_MAX} failed authentications per IP`);
   logger.info(`Bulkhead configured: Max ${reservasBulkhead.maxConcurrent} concurrent connections`);
 });
@@ -0,0 +1,189 @@
+const { MemoryStore } = require('express-rate-limit');
+const { ROLES, CABECERA_API_KEY } = require('../../shared/autenticacion');
+const logger = require('../../shared/logger');
+
+const ANONIMO = 'anonimo';
+const NIVELES = [ANONIMO, ...Object.values(ROLES)];
+
+// The window starts with the first request counted in it, on every replica
+// alike
+const SCRIPT_CONTAR = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// Never brings back a window that has already expired
+const SCRIPT_DESCONTAR = `
+local hits = tonumber(redis.call('GET', KEYS[1]) or '0')
+if hits > 0 then
+  redis.call('DECR', KEYS[1])
+end
+return hits
+`;
+
+// Reads a counter without counting: nil when its window has expired
+const SCRIPT_CONSULTAR = `
+local hits = redis.call('GET', KEYS[1])
+if not hits then
+  return false
+end
+return { tonumber(hits), redis.call('PTTL', KEYS[1]) }
+`;
+
+// Store for express-rate-limit whose counters live in Redis, so every
+// gateway replica draws on the same quota. While Redis is down each replica
+// counts on its own in memory.
+class AlmacenLimites {
+  constructor({ redis, prefijo }) {
+    this.redis = redis;
+    this.prefix = `limite:${prefijo}:`;
+    this.localKeys = false;
+    this.memoria = new MemoryStore();
+  }
+
+  init(opciones) {
+    this.windowMs = opciones.windowMs;
+    this.memoria.init(opciones);
+  }
+
+  async conAlmacen(operacion, respaldo) {
+    if (this.redis && this.redis.status === 'ready') {
+      try {
+        return await operacion();
+      } catch (error) {
+        logger.warn(`Redis error in rate limit store: ${error.message}. Using in-memory storage.`);
+      }
+    }
+    return respaldo();
+  }
+
+  increment(clave) {
+    return this.conAlmacen(async () => {
+      const [totalHits, ttl] = await this.redis.eval(SCRIPT_CONTAR, 1, this.prefix + clave, this.windowMs);
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    }, () => this.memoria.increment(clave));
+  }
+
+  get(clave) {
+    return this.conAlmacen(async () => {
+      const resultado = await this.redis.eval(SCRIPT_CONSULTAR, 1, this.prefix + clave);
+      return resultado ? { totalHits: resultado[0], resetTime: new Date(Date.now() + resultado[1]) } : undefined;
+    }, async () => {
+      const info = await this.memoria.get(clave);
+      return info && info.resetTime.getTime() > Date.now() ? info : undefined;
+    });
+  }
+
+  decrement(clave) {
+    return this.conAlmacen(
+      () => this.redis.eval(SCRIPT_DESCONTAR, 1, this.prefix + clave),
+      () => this.memoria.decrement(clave)
+    );
+  }
+
+  resetKey(clave) {
+    return this.conAlmacen(
+      () => this.redis.del(this.prefix + clave),
+      () => this.memoria.resetKey(clave)
+    );
+  }
+}
+
+// Goes ahead of authentication, which answers bad credentials before any
+// per-user limit is reached: each request presenting credentials that end up
+// rejected with 401 counts against its IP, and an IP over `maximo` in the
+// window is turned away. Only failures count, so customers sharing an IP are
+// never throttled by each other's valid traffic.
+function limitarFallosAutenticacion({ redis, maximo, ventanaMs, alExceder }) {
+  const almacen = new AlmacenLimites({ redis, prefijo: 'autenticacion' });
+  almacen.init({ windowMs: ventanaMs });
+
+  return async (req, res, next) => {
+    const clave = `ip:${req.ip}`;
+    let fallos;
+
+    // Express 4 does not catch a rejected middleware, and a request left
+    // hanging is worse than one let through to authentication
+    try {
+      fallos = await almacen.get(clave);
+    } catch (error) {
+      logger.warn(`Could not check failed authentications for IP ${req.ip}: ${error.message}`);
+    }
+
+    if (fallos && fallos.totalHits >= maximo) {
+      try {
+        return alExceder(req, res, fallos.resetTime);
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    if (req.get('Authorization') || req.get(CABECERA_API_KEY)) {
+      res.on('finish', () => {
+        if (res.statusCode === 401) {
+          almacen.increment(clave).catch(error => {
+            logger.warn(`Could not count failed authentication for IP ${req.ip}: ${error.message}`);
+          });
+        }
+      });
+    }
+    next();
+  };
+}
+
+// Each API key has a quota of its own, even when several act for the same
+// user; tokens count against their subject and anonymous callers against
+// their IP
+function claveLimite(req) {
+  const { identidad } = req;
+  if (!identidad) {
+    return `ip:${req.ip}`;
+  }
+  return identidad.metodo === 'api-key'
+    ? `api-key:${identidad.huellaApiKey}`
+    : `usuario:${identidad.usuario}`;
+}
+
+function nivelLimite(req) {
+  return req.identidad ? req.identidad.rol : ANONIMO;
+}
+
+// `nivel:solicitudes` entries separated by commas, for the anonymous tier
+// and each role. A tier left out gets the lowest quota listed.
+function leerCuotas(definicion, variable) {
+  const cuotas = new Map();
+
+  for (const entrada of definicion.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [nivel, valor] = entrada.split(':');
+    const solicitudes = Number(valor);
+    if (!NIVELES.includes(nivel) || !Number.isInteger(solicitudes) || solicitudes < 1) {
+      throw new Error(`Invalid ${variable} entry "${entrada}"; expected nivel:solicitudes with nivel one of ${NIVELES.join(', ')}`);
+    }
+    cuotas.set(nivel, solicitudes);
+  }
+
+  if (cuotas.size === 0) {
+    throw new Error(`${variable} must list at least one nivel:solicitudes entry`);
+  }
+
+  const minima = Math.min(...cuotas.values());
+  return Object.fromEntries(NIVELES.map(nivel => [nivel, cuotas.has(nivel) ? cuotas.get(nivel) : minima]));
+}
+
+function describirCuotas(cuotas) {
+  return Object.entries(cuotas).map(([nivel, solicitudes]) => `${nivel} ${solicitudes}`).join(', ');
+}
+
+module.exports = {
+  AlmacenLimites,
+  limitarFallosAutenticacion,
+  claveLimite,
+  nivelLimite,
+  leerCuotas,
+  describirCuotas
+};
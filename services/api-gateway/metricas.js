@@ -0,0 +1,197 @@
+const BUCKET_MS = 10 * 1000;
+const MAX_LATENCIAS_POR_BUCKET = 2000;
+
+const VENTANAS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000
+};
+
+const SIN_RUTA = '(unmatched)';
+
+function percentil(ordenadas, p) {
+  if (ordenadas.length === 0) {
+    return null;
+  }
+  const indice = Math.max(0, Math.ceil((p / 100) * ordenadas.length) - 1);
+  return ordenadas[indice];
+}
+
+function redondear(valor) {
+  return valor === null ? null : Math.round(valor * 10) / 10;
+}
+
+function nuevaRuta() {
+  return { total: 0, errores: 0, erroresCliente: 0, porStatus: {}, latencias: [], sumaLatencias: 0 };
+}
+
+// Every request lands in a 10-second bucket, so a window slides in 10s steps
+// and old buckets are simply dropped. Counts are exact; latencies are kept up
+// to MAX_LATENCIAS_POR_BUCKET per bucket and route, replacing random samples
+// beyond that so percentiles stay representative under a flood.
+class MetricasVentana {
+  constructor({ bucketMs = BUCKET_MS, ventanas = VENTANAS, excluirDelResumen = [] } = {}) {
+    this.bucketMs = bucketMs;
+    this.ventanas = ventanas;
+    this.retencionMs = Math.max(...Object.values(ventanas));
+    this.excluirDelResumen = new Set(excluirDelResumen);
+    this.buckets = [];
+  }
+
+  _bucketActual(ahora = Date.now()) {
+    const inicio = Math.floor(ahora / this.bucketMs) * this.bucketMs;
+    let bucket = this.buckets[this.buckets.length - 1];
+
+    if (!bucket || bucket.inicio !== inicio) {
+      bucket = { inicio, rutas: new Map(), rateLimit: {}, cache: { hits: 0, misses: 0 } };
+      this.buckets.push(bucket);
+    }
+
+    const limite = ahora - this.retencionMs - this.bucketMs;
+    while (this.buckets.length > 0 && this.buckets[0].inicio < limite) {
+      this.buckets.shift();
+    }
+
+    return bucket;
+  }
+
+  registrarPeticion(ruta, status, duracionMs) {
+    const bucket = this._bucketActual();
+    if (!bucket.rutas.has(ruta)) {
+      bucket.rutas.set(ruta, nuevaRuta());
+    }
+
+    const datos = bucket.rutas.get(ruta);
+    datos.total++;
+    datos.porStatus[status] = (datos.porStatus[status] || 0) + 1;
+    datos.sumaLatencias += duracionMs;
+    if (status >= 500) {
+      datos.errores++;
+    } else if (status >= 400) {
+      datos.erroresCliente++;
+    }
+
+    if (datos.latencias.length < MAX_LATENCIAS_POR_BUCKET) {
+      datos.latencias.push(duracionMs);
+    } else {
+      datos.latencias[Math.floor(Math.random() * MAX_LATENCIAS_POR_BUCKET)] = duracionMs;
+    }
+  }
+
+  registrarRechazo(limitador) {
+    const bucket = this._bucketActual();
+    bucket.rateLimit[limitador] = (bucket.rateLimit[limitador] || 0) + 1;
+  }
+
+  registrarCache(acierto) {
+    const bucket = this._bucketActual();
+    if (acierto) {
+      bucket.cache.hits++;
+    } else {
+      bucket.cache.misses++;
+    }
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const inicio = process.hrtime.bigint();
+
+      res.on('finish', () => {
+        const duracionMs = Number(process.hrtime.bigint() - inicio) / 1e6;
+        const ruta = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : SIN_RUTA;
+        this.registrarPeticion(ruta, res.statusCode, duracionMs);
+      });
+
+      next();
+    };
+  }
+
+  _resumirRutas(rutas, duracionMs) {
+    const total = rutas.reduce((suma, r) => suma + r.total, 0);
+    const errores = rutas.reduce((suma, r) => suma + r.errores, 0);
+    const latencias = rutas.flatMap(r => r.latencias).sort((a, b) => a - b);
+    const sumaLatencias = rutas.reduce((suma, r) => suma + r.sumaLatencias, 0);
+
+    const porStatus = {};
+    for (const r of rutas) {
+      for (const [status, cuenta] of Object.entries(r.porStatus)) {
+        porStatus[status] = (porStatus[status] || 0) + cuenta;
+      }
+    }
+
+    return {
+      total,
+      peticionesPorMinuto: redondear(total / (duracionMs / 60000)),
+      errores,
+      erroresCliente: rutas.reduce((suma, r) => suma + r.erroresCliente, 0),
+      tasaError: total > 0 ? redondear((errores / total) * 100) : 0,
+      porStatus,
+      latenciaMs: {
+        media: total > 0 ? redondear(sumaLatencias / total) : null,
+        p50: redondear(percentil(latencias, 50)),
+        p95: redondear(percentil(latencias, 95)),
+        p99: redondear(percentil(latencias, 99))
+      }
+    };
+  }
+
+  resumen(duracionMs, ahora = Date.now()) {
+    const desde = ahora - duracionMs;
+    const buckets = this.buckets.filter(b => b.inicio + this.bucketMs > desde);
+
+    const porRuta = new Map();
+    const rateLimit = {};
+    const cache = { hits: 0, misses: 0 };
+
+    for (const bucket of buckets) {
+      for (const [ruta, datos] of bucket.rutas) {
+        if (!porRuta.has(ruta)) {
+          porRuta.set(ruta, []);
+        }
+        porRuta.get(ruta).push(datos);
+      }
+      for (const [limitador, cuenta] of Object.entries(bucket.rateLimit)) {
+        rateLimit[limitador] = (rateLimit[limitador] || 0) + cuenta;
+      }
+      cache.hits += bucket.cache.hits;
+      cache.misses += bucket.cache.misses;
+    }
+
+    const rutas = {};
+    for (const [ruta, datos] of porRuta) {
+      rutas[ruta] = this._resumirRutas(datos, duracionMs);
+    }
+
+    const delResumen = Array.from(porRuta.entries())
+      .filter(([ruta]) => !this.excluirDelResumen.has(ruta))
+      .flatMap(([, datos]) => datos);
+
+    const consultasCache = cache.hits + cache.misses;
+
+    return {
+      ...this._resumirRutas(delResumen, duracionMs),
+      rateLimit: {
+        rechazos: Object.values(rateLimit).reduce((suma, n) => suma + n, 0),
+        porLimitador: rateLimit
+      },
+      cache: {
+        ...cache,
+        hitRate: consultasCache > 0 ? redondear((cache.hits / consultasCache) * 100) : null
+      },
+      rutas
+    };
+  }
+
+  ventanasResumen(ahora = Date.now()) {
+    const resultado = {};
+    for (const [nombre, duracionMs] of Object.entries(this.ventanas)) {
+      resultado[nombre] = this.resumen(duracionMs, ahora);
+    }
+    return resultado;
+  }
+}
+
+module.exports = {
+  MetricasVentana,
+  VENTANAS
+};
@@ -0,0 +1,908 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const logger = require('../../shared/logger');
+
+const SEGURIDAD = [{ apiKey: [] }, { bearer: [] }];
+
+function ref(nombre) {
+  return { $ref: `#/components/schemas/${nombre}` };
+}
+
+function lista(esquema) {
+  return { type: 'array', items: esquema };
+}
+
+const TRAMO_CANCELACION = {
+  type: 'object',
+  properties: {
+    horasAntes: { type: 'integer' },
+    porcentaje: { type: 'number' }
+  }
+};
+
+const AJUSTE_PRECIO = {
+  type: 'object',
+  properties: {
+    regla: { enum: ['anticipada', 'escalon', 'demanda'] },
+    porcentaje: { type: 'number', description: 'Applied on top of the previous adjustments' },
+    hasta: { type: 'string', format: 'date-time', description: 'Only for anticipada' },
+    porcentajeRestante: { type: 'number', description: 'Only for escalon' },
+    vendidos: { type: 'integer', description: 'Only for demanda: seats taken within the window' }
+  }
+};
+
+const ESQUEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['error']
+  },
+  ErrorValidacion: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Invalid request' },
+      detalles: lista({
+        type: 'object',
+        properties: {
+          campo: { type: 'string', examples: ['body.asientos'] },
+          mensaje: { type: 'string', examples: ['must be integer'] }
+        },
+        required: ['campo', 'mensaje']
+      })
+    },
+    required: ['error', 'detalles']
+  },
+  ErrorRol: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Insufficient role' },
+      rolesPermitidos: lista({ type: 'string' })
+    },
+    required: ['error', 'rolesPermitidos']
+  },
+  Reserva: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      eventoId: { type: 'string' },
+      eventoNombre: { type: 'string' },
+      categoria: { type: ['string', 'null'], description: 'Price category the seats were sold in' },
+      asientos: { type: 'integer' },
+      asientoIds: lista({ type: 'string' }),
+      usuario: { type: 'string' },
+      monto: { type: 'number' },
+      metodoPago: { type: 'string' },
+      transaccionId: { type: ['string', 'null'] },
+      cargos: lista({
+        type: 'object',
+        description: 'Charges paid for the reservation and how much of each was refunded',
+        properties: {
+          transaccionId: { type: 'string', format: 'uuid' },
+          monto: { type: 'number' },
+          reembolsado: { type: 'number' }
+        }
+      }),
+      modificaciones: lista({
+        type: 'object',
+        description: 'Earlier event, category, seats and amount of each change; `id` is its saga',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          eventoId: { type: 'string' },
+          categoria: { type: ['string', 'null'] },
+          asientoIds: lista({ type: 'string' }),
+          monto: { type: 'number' },
+          diferencia: { type: 'number' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }),
+      modificacionEnCurso: { type: 'string', format: 'uuid' },
+      cancelacion: {
+        type: 'object',
+        description: 'Refund of the cancellation, fixed when it started',
+        properties: {
+          porcentaje: { type: 'number' },
+          montoReembolso: { type: 'number' },
+          penalizacion: { type: 'number' },
+          horasRestantes: { type: 'number' },
+          calculadoEn: { type: 'string', format: 'date-time' }
+        }
+      },
+      promocion: {
+        type: 'object',
+        description: 'Promo code applied; `monto` is what was charged after the discount',
+        properties: {
+          codigo: { type: 'string' },
+          tipo: { enum: ['porcentaje', 'fijo'] },
+          valor: { type: 'number' },
+          montoBase: { type: 'number' },
+          descuento: { type: 'number' }
+        }
+      },
+      entradas: lista(ref('Entrada')),
+      carritoId: { type: 'string', format: 'uuid', description: 'Cart the reservation was checked out from' },
+      estado: { enum: ['pago_pendiente', 'confirmada', 'fallida', 'cancelando', 'cancelada'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      fechaCancelacion: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'eventoId', 'usuario', 'estado']
+  },
+  ResultadoReserva: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      reserva: ref('Reserva'),
+      message: { type: 'string' }
+    },
+    required: ['success', 'reserva']
+  },
+  Carrito: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      usuario: { type: 'string' },
+      estado: { enum: ['abierto', 'procesando', 'pago_pendiente', 'completado'] },
+      articulos: lista({
+        type: 'object',
+        description: 'One per event',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          eventoId: { type: 'string' },
+          asientos: { type: 'integer' },
+          asientoIds: { type: ['array', 'null'], items: { type: 'string' } }
+        }
+      }),
+      pedidoId: { type: 'string', format: 'uuid', description: 'Saga and payment of the last checkout' },
+      ultimoError: { type: ['string', 'null'], description: 'Why the last checkout was undone' },
+      monto: { type: 'number' },
+      reservaIds: lista({ type: 'string', format: 'uuid' }),
+      creadoEn: { type: 'string', format: 'date-time' },
+      actualizadoEn: { type: 'string', format: 'date-time' },
+      completadoEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'usuario', 'estado', 'articulos']
+  },
+  ResultadoCheckout: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      carrito: ref('Carrito'),
+      reservas: lista(ref('Reserva')),
+      message: { type: 'string' }
+    },
+    required: ['success', 'carrito']
+  },
+  PaginaReservas: {
+    type: 'object',
+    properties: {
+      reservas: lista(ref('Reserva')),
+      paginacion: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer', description: 'Reservations matching the filters' },
+          limite: { type: 'integer' },
+          orden: { type: 'string' },
+          siguienteCursor: { type: ['string', 'null'], description: 'Pass it as `cursor` to get the next page' }
+        },
+        required: ['total', 'limite', 'orden', 'siguienteCursor']
+      }
+    },
+    required: ['reservas', 'paginacion']
+  },
+  CondicionesCancelacion: {
+    type: 'object',
+    properties: {
+      reservaId: { type: 'string', format: 'uuid' },
+      montoPagado: { type: 'number' },
+      estado: { enum: ['cancelando'], description: 'Present once a cancellation has started; the figures are the ones it pays out' },
+      politica: lista(TRAMO_CANCELACION),
+      fechaEvento: { type: 'string', format: 'date-time' },
+      horasRestantes: { type: 'number' },
+      tramo: { oneOf: [TRAMO_CANCELACION, { type: 'null' }], description: 'Tier that applies; null once every window has closed' },
+      porcentaje: { type: 'number' },
+      montoReembolso: { type: 'number' },
+      penalizacion: { type: 'number' },
+      calculadoEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['reservaId', 'porcentaje', 'montoReembolso', 'penalizacion']
+  },
+  Promocion: {
+    type: 'object',
+    properties: {
+      codigo: { type: 'string' },
+      descripcion: { type: 'string' },
+      tipo: { enum: ['porcentaje', 'fijo'] },
+      valor: { type: 'number' },
+      eventoId: { type: ['string', 'null'], description: 'null for every event' },
+      validaDesde: { type: ['string', 'null'], format: 'date-time' },
+      validaHasta: { type: ['string', 'null'], format: 'date-time' },
+      limiteTotal: { type: ['integer', 'null'] },
+      limitePorUsuario: { type: ['integer', 'null'] },
+      activa: { type: 'boolean' },
+      usosTotales: { type: 'integer' },
+      usosRestantes: { type: ['integer', 'null'] },
+      creadaEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['codigo', 'tipo', 'valor', 'activa', 'usosTotales']
+  },
+  Entrada: {
+    type: 'object',
+    description: 'Ticket for one seat; seats given back or cancelled keep theirs as anulada',
+    properties: {
+      asientoId: { type: 'string' },
+      eventoId: { type: 'string' },
+      codigo: { type: 'string', description: 'Signed code to print as a QR; only valid for this reservation, seat and event' },
+      estado: { enum: ['valida', 'usada', 'anulada'] },
+      emitidaEn: { type: 'string', format: 'date-time' },
+      usadaEn: { type: 'string', format: 'date-time' },
+      validadaPor: { type: 'string' },
+      anuladaEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['asientoId', 'eventoId', 'codigo', 'estado']
+  },
+  EntradasReserva: {
+    type: 'object',
+    properties: {
+      reservaId: { type: 'string', format: 'uuid' },
+      estado: { type: 'string' },
+      entradas: lista(ref('Entrada'))
+    },
+    required: ['reservaId', 'estado', 'entradas']
+  },
+  ResultadoCheckin: {
+    type: 'object',
+    properties: {
+      valida: { type: 'boolean' },
+      entrada: ref('Entrada'),
+      reserva: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          usuario: { type: 'string' },
+          eventoId: { type: 'string' },
+          eventoNombre: { type: 'string' }
+        }
+      }
+    },
+    required: ['valida', 'entrada', 'reserva']
+  },
+  Saga: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      tipo: { type: 'string' },
+      estado: { enum: ['en_curso', 'pendiente', 'completada', 'compensando', 'compensada', 'compensacion_fallida'] },
+      pasoActual: { type: ['string', 'null'] },
+      pasosCompletados: lista({ type: 'string' }),
+      pasosCompensados: lista({ type: 'string' }),
+      historial: lista({
+        type: 'object',
+        properties: {
+          paso: { type: 'string' },
+          accion: { type: 'string' },
+          estado: { type: 'string' },
+          error: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }),
+      creadaEn: { type: 'string', format: 'date-time' },
+      actualizadaEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'tipo', 'estado']
+  },
+  CategoriaPrecio: {
+    type: 'object',
+    description: 'A price category of an event, with its own seats',
+    properties: {
+      id: { type: 'string', examples: ['vip'] },
+      nombre: { type: 'string' },
+      precio: { type: 'number', description: 'Price right now, after the dynamic pricing rules of the event' },
+      precioBase: { type: 'number', description: 'Price the rules start from' },
+      ajustes: lista(AJUSTE_PRECIO),
+      capacidad: { type: 'integer' },
+      asientosDisponibles: { type: 'integer' },
+      disponible: { type: 'boolean', description: 'Only in the seat map' },
+      distribucion: lista({
+        type: 'object',
+        description: 'Only in the event listing',
+        properties: {
+          nombre: { type: 'string' },
+          filas: { type: 'integer' },
+          asientosPorFila: { type: 'integer' }
+        }
+      })
+    },
+    required: ['id', 'nombre', 'precio', 'capacidad', 'asientosDisponibles']
+  },
+  Evento: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      nombre: { type: 'string' },
+      recinto: { type: 'string' },
+      fecha: { type: 'string', format: 'date-time' },
+      descripcion: { type: 'string' },
+      precio: { type: 'number', description: 'Price of the cheapest category right now' },
+      capacidad: { type: 'integer' },
+      asientosDisponibles: { type: 'integer' },
+      categorias: {
+        ...lista(ref('CategoriaPrecio')),
+        description: 'Events sold at a single price have one, `general`'
+      },
+      politicaCancelacion: {
+        type: ['array', 'null'],
+        description: 'Refund tiers, widest window first; null refunds everything until the event starts',
+        items: TRAMO_CANCELACION
+      },
+      preciosDinamicos: {
+        type: ['object', 'null'],
+        description: 'Rules moving every category price: the first open early-bird window, the narrowest ' +
+          'remaining-capacity step reached and a surge once enough seats sold within the window; null sells at fixed prices',
+        properties: {
+          anticipada: {
+            type: ['array', 'null'],
+            items: { type: 'object', properties: { hasta: { type: 'string', format: 'date-time' }, ajuste: { type: 'number' } } }
+          },
+          escalones: {
+            type: ['array', 'null'],
+            items: { type: 'object', properties: { porcentajeRestante: { type: 'number' }, ajuste: { type: 'number' } } }
+          },
+          demanda: {
+            type: ['object', 'null'],
+            properties: { ventanaMinutos: { type: 'integer' }, asientos: { type: 'integer' }, ajuste: { type: 'number' } }
+          }
+        }
+      },
+      distribucion: lista({
+        type: 'object',
+        properties: {
+          nombre: { type: 'string' },
+          filas: { type: 'integer' },
+          asientosPorFila: { type: 'integer' }
+        }
+      }),
+      creadoEn: { type: 'string', format: 'date-time' },
+      actualizadoEn: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'nombre', 'capacidad', 'asientosDisponibles']
+  },
+  MapaAsientos: {
+    type: 'object',
+    properties: {
+      eventoId: { type: 'string' },
+      nombre: { type: 'string' },
+      asientosDisponibles: { type: 'integer' },
+      categorias: lista(ref('CategoriaPrecio')),
+      secciones: lista({
+        type: 'object',
+        properties: {
+          nombre: { type: 'string' },
+          total: { type: 'integer' },
+          disponibles: { type: 'integer' },
+          retenidos: { type: 'integer' }
+        }
+      }),
+      asientos: lista({
+        type: 'object',
+        properties: {
+          id: { type: 'string', examples: ['PISTA-A-1'] },
+          seccion: { type: 'string' },
+          categoria: { type: 'string' },
+          fila: { type: 'string' },
+          numero: { type: 'integer' },
+          estado: { enum: ['disponible', 'retenido', 'reservado'] }
+        }
+      })
+    }
+  },
+  ListaEspera: {
+    type: 'object',
+    properties: {
+      eventoId: { type: 'string' },
+      total: { type: 'integer', description: 'People waiting for the event' },
+      entradas: lista(ref('EntradaListaEspera'))
+    },
+    required: ['eventoId', 'total', 'entradas']
+  },
+  EntradaListaEspera: {
+    type: 'object',
+    description: 'Customers only see their own entry',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      usuario: { type: 'string' },
+      categoria: { type: 'string' },
+      cantidad: { type: 'integer' },
+      unidoEn: { type: 'string', format: 'date-time' },
+      posicion: { type: 'integer', description: '1 is the next to get an offer' }
+    },
+    required: ['id', 'usuario', 'cantidad', 'posicion']
+  },
+  Salud: {
+    type: 'object',
+    properties: {
+      status: { enum: ['healthy', 'degraded', 'down'] },
+      service: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      duracionMs: { type: 'integer' },
+      dependencias: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { enum: ['up', 'degraded', 'down'] },
+            critica: { type: 'boolean' },
+            latenciaMs: { type: 'integer' },
+            circuitBreakers: { type: 'object', additionalProperties: { enum: ['OPEN', 'HALF_OPEN', 'CLOSED'] } },
+            usadoPor: lista({ type: 'string' }),
+            detalle: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Traza: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      traceIds: lista({ type: 'string' }),
+      servicios: lista({ type: 'string' }),
+      spans: lista({ type: 'object' })
+    }
+  }
+};
+
+const RESPUESTAS = {
+  400: { description: 'Invalid request', esquema: 'ErrorValidacion' },
+  401: { description: 'Missing or invalid credentials', esquema: 'Error' },
+  403: { description: 'Authenticated, but the role is not allowed', esquema: 'ErrorRol' },
+  404: { description: 'Not found', esquema: 'Error' },
+  409: { description: 'Conflict with the current state', esquema: 'Error' },
+  429: { description: 'Rate limit exceeded; the RateLimit and Retry-After headers say when to retry', esquema: 'Error' },
+  503: { description: 'Downstream service unavailable', esquema: 'Error' }
+};
+
+const OBJETO = { type: 'object' };
+
+// Summary and responses of each route, keyed by method and OpenAPI path.
+// Paths, parameters, request bodies, roles and the 400/401/403/429 answers
+// are read from the routes themselves.
+const OPERACIONES = {
+  'GET /api': { etiqueta: 'General', resumen: 'List the gateway endpoints', ok: OBJETO },
+  'GET /health': { etiqueta: 'Salud', resumen: 'Health of the gateway process and its bulkhead', ok: OBJETO },
+  'GET /api/health': {
+    etiqueta: 'Salud',
+    resumen: 'Aggregated health of every dependency',
+    ok: ref('Salud'),
+    respuestas: { 503: { description: 'A critical dependency is down', esquema: 'Salud' } }
+  },
+  'GET /api/health/live': { etiqueta: 'Salud', resumen: 'Liveness probe', ok: OBJETO },
+  'GET /api/health/ready': {
+    etiqueta: 'Salud',
+    resumen: 'Readiness probe: critical dependencies are reachable',
+    ok: OBJETO,
+    respuestas: { 503: { description: 'Not ready', esquema: null } }
+  },
+  'GET /metrics': { etiqueta: 'Metricas', resumen: 'Gateway metrics over sliding windows', ok: OBJETO },
+  'GET /api/metrics': { etiqueta: 'Metricas', resumen: 'Gateway metrics over sliding windows', ok: OBJETO },
+  'GET /metrics/prometheus': {
+    etiqueta: 'Metricas',
+    resumen: 'Metrics in Prometheus text format',
+    ok: { type: 'string' },
+    tipo: 'text/plain'
+  },
+  'GET /traces/{id}': {
+    etiqueta: 'Trazas',
+    resumen: 'Spans of a trace from every service, by trace ID or correlation ID',
+    ok: ref('Traza'),
+    errores: [404]
+  },
+  'GET /api/ejemplos': { etiqueta: 'General', resumen: 'Sample requests for Postman or Insomnia', ok: OBJETO },
+  'GET /api/reservas': {
+    etiqueta: 'Reservas',
+    resumen: 'Search reservations (customers only see their own)',
+    descripcion: 'Filters combine with AND. Pages are cursor based: follow `paginacion.siguienteCursor` until it is null.',
+    ok: ref('PaginaReservas'),
+    errores: [503]
+  },
+  'GET /api/usuarios/{usuario}/reservas': {
+    etiqueta: 'Reservas',
+    resumen: 'Reservations of one user',
+    ok: ref('PaginaReservas'),
+    errores: [503]
+  },
+  'POST /api/reservas': {
+    etiqueta: 'Reservas',
+    resumen: 'Create a reservation for the authenticated user',
+    descripcion: 'Runs the reservation saga. Send an `Idempotency-Key` header to retry safely. ' +
+      'With `ofertaId` it books the seats held by a waitlist offer made to the user. ' +
+      '`codigoPromo` applies a discount to the price. Events with several price categories need `categoria`; ' +
+      'the seats are taken from and charged at that category. The unit price is the one quoted when the seats ' +
+      'are held; with `precioEsperado` the booking fails rather than charge any other.',
+    estado: 201,
+    ok: ref('ResultadoReserva'),
+    respuestas: {
+      202: { description: 'Payment still pending; the reservation stays as pago_pendiente', esquema: 'ResultadoReserva' },
+      402: { description: 'Payment rejected', esquema: 'Error' },
+      409: {
+        description: 'Seats not available, price changed from `precioEsperado` (`precioActual` has the new one), ' +
+          'promo code not applicable or another reservation for the event is in progress',
+        esquema: 'Error'
+      },
+      410: { description: 'Waitlist offer expired, already used or made to someone else', esquema: 'Error' }
+    },
+    errores: [503]
+  },
+  'GET /api/reservas/{id}': { etiqueta: 'Reservas', resumen: 'Get a reservation', ok: ref('Reserva'), errores: [404, 503] },
+  'GET /api/reservas/{id}/saga': {
+    etiqueta: 'Reservas',
+    resumen: 'Steps and compensations of the reservation saga',
+    ok: ref('Saga'),
+    errores: [404, 503]
+  },
+  'PATCH /api/reservas/{id}': {
+    etiqueta: 'Reservas',
+    resumen: 'Change the seats, price category or event of a confirmed reservation',
+    descripcion: 'Only the difference is charged or refunded; added seats cost the price quoted when they are held. ' +
+      'Another category or event moves every seat. If any step fails the reservation is left as it was.',
+    ok: ref('ResultadoReserva'),
+    respuestas: {
+      202: { description: 'Payment of the difference still pending; the reservation keeps its current seats', esquema: 'ResultadoReserva' },
+      402: { description: 'Payment of the difference rejected', esquema: 'Error' },
+      409: { description: 'Seats not available, reservation not confirmed or another change in progress', esquema: 'Error' }
+    },
+    errores: [404, 503]
+  },
+  'GET /api/reservas/{id}/cancelacion': {
+    etiqueta: 'Reservas',
+    resumen: 'Preview what cancelling the reservation now would refund',
+    ok: ref('CondicionesCancelacion'),
+    errores: [404, 409, 503]
+  },
+  'GET /api/reservas/{id}/entradas': {
+    etiqueta: 'Reservas',
+    resumen: 'Tickets of a reservation, one signed code per seat',
+    ok: ref('EntradasReserva'),
+    errores: [404, 503]
+  },
+  'POST /api/checkin': {
+    etiqueta: 'Reservas',
+    resumen: 'Validate a ticket at the door and mark it used',
+    descripcion: 'Pass `eventoId` to also reject tickets for other events.',
+    ok: ref('ResultadoCheckin'),
+    respuestas: {
+      400: { description: 'Invalid request or ticket code not signed by us', esquema: 'Error' },
+      409: { description: 'Ticket already used, voided, for another event, or its reservation is not confirmed', esquema: 'Error' }
+    },
+    errores: [404, 503]
+  },
+  'DELETE /api/reservas/{id}': {
+    etiqueta: 'Reservas',
+    resumen: 'Cancel a reservation and refund it per the event cancellation policy',
+    ok: ref('ResultadoReserva'),
+    errores: [404, 409, 503]
+  },
+  'POST /api/carritos': {
+    etiqueta: 'Carritos',
+    resumen: 'Open a cart, optionally with its items',
+    estado: 201,
+    ok: ref('Carrito'),
+    errores: [503]
+  },
+  'GET /api/carritos/{id}': { etiqueta: 'Carritos', resumen: 'Get a cart', ok: ref('Carrito'), errores: [404, 503] },
+  'POST /api/carritos/{id}/articulos': {
+    etiqueta: 'Carritos',
+    resumen: 'Add an event to the cart',
+    descripcion: 'An event and price category already in the cart gets the new seats instead.',
+    estado: 201,
+    ok: ref('Carrito'),
+    respuestas: {
+      409: { description: 'Cart full, already checked out or being checked out', esquema: 'Error' }
+    },
+    errores: [404, 503]
+  },
+  'DELETE /api/carritos/{id}/articulos/{articuloId}': {
+    etiqueta: 'Carritos',
+    resumen: 'Remove an event from the cart',
+    ok: ref('Carrito'),
+    errores: [404, 409, 503]
+  },
+  'POST /api/carritos/{id}/checkout': {
+    etiqueta: 'Carritos',
+    resumen: 'Pay for every event of the cart at once',
+    descripcion: 'Holds the seats of every event at the price quoted as each hold begins, makes one payment for ' +
+      'the total and creates one reservation per event. If any step fails nothing is kept: the payment is refunded, the seats released and the cart reopened. ' +
+      'Send an `Idempotency-Key` header to retry safely.',
+    estado: 201,
+    ok: ref('ResultadoCheckout'),
+    respuestas: {
+      202: { description: 'Payment still pending; the cart stays as pago_pendiente', esquema: 'ResultadoCheckout' },
+      402: { description: 'Payment rejected', esquema: 'Error' },
+      409: { description: 'Cart empty or not open, seats not available, or another checkout for one of its events is in progress', esquema: 'Error' }
+    },
+    errores: [404, 503]
+  },
+  'GET /api/inventario': {
+    etiqueta: 'Inventario',
+    resumen: 'List events and availability (served from cache if inventario is down)',
+    ok: lista(ref('Evento')),
+    errores: [503]
+  },
+  'GET /api/inventario/{eventoId}/asientos': {
+    etiqueta: 'Inventario',
+    resumen: 'Seat map of an event',
+    ok: ref('MapaAsientos'),
+    errores: [404, 503]
+  },
+  'GET /api/inventario/{eventoId}/lista-espera': {
+    etiqueta: 'Inventario',
+    resumen: 'Waitlist of an event (customers only see their own place)',
+    ok: ref('ListaEspera'),
+    errores: [404, 503]
+  },
+  'POST /api/inventario/{eventoId}/lista-espera': {
+    etiqueta: 'Inventario',
+    resumen: 'Join the waitlist of a sold-out event',
+    descripcion: 'When seats come back the first person in line gets them held for a limited time and is ' +
+      'notified with an `ofertaId` to book them through POST /api/reservas. Unclaimed offers go to the next in line. ' +
+      'Events with several price categories keep a line per category, named in `categoria`.',
+    estado: 201,
+    ok: ref('EntradaListaEspera'),
+    respuestas: {
+      409: { description: 'Already on the waitlist, or enough seats are free to book directly', esquema: 'Error' }
+    },
+    errores: [404, 503]
+  },
+  'DELETE /api/inventario/{eventoId}/lista-espera': {
+    etiqueta: 'Inventario',
+    resumen: 'Leave the waitlist of an event',
+    ok: ref('EntradaListaEspera'),
+    errores: [404, 503]
+  },
+  'POST /api/admin/eventos': {
+    etiqueta: 'Administracion',
+    resumen: 'Create an event',
+    estado: 201,
+    ok: ref('Evento'),
+    errores: [409, 503]
+  },
+  'PUT /api/admin/eventos/{eventoId}': {
+    etiqueta: 'Administracion',
+    resumen: 'Replace an event',
+    ok: ref('Evento'),
+    errores: [404, 409, 503]
+  },
+  'PATCH /api/admin/eventos/{eventoId}': {
+    etiqueta: 'Administracion',
+    resumen: 'Update some fields of an event',
+    ok: ref('Evento'),
+    errores: [404, 409, 503]
+  },
+  'DELETE /api/admin/eventos/{eventoId}': {
+    etiqueta: 'Administracion',
+    resumen: 'Delete an event with no held or sold seats',
+    ok: OBJETO,
+    errores: [404, 409, 503]
+  },
+  'GET /api/admin/promociones': {
+    etiqueta: 'Administracion',
+    resumen: 'List promo codes with their usage',
+    ok: lista(ref('Promocion')),
+    errores: [503]
+  },
+  'GET /api/admin/promociones/{codigo}': {
+    etiqueta: 'Administracion',
+    resumen: 'Get a promo code and the reservations that used it',
+    ok: ref('Promocion'),
+    errores: [404, 503]
+  },
+  'POST /api/admin/promociones': {
+    etiqueta: 'Administracion',
+    resumen: 'Create a percentage or fixed promo code',
+    estado: 201,
+    ok: ref('Promocion'),
+    errores: [409, 503]
+  },
+  'DELETE /api/admin/promociones/{codigo}': {
+    etiqueta: 'Administracion',
+    resumen: 'Deactivate a promo code',
+    ok: ref('Promocion'),
+    errores: [404, 503]
+  },
+  'POST /api/admin/simular-fallo': {
+    etiqueta: 'Administracion',
+    resumen: 'Turn the simulated inventario outage on or off',
+    ok: OBJETO,
+    errores: [503]
+  },
+  'POST /api/admin/simular-latencia': {
+    etiqueta: 'Administracion',
+    resumen: 'Turn the simulated pagos latency on or off',
+    ok: OBJETO,
+    errores: [503]
+  },
+  'POST /api/admin/configurar-evento': {
+    etiqueta: 'Administracion',
+    resumen: 'Resize the only price category of a demo event',
+    ok: OBJETO,
+    errores: [404, 409, 503]
+  },
+  'POST /demo/{demoName}': { etiqueta: 'Demos', resumen: 'Run a fault tolerance demo', ok: OBJETO },
+  'GET /api/openapi.json': { etiqueta: 'General', resumen: 'This OpenAPI document', ok: OBJETO },
+  'GET /api/docs': { etiqueta: 'General', resumen: 'Interactive API docs', ok: { type: 'string' }, tipo: 'text/html' }
+};
+
+function rutaOpenApi(ruta) {
+  return ruta.replace(/:(\w+)/g, '{$1}');
+}
+
+function contenido(esquema, tipo = 'application/json') {
+  return { content: { [tipo]: { schema: esquema } } };
+}
+
+function respuesta(codigo, { description, esquema }) {
+  return [String(codigo), {
+    description,
+    ...(esquema ? contenido(ref(esquema)) : {})
+  }];
+}
+
+function parametros(ubicacion, esquema) {
+  if (!esquema) {
+    return [];
+  }
+  const requeridos = esquema.required || [];
+  return Object.entries(esquema.properties).map(([nombre, propiedad]) => ({
+    name: nombre,
+    in: ubicacion === 'params' ? 'path' : 'query',
+    required: requeridos.includes(nombre),
+    schema: propiedad
+  }));
+}
+
+// App-level middleware that runs before the route and whose mount path covers it
+function middlewaresPrevios(pila, indice, ruta) {
+  return pila.slice(0, indice)
+    .filter(capa => !capa.route && capa.regexp.test(ruta))
+    .map(capa => capa.handle);
+}
+
+// getApiReservasIdSaga for GET /api/reservas/{id}/saga
+function idOperacion(metodo, ruta) {
+  return metodo + ruta
+    .replace(/[{}]/g, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(parte => parte[0].toUpperCase() + parte.slice(1))
+    .join('');
+}
+
+function describirRuta(pila, indice, { limitadores }) {
+  const { route } = pila[indice];
+  const ruta = rutaOpenApi(route.path);
+  const metodo = Object.keys(route.methods)[0];
+  const clave = `${metodo.toUpperCase()} ${ruta}`;
+
+  const documentacion = OPERACIONES[clave];
+  if (!documentacion) {
+    logger.warn(`OpenAPI: no description for ${clave}`);
+  }
+  const {
+    etiqueta = 'General',
+    resumen = clave,
+    descripcion,
+    estado = 200,
+    ok = OBJETO,
+    tipo,
+    respuestas = {},
+    errores = []
+  } = documentacion || {};
+
+  const handlers = [
+    ...middlewaresPrevios(pila, indice, route.path),
+    ...route.stack.map(capa => capa.handle)
+  ];
+  const esquemas = Object.assign({}, ...handlers.filter(h => h.esquemas).map(h => h.esquemas));
+  const guardas = handlers.filter(h => h.roles);
+  const roles = guardas.flatMap(h => h.roles);
+
+  const codigos = [
+    ...(esquemas.params || esquemas.query || esquemas.body ? [400] : []),
+    ...(guardas.length > 0 ? [401] : []),
+    ...(roles.length > 0 ? [403] : []),
+    ...(handlers.some(h => limitadores.includes(h)) ? [429] : []),
+    ...errores
+  ].filter(codigo => !respuestas[codigo]);
+
+  const textos = [roles.length > 0 ? `Roles: ${roles.join(', ')}.` : null, descripcion].filter(Boolean);
+
+  const operacion = {
+    tags: [etiqueta],
+    summary: resumen,
+    operationId: idOperacion(metodo, ruta),
+    ...(textos.length > 0 ? { description: textos.join(' ') } : {}),
+    ...(guardas.length > 0 ? { security: SEGURIDAD } : {}),
+    parameters: [...parametros('params', esquemas.params), ...parametros('query', esquemas.query)],
+    ...(esquemas.body ? { requestBody: { required: true, ...contenido(esquemas.body) } } : {}),
+    responses: Object.fromEntries([
+      [String(estado), { description: 'OK', ...contenido(ok, tipo) }],
+      ...Object.entries(respuestas).map(([codigo, datos]) => respuesta(codigo, datos)),
+      ...codigos.map(codigo => respuesta(codigo, RESPUESTAS[codigo]))
+    ])
+  };
+
+  return { ruta, metodo, operacion };
+}
+
+function construirOpenApi(app, { titulo, version, limitadores }) {
+  const pila = app._router.stack;
+  const paths = {};
+
+  pila.forEach((capa, indice) => {
+    if (!capa.route) {
+      return;
+    }
+    const { ruta, metodo, operacion } = describirRuta(pila, indice, { limitadores });
+    paths[ruta] = { ...paths[ruta], [metodo]: operacion };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: titulo,
+      version,
+      description: 'Every error answers with a JSON body carrying `error`. Invalid requests list each field in `detalles`.'
+    },
+    paths,
+    components: {
+      schemas: ESQUEMAS,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+}
+
+const PAGINA_DOCS = `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Sistema de Reservas - API</title>
+  <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// Mounts GET /api/openapi.json and the Swagger UI page at /api/docs. The
+// document is generated from the routes registered on the app (paths,
+// validation schemas, role guards, rate limiters), so it is built on the first
+// request, once every route is in place. `limitadores` are the rate limiting
+// middlewares whose routes may answer 429.
+function montarOpenApi(app, { titulo, version, limitadores = [] }) {
+  let documento = null;
+
+  app.get('/api/openapi.json', (req, res) => {
+    if (!documento) {
+      documento = construirOpenApi(app, { titulo, version, limitadores });
+    }
+    res.json(documento);
+  });
+
+  app.use('/api/docs/assets', express.static(swaggerUi.getAbsoluteFSPath()));
+  app.get('/api/docs', (req, res) => {
+    res.type('html').send(PAGINA_DOCS);
+  });
+}
+
+module.exports = {
+  montarOpenApi
+};
@@ -0,0 +1,126 @@
+const axios = require('axios');
+
+const ESTADOS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+const RESUMEN = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+function conTimeout(promesa, ms) {
+  let temporizador;
+  const limite = new Promise((resolve, reject) => {
+    temporizador = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promesa, limite]).finally(() => clearTimeout(temporizador));
+}
+
+// Each dependency is probed through its `url` (an HTTP health endpoint) or
+// its `sondear()` function. `critica` marks the ones bookings cannot work
+// without; `evaluar(datos)` may return { estado, detalle } to downgrade a
+// dependency that answers but reports a problem; `circuitBreakers(datos)`
+// gets every probe's payload by name and returns the state of the breakers
+// that guard calls to it, keyed by the caller.
+class MonitorSalud {
+  constructor(dependencias, { timeoutMs = 2000, lentoMs = 1000 } = {}) {
+    this.dependencias = dependencias;
+    this.timeoutMs = timeoutMs;
+    this.lentoMs = lentoMs;
+    this.enCurso = null;
+  }
+
+  async _sondear(dependencia) {
+    const inicio = Date.now();
+
+    try {
+      const datos = dependencia.url
+        ? (await axios.get(dependencia.url, { timeout: this.timeoutMs })).data
+        : await conTimeout(dependencia.sondear(), this.timeoutMs);
+      const latenciaMs = Date.now() - inicio;
+      const evaluado = dependencia.evaluar ? dependencia.evaluar(datos) : null;
+
+      if (evaluado) {
+        return { ...evaluado, latenciaMs, datos };
+      }
+      if (latenciaMs > this.lentoMs) {
+        return { estado: ESTADOS.DEGRADED, detalle: `Slow response (${latenciaMs}ms)`, latenciaMs, datos };
+      }
+      return { estado: ESTADOS.UP, latenciaMs, datos };
+    } catch (error) {
+      const detalle = error.code === 'ECONNABORTED'
+        ? `Timed out after ${this.timeoutMs}ms`
+        : error.response ? `HTTP ${error.response.status}` : error.message;
+      return { estado: ESTADOS.DOWN, detalle, latenciaMs: Date.now() - inicio, datos: null };
+    }
+  }
+
+  async _comprobar() {
+    const inicio = Date.now();
+    const sondeos = await Promise.all(this.dependencias.map(dependencia => this._sondear(dependencia)));
+
+    const datosPorNombre = {};
+    this.dependencias.forEach((dependencia, i) => {
+      datosPorNombre[dependencia.nombre] = sondeos[i].datos;
+    });
+
+    const dependencias = {};
+    this.dependencias.forEach((dependencia, i) => {
+      const { estado, detalle, latenciaMs } = sondeos[i];
+      const circuitBreakers = dependencia.circuitBreakers
+        ? dependencia.circuitBreakers(datosPorNombre)
+        : {};
+      const abiertos = Object.keys(circuitBreakers).filter(origen => circuitBreakers[origen] === 'OPEN');
+
+      // Reachable, but some caller has stopped sending it traffic
+      const degradadoPorBreaker = estado === ESTADOS.UP && abiertos.length > 0;
+
+      dependencias[dependencia.nombre] = {
+        status: degradadoPorBreaker ? ESTADOS.DEGRADED : estado,
+        critica: Boolean(dependencia.critica),
+        latenciaMs,
+        circuitBreakers,
+        usadoPor: dependencia.usadoPor || [],
+        ...(degradadoPorBreaker ? { detalle: `Circuit breaker open in ${abiertos.join(', ')}` } : {}),
+        ...(detalle ? { detalle } : {})
+      };
+    });
+
+    return {
+      status: consolidar(Object.values(dependencias)),
+      timestamp: new Date().toISOString(),
+      duracionMs: Date.now() - inicio,
+      dependencias
+    };
+  }
+
+  // Concurrent callers (dashboard, orchestrator probes) share one round of probes
+  comprobar() {
+    if (!this.enCurso) {
+      this.enCurso = this._comprobar().finally(() => {
+        this.enCurso = null;
+      });
+    }
+    return this.enCurso;
+  }
+}
+
+function consolidar(dependencias) {
+  if (dependencias.some(d => d.critica && d.status === ESTADOS.DOWN)) {
+    return RESUMEN.DOWN;
+  }
+  if (dependencias.some(d => d.status !== ESTADOS.UP)) {
+    return RESUMEN.DEGRADED;
+  }
+  return RESUMEN.HEALTHY;
+}
+
+module.exports = {
+  ESTADOS,
+  RESUMEN,
+  MonitorSalud
+};
@@ -0,0 +1,584 @@
+const ASIENTOS_POR_FILA = 10;
+const MS_POR_MINUTO = 60 * 1000;
+
+const ESTADOS_ASIENTO = {
+  DISPONIBLE: 'disponible',
+  RETENIDO: 'retenido',
+  RESERVADO: 'reservado'
+};
+
+function etiquetaFila(indice) {
+  let etiqueta = '';
+  let n = indice + 1;
+  while (n > 0) {
+    const resto = (n - 1) % 26;
+    etiqueta = String.fromCharCode(65 + resto) + etiqueta;
+    n = Math.floor((n - 1) / 26);
+  }
+  return etiqueta;
+}
+
+function generarSecciones(capacidad, nombre = 'General') {
+  return [{
+    nombre,
+    filas: Math.ceil(capacidad / ASIENTOS_POR_FILA),
+    asientosPorFila: Math.min(capacidad, ASIENTOS_POR_FILA)
+  }];
+}
+
+function crearMapaAsientos(secciones, capacidad = Infinity, categoria = null) {
+  const asientos = [];
+
+  for (const seccion of secciones) {
+    const codigo = seccion.nombre.toUpperCase().replace(/\s+/g, '_');
+
+    for (let f = 0; f < seccion.filas; f++) {
+      const fila = etiquetaFila(f);
+
+      for (let numero = 1; numero <= seccion.asientosPorFila; numero++) {
+        if (asientos.length >= capacidad) {
+          return asientos;
+        }
+
+        asientos.push({
+          id: `${codigo}-${fila}-${numero}`,
+          seccion: seccion.nombre,
+          categoria,
+          fila,
+          numero,
+          estado: ESTADOS_ASIENTO.DISPONIBLE
+        });
+      }
+    }
+  }
+
+  return asientos;
+}
+
+function contarDisponibles(asientos) {
+  return asientos.filter(a => a.estado === ESTADOS_ASIENTO.DISPONIBLE).length;
+}
+
+// Keeps the event's count and each price category's in step with the seats
+function recontar(evento) {
+  const porCategoria = new Map();
+
+  for (const asiento of evento.asientos) {
+    if (asiento.estado === ESTADOS_ASIENTO.DISPONIBLE) {
+      porCategoria.set(asiento.categoria, (porCategoria.get(asiento.categoria) || 0) + 1);
+    }
+  }
+
+  for (const categoria of evento.categorias || []) {
+    categoria.asientosDisponibles = porCategoria.get(categoria.id) || 0;
+  }
+  evento.asientosDisponibles = contarDisponibles(evento.asientos);
+}
+
+function resumenEvento(evento) {
+  const { asientos, ventasRecientes, ...resumen } = evento;
+  return resumen;
+}
+
+function resumenSecciones(asientos) {
+  const secciones = new Map();
+
+  for (const asiento of asientos) {
+    if (!secciones.has(asiento.seccion)) {
+      secciones.set(asiento.seccion, { nombre: asiento.seccion, total: 0, disponibles: 0, retenidos: 0 });
+    }
+    const seccion = secciones.get(asiento.seccion);
+    seccion.total++;
+    if (asiento.estado === ESTADOS_ASIENTO.DISPONIBLE) {
+      seccion.disponibles++;
+    } else if (asiento.estado === ESTADOS_ASIENTO.RETENIDO) {
+      seccion.retenidos++;
+    }
+  }
+
+  return Array.from(secciones.values());
+}
+
+function resumenCategorias(evento) {
+  return (evento.categorias || []).map(({ id, nombre, precio, precioBase, ajustes, capacidad, asientosDisponibles }) => ({
+    id,
+    nombre,
+    precio,
+    precioBase,
+    ajustes,
+    capacidad,
+    asientosDisponibles,
+    disponible: asientosDisponibles > 0
+  }));
+}
+
+// Free seats of one price category, or of the whole event without one
+function disponiblesEn(evento, categoria) {
+  if (!categoria) {
+    return evento.asientosDisponibles;
+  }
+  const encontrada = (evento.categorias || []).find(c => c.id === categoria);
+  return encontrada ? encontrada.asientosDisponibles : 0;
+}
+
+// Seats taken lately, which demand pricing reads. Only kept while the event
+// has a demand rule, and only as far back as its window.
+function registrarVenta(evento, cantidad, ahora) {
+  const demanda = evento.preciosDinamicos && evento.preciosDinamicos.demanda;
+  if (!demanda) {
+    delete evento.ventasRecientes;
+    return;
+  }
+
+  const desde = ahora - demanda.ventanaMinutos * MS_POR_MINUTO;
+  evento.ventasRecientes = [
+    ...(evento.ventasRecientes || []).filter(venta => venta.timestamp > desde),
+    { timestamp: ahora, asientos: cantidad }
+  ];
+}
+
+// A held seat whose hold has run out counts as free even before the sweeper
+// puts it back, so an abandoned checkout never blocks the next customer.
+function estaLibre(asiento, ahora) {
+  return asiento.estado === ESTADOS_ASIENTO.DISPONIBLE ||
+    (asiento.estado === ESTADOS_ASIENTO.RETENIDO && asiento.retenidoHasta <= ahora);
+}
+
+function soltarAsiento(asiento) {
+  asiento.estado = ESTADOS_ASIENTO.DISPONIBLE;
+  delete asiento.retencion;
+  delete asiento.retenidoHasta;
+}
+
+// Mirrors SCRIPT_RESERVAR: every requested seat is validated before any of
+// them changes state, so the reservation applies all or nothing. With a
+// `retencion` the seats are held until `retencion.expiraEn` instead of sold.
+// A count of seats on an event with several price categories must name the
+// one to take them from; with `categoria` only its seats can be taken.
+function reservarAsientos(evento, { asientoIds = [], cantidad, categoria } = {}, retencion = null, ahora = Date.now()) {
+  const indice = new Map(evento.asientos.map(a => [a.id, a]));
+  const categorias = evento.categorias || [];
+  let seleccionados = [];
+
+  if (categoria && !categorias.some(c => c.id === categoria)) {
+    throw new Error(`Category not found: ${categoria}`);
+  }
+  if (!categoria && categorias.length > 1 && asientoIds.length === 0) {
+    throw new Error('Category required');
+  }
+
+  if (asientoIds.length > 0) {
+    const vistos = new Set();
+
+    for (const id of asientoIds) {
+      const asiento = indice.get(id);
+      if (!asiento) {
+        throw new Error(`Seat not found: ${id}`);
+      }
+      if (vistos.has(id)) {
+        throw new Error(`Duplicate seat: ${id}`);
+      }
+      if (categoria && asiento.categoria !== categoria) {
+        throw new Error(`Seat not in category: ${id}`);
+      }
+      if (!estaLibre(asiento, ahora)) {
+        throw new Error(`Seat not available: ${id}`);
+      }
+      vistos.add(id);
+      seleccionados.push(asiento);
+    }
+  } else {
+    seleccionados = evento.asientos
+      .filter(a => (!categoria || a.categoria === categoria) && estaLibre(a, ahora))
+      .slice(0, cantidad);
+
+    if (seleccionados.length < cantidad) {
+      throw new Error('Insufficient seats');
+    }
+  }
+
+  for (const asiento of seleccionados) {
+    soltarAsiento(asiento);
+    if (retencion) {
+      asiento.estado = ESTADOS_ASIENTO.RETENIDO;
+      asiento.retencion = retencion.token;
+      asiento.retenidoHasta = retencion.expiraEn;
+    } else {
+      asiento.estado = ESTADOS_ASIENTO.RESERVADO;
+    }
+  }
+  recontar(evento);
+  registrarVenta(evento, seleccionados.length, ahora);
+
+  return seleccionados.map(a => a.id);
+}
+
+function confirmarRetencion(evento, asientoIds, token, ahora = Date.now()) {
+  const indice = new Map(evento.asientos.map(a => [a.id, a]));
+
+  for (const id of asientoIds) {
+    const asiento = indice.get(id);
+    if (!asiento || asiento.retencion !== token || asiento.retenidoHasta <= ahora) {
+      throw new Error(`Hold expired: ${token}`);
+    }
+  }
+
+  for (const id of asientoIds) {
+    const asiento = indice.get(id);
+    soltarAsiento(asiento);
+    asiento.estado = ESTADOS_ASIENTO.RESERVADO;
+  }
+  recontar(evento);
+
+  return asientoIds;
+}
+
+// Pushes back the expiry of a live hold; the seats stay held under the token
+function prolongarRetencion(evento, asientoIds, token, expiraEn, ahora = Date.now()) {
+  const indice = new Map(evento.asientos.map(a => [a.id, a]));
+
+  for (const id of asientoIds) {
+    const asiento = indice.get(id);
+    if (!asiento || asiento.retencion !== token || asiento.retenidoHasta <= ahora) {
+      throw new Error(`Hold expired: ${token}`);
+    }
+  }
+
+  for (const id of asientoIds) {
+    indice.get(id).retenidoHasta = expiraEn;
+  }
+
+  return asientoIds;
+}
+
+// Without a token every listed seat goes back to stock; with one, only the
+// seats still held under that token do, so a late release of an expired hold
+// cannot free seats that somebody else has taken since.
+function liberarAsientos(evento, asientoIds, token = null) {
+  const indice = new Map(evento.asientos.map(a => [a.id, a]));
+
+  for (const id of asientoIds) {
+    if (!indice.has(id)) {
+      throw new Error(`Seat not found: ${id}`);
+    }
+  }
+
+  const liberados = [];
+  for (const id of asientoIds) {
+    const asiento = indice.get(id);
+    if (token && asiento.retencion !== token) {
+      continue;
+    }
+    if (asiento.estado !== ESTADOS_ASIENTO.DISPONIBLE) {
+      soltarAsiento(asiento);
+      liberados.push(id);
+    }
+  }
+  recontar(evento);
+
+  return liberados;
+}
+
+function barrerRetenciones(evento, ahora = Date.now()) {
+  let liberados = 0;
+
+  for (const asiento of evento.asientos) {
+    if (asiento.estado === ESTADOS_ASIENTO.RETENIDO && asiento.retenidoHasta <= ahora) {
+      soltarAsiento(asiento);
+      liberados++;
+    }
+  }
+  recontar(evento);
+
+  return liberados;
+}
+
+const LUA_COMUN = `
+  local function indexar(asientos)
+    local indice = {}
+    for _, asiento in ipairs(asientos) do
+      indice[asiento.id] = asiento
+    end
+    return indice
+  end
+
+  local function estaLibre(asiento, ahora)
+    return asiento.estado == 'disponible' or
+      (asiento.estado == 'retenido' and asiento.retenidoHasta <= ahora)
+  end
+
+  local function soltar(asiento)
+    asiento.estado = 'disponible'
+    asiento.retencion = nil
+    asiento.retenidoHasta = nil
+  end
+
+  local function recontar(eventoData)
+    local total = 0
+    local porCategoria = {}
+    for _, asiento in ipairs(eventoData.asientos) do
+      if asiento.estado == 'disponible' then
+        total = total + 1
+        if asiento.categoria then
+          porCategoria[asiento.categoria] = (porCategoria[asiento.categoria] or 0) + 1
+        end
+      end
+    end
+    if eventoData.categorias then
+      for _, categoria in ipairs(eventoData.categorias) do
+        categoria.asientosDisponibles = porCategoria[categoria.id] or 0
+      end
+    end
+    eventoData.asientosDisponibles = total
+  end
+`;
+
+const SCRIPT_RESERVAR = LUA_COMUN + `
+  local key = KEYS[1]
+  local solicitados = cjson.decode(ARGV[1])
+  local cantidad = tonumber(ARGV[2])
+  local ahora = tonumber(ARGV[3])
+  local token = ARGV[4]
+  local expiraEn = tonumber(ARGV[5])
+  local categoria = ARGV[6]
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+  local indice = indexar(eventoData.asientos)
+
+  local categorias = eventoData.categorias or {}
+  if categoria ~= '' then
+    local existe = false
+    for _, c in ipairs(categorias) do
+      if c.id == categoria then
+        existe = true
+      end
+    end
+    if not existe then
+      return {err = 'Category not found: ' .. categoria}
+    end
+  elseif #categorias > 1 and #solicitados == 0 then
+    return {err = 'Category required'}
+  end
+
+  local seleccionados = {}
+  if #solicitados > 0 then
+    local vistos = {}
+    for _, id in ipairs(solicitados) do
+      local asiento = indice[id]
+      if not asiento then
+        return {err = 'Seat not found: ' .. id}
+      end
+      if vistos[id] then
+        return {err = 'Duplicate seat: ' .. id}
+      end
+      if categoria ~= '' and asiento.categoria ~= categoria then
+        return {err = 'Seat not in category: ' .. id}
+      end
+      if not estaLibre(asiento, ahora) then
+        return {err = 'Seat not available: ' .. id}
+      end
+      vistos[id] = true
+      table.insert(seleccionados, asiento)
+    end
+  else
+    for _, asiento in ipairs(eventoData.asientos) do
+      if #seleccionados >= cantidad then
+        break
+      end
+      if (categoria == '' or asiento.categoria == categoria) and estaLibre(asiento, ahora) then
+        table.insert(seleccionados, asiento)
+      end
+    end
+    if #seleccionados < cantidad then
+      return {err = 'Insufficient seats'}
+    end
+  end
+
+  local ids = {}
+  for _, asiento in ipairs(seleccionados) do
+    soltar(asiento)
+    if token ~= '' then
+      asiento.estado = 'retenido'
+      asiento.retencion = token
+      asiento.retenidoHasta = expiraEn
+    else
+      asiento.estado = 'reservado'
+    end
+    table.insert(ids, asiento.id)
+  end
+
+  recontar(eventoData)
+
+  local reglas = eventoData.preciosDinamicos
+  if type(reglas) == 'table' and type(reglas.demanda) == 'table' then
+    local desde = ahora - reglas.demanda.ventanaMinutos * ${MS_POR_MINUTO}
+    local ventas = {}
+    if type(eventoData.ventasRecientes) == 'table' then
+      for _, venta in ipairs(eventoData.ventasRecientes) do
+        if venta.timestamp > desde then
+          table.insert(ventas, venta)
+        end
+      end
+    end
+    table.insert(ventas, { timestamp = ahora, asientos = #ids })
+    eventoData.ventasRecientes = ventas
+  else
+    eventoData.ventasRecientes = nil
+  end
+
+  redis.call('SET', key, cjson.encode(eventoData))
+
+  return cjson.encode({ asientos = ids, asientosDisponibles = eventoData.asientosDisponibles })
+`;
+
+const SCRIPT_CONFIRMAR = LUA_COMUN + `
+  local key = KEYS[1]
+  local solicitados = cjson.decode(ARGV[1])
+  local token = ARGV[2]
+  local ahora = tonumber(ARGV[3])
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+  local indice = indexar(eventoData.asientos)
+
+  for _, id in ipairs(solicitados) do
+    local asiento = indice[id]
+    if not asiento or asiento.retencion ~= token or asiento.retenidoHasta <= ahora then
+      return {err = 'Hold expired: ' .. token}
+    end
+  end
+
+  for _, id in ipairs(solicitados) do
+    local asiento = indice[id]
+    soltar(asiento)
+    asiento.estado = 'reservado'
+  end
+
+  recontar(eventoData)
+  redis.call('SET', key, cjson.encode(eventoData))
+
+  return cjson.encode({ asientos = solicitados, asientosDisponibles = eventoData.asientosDisponibles })
+`;
+
+const SCRIPT_PROLONGAR = LUA_COMUN + `
+  local key = KEYS[1]
+  local solicitados = cjson.decode(ARGV[1])
+  local token = ARGV[2]
+  local ahora = tonumber(ARGV[3])
+  local expiraEn = tonumber(ARGV[4])
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+  local indice = indexar(eventoData.asientos)
+
+  for _, id in ipairs(solicitados) do
+    local asiento = indice[id]
+    if not asiento or asiento.retencion ~= token or asiento.retenidoHasta <= ahora then
+      return {err = 'Hold expired: ' .. token}
+    end
+  end
+
+  for _, id in ipairs(solicitados) do
+    indice[id].retenidoHasta = expiraEn
+  end
+
+  redis.call('SET', key, cjson.encode(eventoData))
+
+  return cjson.encode({ asientos = solicitados, asientosDisponibles = eventoData.asientosDisponibles })
+`;
+
+const SCRIPT_LIBERAR = LUA_COMUN + `
+  local key = KEYS[1]
+  local solicitados = cjson.decode(ARGV[1])
+  local token = ARGV[2]
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+  local indice = indexar(eventoData.asientos)
+
+  for _, id in ipairs(solicitados) do
+    if not indice[id] then
+      return {err = 'Seat not found: ' .. id}
+    end
+  end
+
+  local liberados = 0
+  for _, id in ipairs(solicitados) do
+    local asiento = indice[id]
+    if (token == '' or asiento.retencion == token) and asiento.estado ~= 'disponible' then
+      soltar(asiento)
+      liberados = liberados + 1
+    end
+  end
+
+  recontar(eventoData)
+  redis.call('SET', key, cjson.encode(eventoData))
+
+  return cjson.encode({ liberados = liberados, asientosDisponibles = eventoData.asientosDisponibles })
+`;
+
+const SCRIPT_BARRER = LUA_COMUN + `
+  local key = KEYS[1]
+  local ahora = tonumber(ARGV[1])
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return 0
+  end
+
+  local eventoData = cjson.decode(evento)
+  local liberados = 0
+  for _, asiento in ipairs(eventoData.asientos) do
+    if asiento.estado == 'retenido' and asiento.retenidoHasta <= ahora then
+      soltar(asiento)
+      liberados = liberados + 1
+    end
+  end
+
+  if liberados > 0 then
+    recontar(eventoData)
+    redis.call('SET', key, cjson.encode(eventoData))
+  end
+
+  return liberados
+`;
+
+module.exports = {
+  ESTADOS_ASIENTO,
+  generarSecciones,
+  crearMapaAsientos,
+  contarDisponibles,
+  recontar,
+  resumenEvento,
+  resumenSecciones,
+  resumenCategorias,
+  disponiblesEn,
+  reservarAsientos,
+  confirmarRetencion,
+  prolongarRetencion,
+  liberarAsientos,
+  barrerRetenciones,
+  LUA_COMUN,
+  SCRIPT_RESERVAR,
+  SCRIPT_CONFIRMAR,
+  SCRIPT_PROLONGAR,
+  SCRIPT_LIBERAR,
+  SCRIPT_BARRER
+};
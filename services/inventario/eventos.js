@@ -0,0 +1,434 @@
+const { CAPACIDAD_MAXIMA } = require('../../shared/esquemas');
+const { crearMapaAsientos, generarSecciones, contarDisponibles, LUA_COMUN } = require('./asientos');
+
+// The one category of events sold at a single price
+const CATEGORIA_GENERAL = { id: 'general', nombre: 'General' };
+
+const EVENTOS_INICIALES = [
+  {
+    id: 'evento-1',
+    nombre: 'Rock Concert',
+    recinto: 'Estadio Central',
+    fecha: '2026-12-05T21:00:00.000Z',
+    descripcion: 'Concierto de rock con las bandas locales mas destacadas',
+    precio: 50,
+    secciones: [
+      { nombre: 'Pista', filas: 5, asientosPorFila: 10 },
+      { nombre: 'Grada', filas: 5, asientosPorFila: 10 }
+    ],
+    politicaCancelacion: [
+      { horasAntes: 168, porcentaje: 100 },
+      { horasAntes: 24, porcentaje: 50 }
+    ]
+  },
+  {
+    id: 'evento-2',
+    nombre: 'Classical Theater',
+    recinto: 'Teatro Nacional',
+    fecha: '2026-12-12T19:30:00.000Z',
+    descripcion: 'Obra clasica interpretada por la compania nacional de teatro',
+    precio: 30,
+    secciones: [
+      { nombre: 'Platea', filas: 3, asientosPorFila: 10 },
+      { nombre: 'Palco', filas: 2, asientosPorFila: 10 }
+    ],
+    politicaCancelacion: [{ horasAntes: 48, porcentaje: 100 }]
+  },
+  {
+    id: 'evento-3',
+    nombre: 'Music Festival',
+    recinto: 'Parque Metropolitano',
+    fecha: '2027-01-16T16:00:00.000Z',
+    descripcion: 'Festival de musica al aire libre con tres escenarios',
+    precio: 80,
+    secciones: [{ nombre: 'General', filas: 20, asientosPorFila: 25 }],
+    preciosDinamicos: {
+      anticipada: [{ hasta: '2026-12-01T00:00:00.000Z', ajuste: -20 }],
+      escalones: [
+        { porcentajeRestante: 50, ajuste: 10 },
+        { porcentajeRestante: 20, ajuste: 25 }
+      ],
+      demanda: { ventanaMinutos: 60, asientos: 50, ajuste: 15 }
+    }
+  },
+  {
+    id: 'evento-4',
+    nombre: 'Stand-up Comedy',
+    recinto: 'Sala Humor',
+    fecha: '2026-11-28T22:00:00.000Z',
+    descripcion: 'Noche de comedia con un unico asiento disponible',
+    precio: 25,
+    secciones: [{ nombre: 'Platea', filas: 1, asientosPorFila: 1 }]
+  },
+  {
+    id: 'evento-5',
+    nombre: 'Jazz Night',
+    recinto: 'Auditorio Municipal',
+    fecha: '2027-02-20T20:30:00.000Z',
+    descripcion: 'Noche de jazz con entradas VIP, general y reducida',
+    categorias: [
+      { id: 'vip', nombre: 'VIP', precio: 120, secciones: [{ nombre: 'Palco', filas: 2, asientosPorFila: 10 }] },
+      { id: 'general', nombre: 'General', precio: 60, secciones: [{ nombre: 'Platea', filas: 8, asientosPorFila: 10 }] },
+      { id: 'reducida', nombre: 'Reducida', precio: 35, secciones: [{ nombre: 'Anfiteatro', filas: 3, asientosPorFila: 10 }] }
+    ],
+    politicaCancelacion: [{ horasAntes: 72, porcentaje: 100 }]
+  }
+];
+
+// What the schema cannot express: section names must be unique and the
+// layout must fit within the maximum capacity
+function validarDistribucion(secciones) {
+  const detalles = [];
+  const nombres = new Set();
+
+  secciones.forEach((seccion, i) => {
+    if (nombres.has(seccion.nombre)) {
+      detalles.push({ campo: `body.secciones[${i}].nombre`, mensaje: `is duplicated: ${seccion.nombre}` });
+    }
+    nombres.add(seccion.nombre);
+  });
+
+  const total = secciones.reduce((suma, s) => suma + s.filas * s.asientosPorFila, 0);
+  if (total > CAPACIDAD_MAXIMA) {
+    detalles.push({ campo: 'body.secciones', mensaje: `must not exceed ${CAPACIDAD_MAXIMA} seats in total` });
+  }
+
+  return detalles;
+}
+
+// Category ids and section names must be unique across the whole event, and
+// all categories together must fit within the maximum capacity
+function validarCategorias(categorias) {
+  const detalles = [];
+  const ids = new Set();
+  const secciones = new Set();
+  let total = 0;
+
+  categorias.forEach((categoria, i) => {
+    if (ids.has(categoria.id)) {
+      detalles.push({ campo: `body.categorias[${i}].id`, mensaje: `is duplicated: ${categoria.id}` });
+    }
+    ids.add(categoria.id);
+
+    for (const seccion of normalizarDistribucion(categoria)) {
+      if (secciones.has(seccion.nombre)) {
+        detalles.push({ campo: `body.categorias[${i}]`, mensaje: `repeats section ${seccion.nombre}` });
+      }
+      secciones.add(seccion.nombre);
+    }
+
+    total += categoria.capacidad || categoria.secciones.reduce((suma, s) => suma + s.filas * s.asientosPorFila, 0);
+  });
+
+  if (total > CAPACIDAD_MAXIMA) {
+    detalles.push({ campo: 'body.categorias', mensaje: `must not exceed ${CAPACIDAD_MAXIMA} seats in total` });
+  }
+
+  return detalles;
+}
+
+// An event with several categories has no single price or layout to change:
+// it takes new categorias, or a precio together with a layout to go back to
+// a single price
+function validarCambioCategorias(datos, evento) {
+  const cambiaDistribucion = datos.capacidad !== undefined || datos.secciones !== undefined;
+  if (datos.categorias || evento.categorias.length === 1 || (cambiaDistribucion && datos.precio !== undefined)) {
+    return [];
+  }
+
+  return ['precio', 'capacidad', 'secciones']
+    .filter(campo => datos[campo] !== undefined)
+    .map(campo => ({ campo: `body.${campo}`, mensaje: 'cannot be changed on an event with several price categories; send categorias' }));
+}
+
+// Each tier needs its own cut-off, or which one applies would be ambiguous
+function validarPoliticaCancelacion(politica) {
+  const detalles = [];
+  const horas = new Set();
+
+  politica.forEach((tramo, i) => {
+    if (horas.has(tramo.horasAntes)) {
+      detalles.push({ campo: `body.politicaCancelacion[${i}].horasAntes`, mensaje: `is duplicated: ${tramo.horasAntes}` });
+    }
+    horas.add(tramo.horasAntes);
+  });
+
+  return detalles;
+}
+
+// Two steps at the same threshold or two windows closing together would
+// leave which one applies ambiguous
+function validarPreciosDinamicos({ escalones = [], anticipada = [] }) {
+  const detalles = [];
+  const umbrales = new Set();
+  const cierres = new Set();
+
+  escalones.forEach((escalon, i) => {
+    if (umbrales.has(escalon.porcentajeRestante)) {
+      detalles.push({ campo: `body.preciosDinamicos.escalones[${i}].porcentajeRestante`, mensaje: `is duplicated: ${escalon.porcentajeRestante}` });
+    }
+    umbrales.add(escalon.porcentajeRestante);
+  });
+
+  anticipada.forEach((ventana, i) => {
+    const hasta = Date.parse(ventana.hasta);
+    if (cierres.has(hasta)) {
+      detalles.push({ campo: `body.preciosDinamicos.anticipada[${i}].hasta`, mensaje: `is duplicated: ${ventana.hasta}` });
+    }
+    cierres.add(hasta);
+  });
+
+  return detalles;
+}
+
+// Stored from the widest window to the narrowest
+function normalizarPolitica(politica) {
+  return politica
+    .map(({ horasAntes, porcentaje }) => ({ horasAntes, porcentaje }))
+    .sort((a, b) => b.horasAntes - a.horasAntes);
+}
+
+// Steps from the widest threshold to the narrowest, early-bird windows from
+// the first to close; a rule left out is stored as null
+function normalizarPreciosDinamicos({ escalones, demanda, anticipada }) {
+  return {
+    escalones: escalones
+      ? escalones
+        .map(({ porcentajeRestante, ajuste }) => ({ porcentajeRestante, ajuste }))
+        .sort((a, b) => b.porcentajeRestante - a.porcentajeRestante)
+      : null,
+    demanda: demanda
+      ? { ventanaMinutos: demanda.ventanaMinutos, asientos: demanda.asientos, ajuste: demanda.ajuste }
+      : null,
+    anticipada: anticipada
+      ? anticipada
+        .map(({ hasta, ajuste }) => ({ hasta: new Date(hasta).toISOString(), ajuste }))
+        .sort((a, b) => Date.parse(a.hasta) - Date.parse(b.hasta))
+      : null
+  };
+}
+
+// A generated layout takes the category's name for its section
+function normalizarDistribucion({ secciones, capacidad, nombre }) {
+  if (secciones) {
+    return secciones.map(({ nombre, filas, asientosPorFila }) => ({ nombre, filas, asientosPorFila }));
+  }
+  return generarSecciones(capacidad, nombre);
+}
+
+// Events sold at a single price get the general category, with the event's
+// own price and layout
+function normalizarCategorias(datos) {
+  if (datos.categorias) {
+    return datos.categorias.map(({ id, nombre, precio, capacidad, secciones }) => ({ id, nombre, precio, capacidad, secciones }));
+  }
+  return [{ ...CATEGORIA_GENERAL, precio: datos.precio, capacidad: datos.capacidad, secciones: datos.secciones }];
+}
+
+// The categories an update leaves the event with: the ones given, or its
+// single category with the new price or layout
+function categoriasActualizadas(datos, evento) {
+  if (datos.categorias) {
+    return normalizarCategorias(datos);
+  }
+
+  const unica = evento.categorias.length === 1 ? evento.categorias[0] : CATEGORIA_GENERAL;
+  const cambiaDistribucion = datos.capacidad !== undefined || datos.secciones !== undefined;
+
+  return [{
+    id: unica.id,
+    nombre: unica.nombre,
+    precio: datos.precio !== undefined ? datos.precio : unica.precio,
+    ...(cambiaDistribucion
+      ? { capacidad: datos.capacidad, secciones: datos.secciones }
+      : { capacidad: unica.capacidad, secciones: unica.distribucion })
+  }];
+}
+
+// Each category's seats follow the previous one's. A category given both
+// secciones and capacidad (only ever an existing layout being kept) is cut
+// at its capacity like a generated one.
+function construirMapa(categorias) {
+  const resultado = { categorias: [], asientos: [] };
+
+  for (const categoria of categorias) {
+    const distribucion = normalizarDistribucion(categoria);
+    const asientos = crearMapaAsientos(distribucion, categoria.capacidad || Infinity, categoria.id);
+
+    resultado.categorias.push({
+      id: categoria.id,
+      nombre: categoria.nombre,
+      precio: categoria.precio,
+      distribucion,
+      capacidad: asientos.length,
+      asientosDisponibles: contarDisponibles(asientos)
+    });
+    resultado.asientos.push(...asientos);
+  }
+
+  return {
+    ...resultado,
+    distribucion: resultado.categorias.flatMap(c => c.distribucion),
+    // The "from" price the catalog shows
+    precio: Math.min(...resultado.categorias.map(c => c.precio))
+  };
+}
+
+function mismosAsientos(nuevos, actuales) {
+  return nuevos.length === actuales.length &&
+    nuevos.every((asiento, i) => asiento.id === actuales[i].id && asiento.categoria === actuales[i].categoria);
+}
+
+function crearEvento(id, datos, ahora = new Date().toISOString()) {
+  const { categorias, distribucion, asientos, precio } = construirMapa(normalizarCategorias(datos));
+
+  return {
+    id,
+    nombre: datos.nombre,
+    recinto: datos.recinto,
+    fecha: new Date(datos.fecha).toISOString(),
+    descripcion: datos.descripcion || '',
+    precio,
+    politicaCancelacion: datos.politicaCancelacion ? normalizarPolitica(datos.politicaCancelacion) : null,
+    preciosDinamicos: datos.preciosDinamicos ? normalizarPreciosDinamicos(datos.preciosDinamicos) : null,
+    capacidad: asientos.length,
+    asientosDisponibles: contarDisponibles(asientos),
+    categorias,
+    distribucion,
+    asientos,
+    creadoEn: ahora,
+    actualizadoEn: ahora
+  };
+}
+
+// Returns the top-level fields to merge into the stored event. The seat map
+// is only rebuilt when the categories describe different seats, so a PUT
+// that repeats the current layout or only changes prices does not touch sold
+// seats. Availability per category is counted again once merged.
+function cambiosEvento(datos, evento, ahora = new Date().toISOString()) {
+  const cambios = { actualizadoEn: ahora };
+
+  for (const campo of ['nombre', 'recinto', 'descripcion']) {
+    if (datos[campo] !== undefined) {
+      cambios[campo] = datos[campo];
+    }
+  }
+
+  if (datos.politicaCancelacion !== undefined) {
+    cambios.politicaCancelacion = datos.politicaCancelacion ? normalizarPolitica(datos.politicaCancelacion) : null;
+  }
+
+  if (datos.preciosDinamicos !== undefined) {
+    cambios.preciosDinamicos = datos.preciosDinamicos ? normalizarPreciosDinamicos(datos.preciosDinamicos) : null;
+  }
+
+  if (datos.fecha !== undefined) {
+    cambios.fecha = new Date(datos.fecha).toISOString();
+  }
+
+  const cambiaCategorias = ['precio', 'capacidad', 'secciones', 'categorias'].some(campo => datos[campo] !== undefined);
+  if (cambiaCategorias) {
+    const { categorias, distribucion, asientos, precio } = construirMapa(categoriasActualizadas(datos, evento));
+    Object.assign(cambios, { categorias, distribucion, precio });
+
+    if (!mismosAsientos(asientos, evento.asientos)) {
+      cambios.asientos = asientos;
+      cambios.capacidad = asientos.length;
+    }
+  }
+
+  return cambios;
+}
+
+const SCRIPT_ACTUALIZAR_EVENTO = LUA_COMUN + `
+  local key = KEYS[1]
+  local cambios = cjson.decode(ARGV[1])
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+
+  if cambios.asientos then
+    for _, asiento in ipairs(eventoData.asientos) do
+      if asiento.estado ~= 'disponible' then
+        return {err = 'Event has active reservations'}
+      end
+    end
+  end
+
+  for campo, valor in pairs(cambios) do
+    eventoData[campo] = valor
+  end
+  recontar(eventoData)
+
+  local resultado = cjson.encode(eventoData)
+  redis.call('SET', key, resultado)
+  return resultado
+`;
+
+// Events stored before price categories existed get the general one, holding
+// all their seats at the event's price
+const SCRIPT_MIGRAR_CATEGORIAS = LUA_COMUN + `
+  local key = KEYS[1]
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return 0
+  end
+
+  local eventoData = cjson.decode(evento)
+  if eventoData.categorias then
+    return 0
+  end
+
+  eventoData.categorias = {{
+    id = '${CATEGORIA_GENERAL.id}',
+    nombre = '${CATEGORIA_GENERAL.nombre}',
+    precio = eventoData.precio,
+    distribucion = eventoData.distribucion,
+    capacidad = eventoData.capacidad
+  }}
+  for _, asiento in ipairs(eventoData.asientos) do
+    asiento.categoria = '${CATEGORIA_GENERAL.id}'
+  end
+  recontar(eventoData)
+
+  redis.call('SET', key, cjson.encode(eventoData))
+  return 1
+`;
+
+const SCRIPT_ELIMINAR_EVENTO = `
+  local key = KEYS[1]
+
+  local evento = redis.call('GET', key)
+  if not evento then
+    return {err = 'Event not found'}
+  end
+
+  local eventoData = cjson.decode(evento)
+  for _, asiento in ipairs(eventoData.asientos) do
+    if asiento.estado ~= 'disponible' then
+      return {err = 'Event has active reservations'}
+    end
+  end
+
+  redis.call('DEL', key)
+  return 1
+`;
+
+module.exports = {
+  EVENTOS_INICIALES,
+  validarDistribucion,
+  validarCategorias,
+  validarCambioCategorias,
+  validarPoliticaCancelacion,
+  validarPreciosDinamicos,
+  crearEvento,
+  cambiosEvento,
+  SCRIPT_ACTUALIZAR_EVENTO,
+  SCRIPT_MIGRAR_CATEGORIAS,
+  SCRIPT_ELIMINAR_EVENTO
+};
@@ -1,23 +1,80 @@
 const express = require('express');
 const cors = require('cors');
 const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../../shared/logger');
+const { idempotencia, conClaveIdempotencia } = require('../../shared/idempotencia');
+const { createResilientHttpClient } = require('../../shared/resilience-patterns');
+const { montarTrazas } = require('../../shared/trazas');
+const { ROLES, identidadInterna, requerirRol } = require('../../shared/autenticacion');
+const { client, montarMetricas, registrarEstadoRedis } = require('../../shared/prometheus');
+const { validar, responderInvalido, rechazarJsonInvalido } = require('../../shared/validacion');
+const {
+  PARAMS_EVENTO,
+  PARAMS_RETENCION,
+  CONSULTA_ASIENTOS,
+  TOMAR_ASIENTOS,
+  RETENER_ASIENTOS,
+  LIBERAR_ASIENTOS,
+  PROLONGAR_RETENCION,
+  UNIRSE_LISTA_ESPERA,
+  CONSULTA_LISTA_ESPERA,
+  ACEPTAR_OFERTA,
+  EVENTO,
+  EVENTO_PARCIAL,
+  SIMULACION_FALLO,
+  CONFIGURAR_EVENTO
+} = require('../../shared/esquemas');
+const {
+  ESTADOS_ASIENTO,
+  resumenEvento,
+  resumenSecciones,
+  resumenCategorias,
+  disponiblesEn,
+  recontar,
+  reservarAsientos,
+  confirmarRetencion,
+  prolongarRetencion,
+  liberarAsientos,
+  barrerRetenciones,
+  SCRIPT_RESERVAR,
+  SCRIPT_CONFIRMAR,
+  SCRIPT_PROLONGAR,
+  SCRIPT_LIBERAR,
+  SCRIPT_BARRER
+} = require('./asientos');
+const {
+  EVENTOS_INICIALES,
+  validarDistribucion,
+  validarCategorias,
+  validarCambioCategorias,
+  validarPoliticaCancelacion,
+  validarPreciosDinamicos,
+  crearEvento,
+  cambiosEvento,
+  SCRIPT_ACTUALIZAR_EVENTO,
+  SCRIPT_MIGRAR_CATEGORIAS,
+  SCRIPT_ELIMINAR_EVENTO
+} = require('./eventos');
+const { conPreciosActuales, precioRetencion } = require('./precios');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
-
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'inventario',
-    timestamp: new Date().toISOString()
-  });
-});
+app.use(rechazarJsonInvalido);
+montarTrazas(app, 'inventario');
+montarMetricas(app, 'inventario');
+app.use(identidadInterna());
+app.use('/admin', requerirRol(ROLES.ADMIN));
 
 const PORT = process.env.PORT || 3002;
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const NOTIFICACIONES_URL = process.env.NOTIFICACIONES_URL || 'http://localhost:3004';
 const SIMULAR_FALLO = process.env.SIMULAR_FALLO === 'true';
+const RETENCION_TTL_SEGUNDOS = parseInt(process.env.RETENCION_TTL_SEGUNDOS || '300', 10);
+const RETENCION_BARRIDO_MS = parseInt(process.env.RETENCION_BARRIDO_MS || '5000', 10);
+const OFERTA_TTL_SEGUNDOS = parseInt(process.env.OFERTA_TTL_SEGUNDOS || '900', 10);
+const IDEMPOTENCIA_TTL_SEGUNDOS = parseInt(process.env.IDEMPOTENCIA_TTL_SEGUNDOS || '86400', 10);
 
 const redis = new Redis(REDIS_URL, {
   retryStrategy: () => null,
@@ -34,6 +91,8 @@ redis.on('error', (error) => {
   redisConnected = false;
 });
 
+registrarEstadoRedis(() => redisConnected);
+
 redis.connect().then(() => {
   logger.info('Redis connected successfully');
   redisConnected = true;
@@ -53,20 +112,28 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(idempotencia({ redis, servicio: 'inventario', ttlSegundos: IDEMPOTENCIA_TTL_SEGUNDOS }));
+
 const inventarioMemoria = new Map();
 
 async function inicializarInventario() {
-  const eventos = [
-    { id: 'evento-1', nombre: 'Rock Concert', asientosDisponibles: 100, precio: 50 },
-    { id: 'evento-2', nombre: 'Classical Theater', asientosDisponibles: 50, precio: 30 },
-    { id: 'evento-3', nombre: 'Music Festival', asientosDisponibles: 500, precio: 80 },
-    { id: 'evento-4', nombre: 'Stand-up Comedy', asientosDisponibles: 1, precio: 25 }
-  ];
+  for (const datos of EVENTOS_INICIALES) {
+    const evento = crearEvento(datos.id, datos);
 
-  for (const evento of eventos) {
     inventarioMemoria.set(evento.id, evento);
     if (redisConnected) {
-      await redis.set(`inventario:${evento.id}`, JSON.stringify(evento));
+      // NX keeps events created or edited through the catalog API across restarts
+      await redis.set(`inventario:${evento.id}`, JSON.stringify(evento), 'NX');
+    }
+  }
+
+  if (redisConnected) {
+    let migrados = 0;
+    for (const key of await redis.keys('inventario:*')) {
+      migrados += await redis.eval(SCRIPT_MIGRAR_CATEGORIAS, 1, key);
+    }
+    if (migrados > 0) {
+      logger.info(`${migrados} events moved to a single price category`);
     }
   }
 
@@ -75,39 +142,56 @@ async function inicializarInventario() {
 
 inicializarInventario();
 
+async function obtenerEvento(eventoId) {
+  if (redisConnected) {
+    try {
+      const eventoData = await redis.get(`inventario:${eventoId}`);
+      if (eventoData) {
+        return JSON.parse(eventoData);
+      }
+    } catch (error) {
+      logger.warn(`Redis error reading evento ${eventoId}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  return inventarioMemoria.get(eventoId) || null;
+}
+
+const ERRORES_NEGOCIO = [
+  'Event not found',
+  'Insufficient seats',
+  'Seat not found',
+  'Seat not available',
+  'Duplicate seat',
+  'Category not found',
+  'Category required',
+  'Seat not in category',
+  'Hold expired',
+  'Event has active reservations'
+];
+
+function esErrorNegocio(error) {
+  return ERRORES_NEGOCIO.some(mensaje => error.message.includes(mensaje));
+}
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'inventario',
     timestamp: new Date().toISOString(),
-    simulandoFallo: SIMULAR_FALLO
+    simulandoFallo: process.env.SIMULAR_FALLO === 'true'
   });
 });
 
-app.get('/inventario/:eventoId', async (req, res) => {
+app.get('/inventario/:eventoId', validar({ params: PARAMS_EVENTO }), async (req, res) => {
   try {
     const { eventoId } = req.params;
     logger.info(`GET /inventario/${eventoId}`);
 
-    let evento = null;
-    
-    if (redisConnected) {
-      try {
-        const eventoData = await redis.get(`inventario:${eventoId}`);
-        if (eventoData) {
-          evento = JSON.parse(eventoData);
-        }
-      } catch (error) {
-        logger.warn(`Redis error reading evento ${eventoId}: ${error.message}. Falling back to memory.`);
-        redisConnected = false;
-      }
-    }
-    
-    if (!evento) {
-      evento = inventarioMemoria.get(eventoId);
-    }
+    const guardado = await obtenerEvento(eventoId);
     
-    if (!evento) {
+    if (!guardado) {
       logger.warn(`Event not found: ${eventoId}`);
       return res.status(404).json({ 
         error: 'Event not found',
@@ -115,14 +199,24 @@ app.get('/inventario/:eventoId', async (req, res) => {
       });
     }
 
+    const evento = conPreciosActuales(guardado);
+
     logger.info(`Available: ${evento.asientosDisponibles} seats for ${evento.nombre}`);
     
     res.json({
       eventoId: evento.id,
       nombre: evento.nombre,
+      recinto: evento.recinto,
+      fecha: evento.fecha,
+      descripcion: evento.descripcion,
+      capacidad: evento.capacidad,
       asientosDisponibles: evento.asientosDisponibles,
       precio: evento.precio,
-      disponible: evento.asientosDisponibles > 0
+      politicaCancelacion: evento.politicaCancelacion || null,
+      preciosDinamicos: evento.preciosDinamicos || null,
+      disponible: evento.asientosDisponibles > 0,
+      categorias: resumenCategorias(evento),
+      secciones: resumenSecciones(evento.asientos)
     });
 
   } catch (error) {
@@ -134,33 +228,97 @@ app.get('/inventario/:eventoId', async (req, res) => {
   }
 });
 
-app.get('/inventario', async (req, res) => {
+app.get('/inventario/:eventoId/asientos', validar({ params: PARAMS_EVENTO, query: CONSULTA_ASIENTOS }), async (req, res) => {
   try {
-    logger.info('GET /inventario');
+    const { eventoId } = req.params;
+    const { categoria, seccion, estado } = req.query;
+    logger.info(`GET /inventario/${eventoId}/asientos`);
 
-    let eventos = [];
-    
-    if (redisConnected) {
-      try {
-        const keys = await redis.keys('inventario:*');
-        for (const key of keys) {
-          const eventoData = await redis.get(key);
-          if (eventoData) {
-            eventos.push(JSON.parse(eventoData));
-          }
+    const guardado = await obtenerEvento(eventoId);
+
+    if (!guardado) {
+      return res.status(404).json({ error: 'Event not found', eventoId });
+    }
+
+    const evento = conPreciosActuales(guardado);
+
+    const asientos = evento.asientos.filter(asiento =>
+      (!categoria || asiento.categoria === categoria) &&
+      (!seccion || asiento.seccion === seccion) &&
+      (!estado || asiento.estado === estado)
+    );
+
+    res.json({
+      eventoId: evento.id,
+      nombre: evento.nombre,
+      asientosDisponibles: evento.asientosDisponibles,
+      categorias: resumenCategorias(evento),
+      secciones: resumenSecciones(evento.asientos),
+      asientos
+    });
+
+  } catch (error) {
+    logger.error(`Error getting seat map: ${error.message}`);
+    res.status(503).json({ 
+      error: 'Inventory service unavailable',
+      message: 'Please try again in a few seconds'
+    });
+  }
+});
+
+async function listarEventos() {
+  let eventos = [];
+
+  if (redisConnected) {
+    try {
+      const keys = await redis.keys('inventario:*');
+      for (const key of keys) {
+        const eventoData = await redis.get(key);
+        if (eventoData) {
+          eventos.push(JSON.parse(eventoData));
         }
-      } catch (error) {
-        logger.warn(`Redis error listing inventory: ${error.message}. Falling back to memory.`);
-        redisConnected = false;
       }
+    } catch (error) {
+      logger.warn(`Redis error listing inventory: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
     }
-    
-    if (!redisConnected) {
-      eventos = Array.from(inventarioMemoria.values());
+  }
+
+  if (!redisConnected) {
+    eventos = Array.from(inventarioMemoria.values());
+  }
+
+  return eventos;
+}
+
+function gaugeInventario(name, help, valor) {
+  return new client.Gauge({
+    name,
+    help,
+    labelNames: ['event'],
+    async collect() {
+      this.reset();
+      for (const evento of await listarEventos()) {
+        this.set({ event: evento.id }, valor(evento));
+      }
     }
+  });
+}
+
+gaugeInventario('inventory_seats_capacity', 'Total seats per event', e => e.capacidad);
+gaugeInventario('inventory_seats_available', 'Seats available per event', e => e.asientosDisponibles);
+gaugeInventario('inventory_seats_held', 'Seats held by an active checkout per event',
+  e => e.asientos.filter(a => a.estado === ESTADOS_ASIENTO.RETENIDO).length);
+
+app.get('/inventario', async (req, res) => {
+  try {
+    logger.info('GET /inventario');
+
+    const eventos = await listarEventos();
+    const ahora = Date.now();
 
     logger.info(`Returning ${eventos.length} events`);
-    res.json(eventos);
+    res.json(eventos.map(evento => resumenEvento(conPreciosActuales(evento, ahora))));
 
   } catch (error) {
     logger.error(`Error getting inventory: ${error.message}`);
@@ -171,196 +329,1001 @@ app.get('/inventario', async (req, res) => {
   }
 });
 
-app.post('/inventario/:eventoId/reservar', async (req, res) => {
-  try {
-    const { eventoId } = req.params;
-    const { cantidad } = req.body;
-
-    logger.info(`POST /inventario/${eventoId}/reservar - Quantity: ${cantidad}`);
+// The price the seats are taken at is quoted from the event as it stands just
+// before, so what the taking itself does to availability or demand only
+// moves the price for whoever comes next
+async function cotizarToma(eventoId, categoria, ahora = Date.now()) {
+  const evento = await obtenerEvento(eventoId);
+  return evento ? precioRetencion(evento, categoria, ahora) : null;
+}
 
-    if (!cantidad || cantidad <= 0) {
-      return res.status(400).json({ error: 'Invalid quantity' });
-    }
+async function tomarAsientos(eventoId, solicitud, retencion = null) {
+  const ahora = Date.now();
 
-    if (!redisConnected) {
-      const evento = inventarioMemoria.get(eventoId);
-      
-      if (!evento) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-      
-      if (evento.asientosDisponibles < cantidad) {
-        return res.status(409).json({ 
-          error: 'Insufficient seats',
-          disponibles: evento.asientosDisponibles,
-          solicitados: cantidad
-        });
+  if (redisConnected) {
+    try {
+      const result = JSON.parse(await redis.eval(
+        SCRIPT_RESERVAR,
+        1,
+        `inventario:${eventoId}`,
+        JSON.stringify(solicitud.asientoIds || []),
+        solicitud.cantidad || 0,
+        ahora,
+        retencion ? retencion.token : '',
+        retencion ? retencion.expiraEn : 0,
+        solicitud.categoria || ''
+      ));
+      return { asientos: result.asientos, asientosDisponibles: result.asientosDisponibles };
+    } catch (error) {
+      if (esErrorNegocio(error)) {
+        throw error;
       }
-      
-      evento.asientosDisponibles -= cantidad;
-      inventarioMemoria.set(eventoId, evento);
-      
-      logger.info(`Reservation completed - Remaining seats: ${evento.asientosDisponibles}`);
-      
-      return res.json({
-        success: true,
-        eventoId,
-        nombre: evento.nombre,
-        asientosReservados: cantidad,
-        asientosDisponibles: evento.asientosDisponibles
-      });
+      logger.warn(`Redis error reserving seats: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
     }
+  }
+
+  const evento = inventarioMemoria.get(eventoId);
+  if (!evento) {
+    throw new Error('Event not found');
+  }
+
+  const asientos = reservarAsientos(evento, solicitud, retencion, ahora);
+  return { asientos, asientosDisponibles: evento.asientosDisponibles };
+}
 
+async function soltarAsientos(eventoId, asientoIds, token = null) {
+  if (redisConnected) {
     try {
-      const script = `
-      local key = KEYS[1]
-      local cantidad = tonumber(ARGV[1])
-      
-      local evento = redis.call('GET', key)
-      if not evento then
-        return {err = 'Event not found'}
-      end
-      
-      local eventoData = cjson.decode(evento)
-      
-      if eventoData.asientosDisponibles < cantidad then
-        return {err = 'Insufficient seats'}
-      end
-      
-      eventoData.asientosDisponibles = eventoData.asientosDisponibles - cantidad
-      redis.call('SET', key, cjson.encode(eventoData))
-      
-      return eventoData.asientosDisponibles
-    `;
-
-      const result = await redis.eval(
-        script,
+      return JSON.parse(await redis.eval(
+        SCRIPT_LIBERAR,
         1,
         `inventario:${eventoId}`,
-        cantidad
-      );
-
-      logger.info(`Reservation successful. Remaining seats: ${result}`);
-      
-      return res.json({
-        success: true,
-        eventoId,
-        cantidadReservada: cantidad,
-        asientosRestantes: result
-      });
+        JSON.stringify(asientoIds),
+        token || ''
+      ));
     } catch (error) {
-      logger.warn(`Redis error reserving seats: ${error.message}. Falling back to memory.`);
+      if (esErrorNegocio(error)) {
+        throw error;
+      }
+      logger.warn(`Redis error releasing seats: ${error.message}. Falling back to memory.`);
       redisConnected = false;
     }
-    
-    const evento = inventarioMemoria.get(eventoId);
-    
-    if (!evento) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    
-    if (evento.asientosDisponibles < cantidad) {
-      return res.status(409).json({ 
-        error: 'Insufficient seats',
-        disponibles: evento.asientosDisponibles,
-        solicitados: cantidad
-      });
-    }
-    
-    evento.asientosDisponibles -= cantidad;
-    inventarioMemoria.set(eventoId, evento);
-    
-    logger.info(`Reservation completed (fallback) - Remaining seats: ${evento.asientosDisponibles}`);
-    
-    return res.json({
+  }
+
+  const evento = inventarioMemoria.get(eventoId);
+  if (!evento) {
+    throw new Error('Event not found');
+  }
+
+  const liberados = liberarAsientos(evento, asientoIds, token);
+  return { liberados: liberados.length, asientosDisponibles: evento.asientosDisponibles };
+}
+
+function responderErrorAsientos(res, error) {
+  if (error.message.includes('Insufficient seats')) {
+    return res.status(409).json({ 
+      error: 'Insufficient seats available' 
+    });
+  }
+
+  if (error.message.includes('Seat not available')) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  if (error.message.includes('Seat not found') || error.message.includes('Duplicate seat') ||
+    error.message.includes('Seat not in category') || error.message.includes('Category not found')) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.message.includes('Category required')) {
+    return res.status(400).json({
+      error: 'Price category required',
+      message: 'This event sells several price categories; name one in categoria'
+    });
+  }
+
+  if (error.message.includes('Event has active reservations')) {
+    return res.status(409).json({
+      error: 'Event has active reservations',
+      message: 'Seat layout cannot change while seats are held or sold'
+    });
+  }
+
+  if (error.message.includes('Hold expired')) {
+    return res.status(410).json({ error: 'Hold expired or not found' });
+  }
+  
+  if (error.message.includes('Event not found')) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  
+  res.status(503).json({ 
+    error: 'Inventory service unavailable',
+    message: 'Please try again in a few seconds'
+  });
+}
+
+app.post('/inventario/:eventoId/reservar', validar({ params: PARAMS_EVENTO, body: TOMAR_ASIENTOS }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    const { asientoIds, cantidad, categoria } = req.body;
+
+    logger.info(`POST /inventario/${eventoId}/reservar - ${asientoIds ? `Seats: ${asientoIds}` : `Quantity: ${cantidad}`}`);
+
+    const precioUnitario = await cotizarToma(eventoId, categoria);
+    const result = await tomarAsientos(eventoId, { asientoIds, cantidad, categoria });
+
+    logger.info(`Reservation successful. Seats: ${result.asientos.join(', ')}. Remaining seats: ${result.asientosDisponibles}`);
+
+    res.json({
       success: true,
       eventoId,
-      nombre: evento.nombre,
-      asientosReservados: cantidad,
-      asientosDisponibles: evento.asientosDisponibles
+      categoria: categoria || null,
+      precioUnitario,
+      cantidadReservada: result.asientos.length,
+      asientos: result.asientos,
+      asientosRestantes: result.asientosDisponibles
     });
 
   } catch (error) {
     logger.error(`Error reserving seats: ${error.message}`);
-    
-    if (error.message.includes('Insufficient seats')) {
-      return res.status(409).json({ 
-        error: 'Insufficient seats available' 
-      });
-    }
-    
-    if (error.message.includes('Event not found')) {
-      return res.status(404).json({ error: 'Event not found' });
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.post('/inventario/:eventoId/liberar', validar({ params: PARAMS_EVENTO, body: LIBERAR_ASIENTOS }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    const { asientoIds } = req.body;
+
+    logger.info(`POST /inventario/${eventoId}/liberar - Seats: ${asientoIds}`);
+
+    const result = await soltarAsientos(eventoId, asientoIds);
+
+    logger.info(`Seats released: ${result.liberados}. Total available: ${result.asientosDisponibles}`);
+    if (result.liberados > 0) {
+      programarOfertas(eventoId);
     }
     
-    res.status(503).json({ 
-      error: 'Inventory service unavailable',
-      message: 'Please try again in a few seconds'
+    res.json({
+      success: true,
+      eventoId,
+      cantidadLiberada: result.liberados,
+      asientos: asientoIds,
+      asientosDisponibles: result.asientosDisponibles
     });
+
+  } catch (error) {
+    logger.error(`Error releasing seats: ${error.message}`);
+    responderErrorAsientos(res, error);
   }
 });
 
-app.post('/inventario/:eventoId/liberar', async (req, res) => {
+const retencionesMemoria = new Map();
+
+async function guardarRetencion(retencion) {
+  if (redisConnected) {
+    try {
+      await redis.set(
+        `retencion:${retencion.token}`,
+        JSON.stringify(retencion),
+        'PX',
+        Math.max(retencion.expiraEn - Date.now(), 1)
+      );
+      return;
+    } catch (error) {
+      logger.warn(`Redis error saving hold ${retencion.token}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  retencionesMemoria.set(retencion.token, retencion);
+}
+
+async function obtenerRetencion(token) {
+  if (redisConnected) {
+    try {
+      const retencionData = await redis.get(`retencion:${token}`);
+      if (retencionData) {
+        return JSON.parse(retencionData);
+      }
+    } catch (error) {
+      logger.warn(`Redis error reading hold ${token}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  const retencion = retencionesMemoria.get(token);
+  if (!retencion || retencion.expiraEn <= Date.now()) {
+    return null;
+  }
+  return retencion;
+}
+
+async function eliminarRetencion(token) {
+  retencionesMemoria.delete(token);
+  if (redisConnected) {
+    try {
+      await redis.del(`retencion:${token}`);
+    } catch (error) {
+      logger.warn(`Redis error deleting hold ${token}: ${error.message}`);
+    }
+  }
+}
+
+function formatearRetencion(retencion) {
+  return {
+    token: retencion.token,
+    eventoId: retencion.eventoId,
+    categoria: retencion.categoria || null,
+    precioUnitario: retencion.precioUnitario !== undefined ? retencion.precioUnitario : null,
+    asientos: retencion.asientos,
+    creadaEn: new Date(retencion.creadaEn).toISOString(),
+    expiraEn: new Date(retencion.expiraEn).toISOString(),
+    ...(retencion.oferta ? { oferta: retencion.oferta } : {})
+  };
+}
+
+app.post('/inventario/:eventoId/retener', validar({ params: PARAMS_EVENTO, body: RETENER_ASIENTOS }), async (req, res) => {
   try {
     const { eventoId } = req.params;
-    const { cantidad } = req.body;
+    const { asientoIds, cantidad, categoria, ttlSegundos } = req.body;
+
+    logger.info(`POST /inventario/${eventoId}/retener - ${asientoIds ? `Seats: ${asientoIds}` : `Quantity: ${cantidad}`}`);
+
+    // The hold keeps the price it was quoted at for as long as it lasts
+    const creadaEn = Date.now();
+    const retencion = {
+      token: uuidv4(),
+      eventoId,
+      categoria: categoria || null,
+      precioUnitario: await cotizarToma(eventoId, categoria, creadaEn),
+      creadaEn,
+      expiraEn: creadaEn + (ttlSegundos || RETENCION_TTL_SEGUNDOS) * 1000
+    };
+
+    const result = await tomarAsientos(eventoId, { asientoIds, cantidad, categoria }, retencion);
+    retencion.asientos = result.asientos;
+    await guardarRetencion(retencion);
+
+    logger.info(`Hold ${retencion.token} created for seats ${result.asientos.join(', ')} at $${retencion.precioUnitario} until ${new Date(retencion.expiraEn).toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      ...formatearRetencion(retencion),
+      asientosRestantes: result.asientosDisponibles
+    });
+
+  } catch (error) {
+    logger.error(`Error holding seats: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.get('/inventario/retenciones/:token', validar({ params: PARAMS_RETENCION }), async (req, res) => {
+  try {
+    const { token } = req.params;
+    logger.info(`GET /inventario/retenciones/${token}`);
 
-    logger.info(`POST /inventario/${eventoId}/liberar - Quantity: ${cantidad}`);
+    const retencion = await obtenerRetencion(token);
 
-    if (!cantidad || cantidad <= 0) {
-      return res.status(400).json({ error: 'Invalid quantity' });
+    if (!retencion) {
+      return res.status(404).json({ error: 'Hold expired or not found', token });
     }
 
-    let evento = null;
-    
+    res.json(formatearRetencion(retencion));
+  } catch (error) {
+    logger.error(`Error getting hold: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.post('/inventario/retenciones/:token/confirmar', validar({ params: PARAMS_RETENCION }), async (req, res) => {
+  try {
+    const { token } = req.params;
+    logger.info(`POST /inventario/retenciones/${token}/confirmar`);
+
+    const retencion = await obtenerRetencion(token);
+
+    if (!retencion) {
+      return res.status(410).json({ error: 'Hold expired or not found', token });
+    }
+
+    let asientosDisponibles;
+    const ahora = Date.now();
+
     if (redisConnected) {
       try {
-        const eventoData = await redis.get(`inventario:${eventoId}`);
-        
-        if (!eventoData) {
-          return res.status(404).json({ error: 'Event not found' });
-        }
-
-        evento = JSON.parse(eventoData);
-        evento.asientosDisponibles += cantidad;
-        
-        await redis.set(`inventario:${eventoId}`, JSON.stringify(evento));
+        const result = JSON.parse(await redis.eval(
+          SCRIPT_CONFIRMAR,
+          1,
+          `inventario:${retencion.eventoId}`,
+          JSON.stringify(retencion.asientos),
+          token,
+          ahora
+        ));
+        asientosDisponibles = result.asientosDisponibles;
       } catch (error) {
-        logger.warn(`Redis error releasing seats: ${error.message}. Falling back to memory.`);
+        if (esErrorNegocio(error)) {
+          throw error;
+        }
+        logger.warn(`Redis error confirming hold: ${error.message}. Falling back to memory.`);
         redisConnected = false;
       }
     }
-    
-    if (!redisConnected) {
-      evento = inventarioMemoria.get(eventoId);
-      
+
+    if (asientosDisponibles === undefined) {
+      const evento = inventarioMemoria.get(retencion.eventoId);
       if (!evento) {
-        return res.status(404).json({ error: 'Event not found' });
+        throw new Error('Event not found');
       }
-      
-      evento.asientosDisponibles += cantidad;
-      inventarioMemoria.set(eventoId, evento);
+      confirmarRetencion(evento, retencion.asientos, token, ahora);
+      asientosDisponibles = evento.asientosDisponibles;
     }
 
-    logger.info(`Seats released. Total available: ${evento.asientosDisponibles}`);
-    
+    await eliminarRetencion(token);
+
+    logger.info(`Hold ${token} confirmed - Seats: ${retencion.asientos.join(', ')}`);
+
     res.json({
       success: true,
-      eventoId,
-      cantidadLiberada: cantidad,
-      asientosDisponibles: evento.asientosDisponibles
+      token,
+      eventoId: retencion.eventoId,
+      cantidadReservada: retencion.asientos.length,
+      asientos: retencion.asientos,
+      asientosRestantes: asientosDisponibles
     });
 
   } catch (error) {
-    logger.error(`Error releasing seats: ${error.message}`);
-    res.status(503).json({ 
-      error: 'Inventory service unavailable',
-      message: 'Please try again in a few seconds'
-    });
+    logger.error(`Error confirming hold: ${error.message}`);
+    responderErrorAsientos(res, error);
   }
 });
 
-app.post('/admin/simular-fallo', (req, res) => {
+async function prolongarAsientos(retencion, expiraEn, ahora) {
+  if (redisConnected) {
+    try {
+      await redis.eval(
+        SCRIPT_PROLONGAR,
+        1,
+        `inventario:${retencion.eventoId}`,
+        JSON.stringify(retencion.asientos),
+        retencion.token,
+        ahora,
+        expiraEn
+      );
+      return;
+    } catch (error) {
+      if (esErrorNegocio(error)) {
+        throw error;
+      }
+      logger.warn(`Redis error extending hold: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  const evento = inventarioMemoria.get(retencion.eventoId);
+  if (!evento) {
+    throw new Error('Event not found');
+  }
+  prolongarRetencion(evento, retencion.asientos, retencion.token, expiraEn, ahora);
+}
+
+// Keeps a hold alive past its TTL while the payment it waits for is being
+// settled. A hold is never shortened, and one that has expired stays expired.
+app.post('/inventario/retenciones/:token/prolongar', validar({ params: PARAMS_RETENCION, body: PROLONGAR_RETENCION }), async (req, res) => {
+  try {
+    const { token } = req.params;
+    const hasta = Date.parse(req.body.expiraEn);
+    logger.info(`POST /inventario/retenciones/${token}/prolongar - Until: ${req.body.expiraEn}`);
+
+    const retencion = await obtenerRetencion(token);
+
+    if (!retencion) {
+      return res.status(410).json({ error: 'Hold expired or not found', token });
+    }
+
+    const ahora = Date.now();
+    const expiraEn = Math.max(retencion.expiraEn, hasta);
+    await prolongarAsientos(retencion, expiraEn, ahora);
+
+    retencion.expiraEn = expiraEn;
+    await guardarRetencion(retencion);
+
+    logger.info(`Hold ${token} extended until ${new Date(expiraEn).toISOString()}`);
+
+    res.json({ success: true, ...formatearRetencion(retencion) });
+
+  } catch (error) {
+    logger.error(`Error extending hold: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+// Claiming a waitlist offer turns it into a regular checkout hold for the
+// user it was made to, lasting at least `ttlSegundos` from now
+app.post('/inventario/retenciones/:token/aceptar', validar({ params: PARAMS_RETENCION, body: ACEPTAR_OFERTA }), async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { eventoId, usuario, ttlSegundos } = req.body;
+    logger.info(`POST /inventario/retenciones/${token}/aceptar - User: ${usuario}`);
+
+    const retencion = await obtenerRetencion(token);
+
+    if (!retencion) {
+      return res.status(410).json({ error: 'Offer expired or not found', token });
+    }
+
+    if (!retencion.oferta || retencion.oferta.usuario !== usuario || retencion.eventoId !== eventoId) {
+      return res.status(409).json({ error: 'Hold is not an offer for this user and event', token });
+    }
+
+    const ahora = Date.now();
+    const expiraEn = Math.max(retencion.expiraEn, ahora + (ttlSegundos || RETENCION_TTL_SEGUNDOS) * 1000);
+    await prolongarAsientos(retencion, expiraEn, ahora);
+
+    retencion.expiraEn = expiraEn;
+    retencion.oferta.aceptadaEn = retencion.oferta.aceptadaEn || new Date(ahora).toISOString();
+    await guardarRetencion(retencion);
+
+    logger.info(`Offer ${token} accepted by ${usuario} - Seats: ${retencion.asientos.join(', ')}`);
+
+    res.json({ success: true, ...formatearRetencion(retencion) });
+
+  } catch (error) {
+    logger.error(`Error accepting offer: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.post('/inventario/retenciones/:token/liberar', validar({ params: PARAMS_RETENCION }), async (req, res) => {
+  try {
+    const { token } = req.params;
+    logger.info(`POST /inventario/retenciones/${token}/liberar`);
+
+    const retencion = await obtenerRetencion(token);
+
+    if (!retencion) {
+      logger.info(`Hold ${token} already expired or released`);
+      return res.json({ success: true, token, cantidadLiberada: 0, expirada: true });
+    }
+
+    const result = await soltarAsientos(retencion.eventoId, retencion.asientos, token);
+    await eliminarRetencion(token);
+
+    logger.info(`Hold ${token} released - ${result.liberados} seats back in stock`);
+    if (result.liberados > 0) {
+      programarOfertas(retencion.eventoId);
+    }
+
+    res.json({
+      success: true,
+      token,
+      eventoId: retencion.eventoId,
+      cantidadLiberada: result.liberados,
+      asientos: retencion.asientos,
+      asientosDisponibles: result.asientosDisponibles
+    });
+
+  } catch (error) {
+    logger.error(`Error releasing hold: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+async function barrerRetencionesExpiradas() {
+  const ahora = Date.now();
+  let liberados = 0;
+
+  if (redisConnected) {
+    try {
+      const keys = await redis.keys('inventario:*');
+      for (const key of keys) {
+        const liberadosEvento = await redis.eval(SCRIPT_BARRER, 1, key, ahora);
+        if (liberadosEvento > 0) {
+          liberados += liberadosEvento;
+          programarOfertas(key.slice('inventario:'.length));
+        }
+      }
+    } catch (error) {
+      logger.warn(`Redis error sweeping holds: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  if (!redisConnected) {
+    for (const evento of inventarioMemoria.values()) {
+      const liberadosEvento = barrerRetenciones(evento, ahora);
+      if (liberadosEvento > 0) {
+        liberados += liberadosEvento;
+        programarOfertas(evento.id);
+      }
+    }
+  }
+
+  for (const [token, retencion] of retencionesMemoria) {
+    if (retencion.expiraEn <= ahora) {
+      retencionesMemoria.delete(token);
+    }
+  }
+
+  if (liberados > 0) {
+    logger.info(`Hold sweeper: ${liberados} seats from expired holds returned to stock`);
+  }
+}
+
+setInterval(() => {
+  barrerRetencionesExpiradas().catch(error => {
+    logger.error(`Hold sweeper failed: ${error.message}`);
+  });
+}, RETENCION_BARRIDO_MS);
+
+const notificacionesClient = createResilientHttpClient(NOTIFICACIONES_URL, {
+  timeout: 3000,
+  retries: 1,
+  breakerOptions: {
+    timeout: 3000,
+    errorThresholdPercentage: 80,
+    resetTimeout: 5000
+  }
+});
+
+const ofertasEnviadas = new client.Counter({
+  name: 'inventory_waitlist_offers_total',
+  help: 'Seat offers made to the head of an event waitlist',
+  labelNames: ['event']
+});
+
+const listasEsperaMemoria = new Map();
+
+async function leerListaEspera(eventoId) {
+  if (redisConnected) {
+    try {
+      const listaData = await redis.get(`lista-espera:${eventoId}`);
+      return listaData ? JSON.parse(listaData) : [];
+    } catch (error) {
+      logger.warn(`Redis error reading waitlist ${eventoId}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  return listasEsperaMemoria.get(eventoId) || [];
+}
+
+async function guardarListaEspera(eventoId, entradas) {
+  if (redisConnected) {
+    try {
+      if (entradas.length > 0) {
+        await redis.set(`lista-espera:${eventoId}`, JSON.stringify(entradas));
+      } else {
+        await redis.del(`lista-espera:${eventoId}`);
+      }
+      return;
+    } catch (error) {
+      logger.warn(`Redis error saving waitlist ${eventoId}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  if (entradas.length > 0) {
+    listasEsperaMemoria.set(eventoId, entradas);
+  } else {
+    listasEsperaMemoria.delete(eventoId);
+  }
+}
+
+// Every change to a waitlist goes through here, one at a time per event, so
+// a join, a leave and an offer never overwrite each other in this instance
+const colasListaEspera = new Map();
+
+function enSerie(eventoId, tarea) {
+  const previa = colasListaEspera.get(eventoId) || Promise.resolve();
+  const actual = previa.catch(() => {}).then(tarea);
+
+  colasListaEspera.set(eventoId, actual);
+  actual.catch(() => {}).then(() => {
+    if (colasListaEspera.get(eventoId) === actual) {
+      colasListaEspera.delete(eventoId);
+    }
+  });
+
+  return actual;
+}
+
+async function notificarOferta(evento, retencion) {
+  try {
+    await notificacionesClient.post('/notificaciones/enviar', {
+      tipo: 'email',
+      destinatario: retencion.oferta.usuario,
+      asunto: `Seats available for ${evento.nombre}`,
+      mensaje: `${retencion.asientos.length} seat(s) for ${evento.nombre} are held for you at ` +
+        `$${retencion.precioUnitario} each until ` +
+        `${new Date(retencion.expiraEn).toISOString()}. Book them with ofertaId ${retencion.token} ` +
+        'before then or they go to the next person on the waitlist.'
+    }, conClaveIdempotencia(`${retencion.token}:notificar-oferta`));
+  } catch (error) {
+    logger.warn(`Could not notify offer ${retencion.token} (non-critical): ${error.message}`);
+  }
+}
+
+// Strictly first come, first served within each price category: while the
+// first in line for a category asks for more seats than it has free, nobody
+// behind them for that category gets an offer. Each offer is a hold marked
+// with the user it was made to; the sweeper releases it when it runs out,
+// which brings the seats back here for the next in line.
+async function ofrecerAsientosLiberados(eventoId) {
+  let entradas = await leerListaEspera(eventoId);
+  const bloqueadas = new Set();
+
+  for (const siguiente of entradas) {
+    if (bloqueadas.has(siguiente.categoria)) {
+      continue;
+    }
+
+    const evento = await obtenerEvento(eventoId);
+    if (!evento) {
+      return;
+    }
+    if (disponiblesEn(evento, siguiente.categoria) < siguiente.cantidad) {
+      bloqueadas.add(siguiente.categoria);
+      continue;
+    }
+
+    const creadaEn = Date.now();
+    const retencion = {
+      token: uuidv4(),
+      eventoId,
+      categoria: siguiente.categoria || null,
+      precioUnitario: precioRetencion(evento, siguiente.categoria, creadaEn),
+      creadaEn,
+      expiraEn: creadaEn + OFERTA_TTL_SEGUNDOS * 1000,
+      oferta: { usuario: siguiente.usuario, entradaId: siguiente.id }
+    };
+
+    try {
+      const result = await tomarAsientos(eventoId, { cantidad: siguiente.cantidad, categoria: siguiente.categoria }, retencion);
+      retencion.asientos = result.asientos;
+    } catch (error) {
+      if (error.message.includes('Insufficient seats')) {
+        bloqueadas.add(siguiente.categoria);
+        continue;
+      }
+      throw error;
+    }
+
+    await guardarRetencion(retencion);
+    entradas = entradas.filter(e => e !== siguiente);
+    await guardarListaEspera(eventoId, entradas);
+    ofertasEnviadas.inc({ event: eventoId });
+
+    logger.info(`Waitlist offer ${retencion.token} - ${retencion.asientos.join(', ')} of ${eventoId} held for ${siguiente.usuario} until ${new Date(retencion.expiraEn).toISOString()}`);
+    await notificarOferta(evento, retencion);
+  }
+}
+
+// Runs in the background: whoever released the seats does not wait for offers
+function programarOfertas(eventoId) {
+  enSerie(eventoId, () => ofrecerAsientosLiberados(eventoId)).catch(error => {
+    logger.error(`Waitlist offers for ${eventoId} failed: ${error.message}`);
+  });
+}
+
+function formatearListaEspera(entradas, visibles) {
+  return entradas
+    .map((entrada, indice) => ({ ...entrada, posicion: indice + 1 }))
+    .filter(visibles);
+}
+
+// Staff see the whole list; customers only their own place in it
+app.get('/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`GET /inventario/${eventoId}/lista-espera`);
+
+    if (!await obtenerEvento(eventoId)) {
+      return res.status(404).json({ error: 'Event not found', eventoId });
+    }
+
+    const entradas = await leerListaEspera(eventoId);
+    const esCliente = req.identidad.rol === ROLES.CLIENTE;
+
+    res.json({
+      eventoId,
+      total: entradas.length,
+      entradas: formatearListaEspera(entradas, e => !esCliente || e.usuario === req.identidad.usuario)
+    });
+
+  } catch (error) {
+    logger.error(`Error getting waitlist: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+// Only for events that cannot serve the request right now; with enough free
+// seats in the category the caller is told to book them instead. Events with
+// several price categories are waited on per category.
+app.post('/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO, body: UNIRSE_LISTA_ESPERA }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    const { cantidad } = req.body;
+    const usuario = req.identidad.rol !== ROLES.CLIENTE && req.body.usuario
+      ? req.body.usuario
+      : req.identidad.usuario;
+
+    logger.info(`POST /inventario/${eventoId}/lista-espera - User: ${usuario}, Quantity: ${cantidad}`);
+
+    const resultado = await enSerie(eventoId, async () => {
+      const evento = await obtenerEvento(eventoId);
+      if (!evento) {
+        return { status: 404, cuerpo: { error: 'Event not found', eventoId } };
+      }
+
+      const categoria = req.body.categoria || (evento.categorias.length === 1 ? evento.categorias[0].id : null);
+      if (!categoria) {
+        return {
+          status: 400,
+          cuerpo: {
+            error: 'Price category required',
+            message: 'This event sells several price categories; name one in categoria',
+            categorias: evento.categorias.map(c => c.id)
+          }
+        };
+      }
+      if (!evento.categorias.some(c => c.id === categoria)) {
+        return { status: 400, cuerpo: { error: `Category not found: ${categoria}`, categorias: evento.categorias.map(c => c.id) } };
+      }
+
+      const entradas = await leerListaEspera(eventoId);
+      const esperando = entradas.some(e => e.categoria === categoria);
+
+      if (!esperando && disponiblesEn(evento, categoria) >= cantidad) {
+        return {
+          status: 409,
+          cuerpo: {
+            error: 'Seats available',
+            message: 'Enough seats are free for this request, book them directly',
+            categoria,
+            asientosDisponibles: disponiblesEn(evento, categoria)
+          }
+        };
+      }
+
+      const existente = entradas.find(e => e.usuario === usuario);
+      if (existente) {
+        return {
+          status: 409,
+          cuerpo: { error: 'Already on the waitlist', posicion: entradas.indexOf(existente) + 1 }
+        };
+      }
+
+      const entrada = { id: uuidv4(), usuario, categoria, cantidad, unidoEn: new Date().toISOString() };
+      await guardarListaEspera(eventoId, [...entradas, entrada]);
+
+      return { status: 201, cuerpo: { success: true, eventoId, ...entrada, posicion: entradas.length + 1 } };
+    });
+
+    if (resultado.status === 201) {
+      logger.info(`${usuario} joined the waitlist of ${eventoId} at position ${resultado.cuerpo.posicion}`);
+      // Seats may have come back while nobody was waiting for them
+      programarOfertas(eventoId);
+    }
+
+    res.status(resultado.status).json(resultado.cuerpo);
+
+  } catch (error) {
+    logger.error(`Error joining waitlist: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.delete('/inventario/:eventoId/lista-espera', requerirRol(), validar({ params: PARAMS_EVENTO, query: CONSULTA_LISTA_ESPERA }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    const usuario = req.identidad.rol !== ROLES.CLIENTE && req.query.usuario
+      ? req.query.usuario
+      : req.identidad.usuario;
+
+    logger.info(`DELETE /inventario/${eventoId}/lista-espera - User: ${usuario}`);
+
+    const eliminada = await enSerie(eventoId, async () => {
+      const entradas = await leerListaEspera(eventoId);
+      const entrada = entradas.find(e => e.usuario === usuario);
+      if (entrada) {
+        await guardarListaEspera(eventoId, entradas.filter(e => e !== entrada));
+      }
+      return entrada;
+    });
+
+    if (!eliminada) {
+      return res.status(404).json({ error: 'Not on the waitlist', eventoId, usuario });
+    }
+
+    logger.info(`${usuario} left the waitlist of ${eventoId}`);
+    // Whoever was behind may fit in the seats the head was waiting for
+    programarOfertas(eventoId);
+
+    res.json({ success: true, eventoId, ...eliminada });
+
+  } catch (error) {
+    logger.error(`Error leaving waitlist: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+async function guardarEventoNuevo(evento) {
+  if (redisConnected) {
+    try {
+      const resultado = await redis.set(`inventario:${evento.id}`, JSON.stringify(evento), 'NX');
+      return resultado === 'OK';
+    } catch (error) {
+      logger.warn(`Redis error creating event ${evento.id}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  if (inventarioMemoria.has(evento.id)) {
+    return false;
+  }
+  inventarioMemoria.set(evento.id, evento);
+  return true;
+}
+
+function tieneAsientosOcupados(evento) {
+  return evento.asientos.some(asiento => asiento.estado !== ESTADOS_ASIENTO.DISPONIBLE);
+}
+
+async function actualizarEvento(eventoId, cambios) {
+  if (redisConnected) {
+    try {
+      return JSON.parse(await redis.eval(
+        SCRIPT_ACTUALIZAR_EVENTO,
+        1,
+        `inventario:${eventoId}`,
+        JSON.stringify(cambios)
+      ));
+    } catch (error) {
+      if (esErrorNegocio(error)) {
+        throw error;
+      }
+      logger.warn(`Redis error updating event ${eventoId}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  const evento = inventarioMemoria.get(eventoId);
+  if (!evento) {
+    throw new Error('Event not found');
+  }
+  if (cambios.asientos && tieneAsientosOcupados(evento)) {
+    throw new Error('Event has active reservations');
+  }
+
+  Object.assign(evento, cambios);
+  recontar(evento);
+  return evento;
+}
+
+async function eliminarEvento(eventoId) {
+  if (redisConnected) {
+    try {
+      await redis.eval(SCRIPT_ELIMINAR_EVENTO, 1, `inventario:${eventoId}`);
+      inventarioMemoria.delete(eventoId);
+      return;
+    } catch (error) {
+      if (esErrorNegocio(error)) {
+        throw error;
+      }
+      logger.warn(`Redis error deleting event ${eventoId}: ${error.message}. Falling back to memory.`);
+      redisConnected = false;
+    }
+  }
+
+  const evento = inventarioMemoria.get(eventoId);
+  if (!evento) {
+    throw new Error('Event not found');
+  }
+  if (tieneAsientosOcupados(evento)) {
+    throw new Error('Event has active reservations');
+  }
+
+  inventarioMemoria.delete(eventoId);
+}
+
+function detallesEvento(datos) {
+  return [
+    ...(datos.secciones ? validarDistribucion(datos.secciones) : []),
+    ...(datos.categorias ? validarCategorias(datos.categorias) : []),
+    ...(datos.politicaCancelacion ? validarPoliticaCancelacion(datos.politicaCancelacion) : []),
+    ...(datos.preciosDinamicos ? validarPreciosDinamicos(datos.preciosDinamicos) : [])
+  ];
+}
+
+app.post('/inventario/eventos', requerirRol(ROLES.ADMIN), validar({ body: EVENTO }), async (req, res) => {
+  try {
+    logger.info(`POST /inventario/eventos - ${req.body.nombre}`);
+
+    const detalles = detallesEvento(req.body);
+    if (detalles.length > 0) {
+      return responderInvalido(res, detalles);
+    }
+
+    const eventoId = req.body.id || `evento-${uuidv4().slice(0, 8)}`;
+    const evento = crearEvento(eventoId, req.body);
+
+    if (!await guardarEventoNuevo(evento)) {
+      return res.status(409).json({ error: 'Event already exists', eventoId });
+    }
+
+    logger.info(`Event ${eventoId} created with ${evento.capacidad} seats`);
+    res.status(201).json(resumenEvento(conPreciosActuales(evento)));
+
+  } catch (error) {
+    logger.error(`Error creating event: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+function modificarEvento({ parcial }) {
+  return async (req, res) => {
+    try {
+      const { eventoId } = req.params;
+      logger.info(`${req.method} /inventario/eventos/${eventoId}`);
+
+      const detalles = detallesEvento(req.body);
+      if (req.body.id !== undefined && req.body.id !== eventoId) {
+        detalles.push({ campo: 'body.id', mensaje: 'cannot be changed' });
+      }
+      if (detalles.length > 0) {
+        return responderInvalido(res, detalles);
+      }
+
+      const actual = await obtenerEvento(eventoId);
+      if (!actual) {
+        return res.status(404).json({ error: 'Event not found', eventoId });
+      }
+
+      const cambioCategorias = validarCambioCategorias(req.body, actual);
+      if (cambioCategorias.length > 0) {
+        return responderInvalido(res, cambioCategorias);
+      }
+
+      const datos = parcial ? req.body : { descripcion: '', politicaCancelacion: null, preciosDinamicos: null, ...req.body };
+      const evento = await actualizarEvento(eventoId, cambiosEvento(datos, actual));
+
+      logger.info(`Event ${eventoId} updated`);
+      res.json(resumenEvento(conPreciosActuales(evento)));
+
+    } catch (error) {
+      logger.error(`Error updating event: ${error.message}`);
+      responderErrorAsientos(res, error);
+    }
+  };
+}
+
+app.put('/inventario/eventos/:eventoId', requerirRol(ROLES.ADMIN),
+  validar({ params: PARAMS_EVENTO, body: EVENTO }), modificarEvento({ parcial: false }));
+app.patch('/inventario/eventos/:eventoId', requerirRol(ROLES.ADMIN),
+  validar({ params: PARAMS_EVENTO, body: EVENTO_PARCIAL }), modificarEvento({ parcial: true }));
+
+app.delete('/inventario/eventos/:eventoId', requerirRol(ROLES.ADMIN), validar({ params: PARAMS_EVENTO }), async (req, res) => {
+  try {
+    const { eventoId } = req.params;
+    logger.info(`DELETE /inventario/eventos/${eventoId}`);
+
+    await eliminarEvento(eventoId);
+    await enSerie(eventoId, () => guardarListaEspera(eventoId, []));
+
+    logger.info(`Event ${eventoId} deleted`);
+    res.json({ success: true, eventoId });
+
+  } catch (error) {
+    logger.error(`Error deleting event: ${error.message}`);
+    responderErrorAsientos(res, error);
+  }
+});
+
+app.post('/admin/simular-fallo', validar({ body: SIMULACION_FALLO }), (req, res) => {
   const { activar } = req.body;
   process.env.SIMULAR_FALLO = activar ? 'true' : 'false';
   
@@ -372,37 +1335,33 @@ app.post('/admin/simular-fallo', (req, res) => {
   });
 });
 
-app.post('/admin/configurar-evento', async (req, res) => {
+// Resizes the event's only category in place; an event with holds or sales
+// is refused like any other layout change
+app.post('/admin/configurar-evento', validar({ body: CONFIGURAR_EVENTO }), async (req, res) => {
   const { eventoId, asientos } = req.body;
   
   try {
     logger.info(`Configuring ${eventoId} with ${asientos} seats`);
     
-    const eventoBase = {
-      'evento-1': { nombre: 'Rock Concert', precio: 50 },
-      'evento-2': { nombre: 'Classical Theater', precio: 80 },
-      'evento-3': { nombre: 'Music Festival', precio: 120 },
-      'evento-4': { nombre: 'Stand-up Comedy', precio: 30 }
-    };
-    
-    const evento = {
-      id: eventoId,
-      nombre: eventoBase[eventoId]?.nombre || 'Custom Event',
-      asientosDisponibles: asientos,
-      precio: eventoBase[eventoId]?.precio || 50
-    };
-    
-    if (redisConnected) {
-      await redis.set(`inventario:${eventoId}`, JSON.stringify(evento));
-    } else {
-      inventarioMemoria.set(eventoId, evento);
+    const actual = await obtenerEvento(eventoId);
+    if (!actual) {
+      return res.status(404).json({ error: 'Event not found', eventoId });
     }
+
+    if (actual.categorias.length > 1) {
+      return res.status(409).json({
+        error: 'Event has several price categories',
+        message: 'Send categorias to PUT /api/admin/eventos/:eventoId to change the seats of each one'
+      });
+    }
+    
+    const evento = await actualizarEvento(eventoId, cambiosEvento({ capacidad: asientos }, actual));
     
     logger.info(`${eventoId} configured successfully with ${asientos} seats`);
-    res.json({ success: true, evento });
+    res.json({ success: true, evento: resumenEvento(conPreciosActuales(evento)) });
   } catch (error) {
     logger.error(`Error configuring event: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    responderErrorAsientos(res, error);
   }
 });
 
@@ -0,0 +1,82 @@
+const MS_POR_MINUTO = 60 * 1000;
+
+// Amounts are kept in whole cents
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+function vendidosDesde(evento, desde) {
+  return (evento.ventasRecientes || [])
+    .filter(venta => venta.timestamp > desde)
+    .reduce((total, venta) => total + venta.asientos, 0);
+}
+
+// The rules of the event in force for `categoria` at `ahora`. Early-bird
+// windows are stored from the first to close and steps from the widest
+// threshold to the narrowest, so the first open window and the last step
+// reached are the ones that apply.
+function ajustesPrecio(evento, categoria, ahora) {
+  const reglas = evento.preciosDinamicos;
+  const ajustes = [];
+  if (!reglas) {
+    return ajustes;
+  }
+
+  if (reglas.anticipada) {
+    const ventana = reglas.anticipada.find(v => ahora < Date.parse(v.hasta));
+    if (ventana) {
+      ajustes.push({ regla: 'anticipada', porcentaje: ventana.ajuste, hasta: ventana.hasta });
+    }
+  }
+
+  if (reglas.escalones && categoria.capacidad > 0) {
+    const restante = categoria.asientosDisponibles * 100 / categoria.capacidad;
+    const escalon = reglas.escalones.filter(e => restante <= e.porcentajeRestante).pop();
+    if (escalon) {
+      ajustes.push({ regla: 'escalon', porcentaje: escalon.ajuste, porcentajeRestante: escalon.porcentajeRestante });
+    }
+  }
+
+  if (reglas.demanda) {
+    const vendidos = vendidosDesde(evento, ahora - reglas.demanda.ventanaMinutos * MS_POR_MINUTO);
+    if (vendidos >= reglas.demanda.asientos) {
+      ajustes.push({ regla: 'demanda', porcentaje: reglas.demanda.ajuste, vendidos });
+    }
+  }
+
+  return ajustes;
+}
+
+// Each adjustment applies on top of the previous ones, starting from the
+// category's own price
+function cotizar(evento, categoria, ahora = Date.now()) {
+  const ajustes = ajustesPrecio(evento, categoria, ahora);
+  const precio = ajustes.reduce((actual, ajuste) => actual * (1 + ajuste.porcentaje / 100), categoria.precio);
+  return { precio: redondear(precio), precioBase: categoria.precio, ajustes };
+}
+
+// The event as customers see it: every category at its price right now, and
+// the event's "from" price the lowest of them
+function conPreciosActuales(evento, ahora = Date.now()) {
+  const categorias = (evento.categorias || []).map(categoria => ({ ...categoria, ...cotizar(evento, categoria, ahora) }));
+  if (categorias.length === 0) {
+    return evento;
+  }
+  return { ...evento, categorias, precio: Math.min(...categorias.map(c => c.precio)) };
+}
+
+// The unit price a hold locks in as it begins: that of its category, or of
+// the event's only one. Seats picked across several categories have none.
+function precioRetencion(evento, categoriaId, ahora = Date.now()) {
+  const categorias = evento.categorias || [];
+  const categoria = categoriaId
+    ? categorias.find(c => c.id === categoriaId)
+    : (categorias.length === 1 ? categorias[0] : null);
+  return categoria ? cotizar(evento, categoria, ahora).precio : null;
+}
+
+module.exports = {
+  cotizar,
+  conPreciosActuales,
+  precioRetencion
+};
@@ -1,10 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const logger = require('../../shared/logger');
+const { montarTrazas } = require('../../shared/trazas');
+const { montarMetricas } = require('../../shared/prometheus');
+const { validar, rechazarJsonInvalido } = require('../../shared/validacion');
+const { ENVIAR_NOTIFICACION } = require('../../shared/esquemas');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
+app.use(rechazarJsonInvalido);
+montarTrazas(app, 'notificaciones');
+montarMetricas(app, 'notificaciones');
 
 app.get('/health', (req, res) => {
   res.json({
@@ -18,15 +25,7 @@ const PORT = process.env.PORT || 3004;
 
 const notificaciones = [];
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'notificaciones',
-    timestamp: new Date().toISOString()
-  });
-});
-
-app.post('/notificaciones/enviar', async (req, res) => {
+app.post('/notificaciones/enviar', validar({ body: ENVIAR_NOTIFICACION }), async (req, res) => {
   try {
     const { tipo, destinatario, asunto, mensaje, reservaId } = req.body;
     
@@ -1,23 +1,72 @@
 const express = require('express');
 const cors = require('cors');
+const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../shared/logger');
+const { idempotencia } = require('../../shared/idempotencia');
+const { montarTrazas } = require('../../shared/trazas');
+const { ROLES, identidadInterna, requerirRol } = require('../../shared/autenticacion');
+const { client, montarMetricas, registrarEstadoRedis } = require('../../shared/prometheus');
+const { validar, rechazarJsonInvalido } = require('../../shared/validacion');
+const {
+  PROCESAR_PAGO,
+  REEMBOLSAR_PAGO,
+  PARAMS_TRANSACCION,
+  PARAMS_PAGOS_RESERVA,
+  SIMULACION_LATENCIA
+} = require('../../shared/esquemas');
+const { ESTADOS_REEMBOLSO, abrirReembolso, cerrarReembolso } = require('./reembolsos');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
-
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'pagos',
-    timestamp: new Date().toISOString()
-  });
-});
+app.use(rechazarJsonInvalido);
+montarTrazas(app, 'pagos');
+montarMetricas(app, 'pagos');
+app.use(identidadInterna());
+app.use('/admin', requerirRol(ROLES.ADMIN));
 
 const PORT = process.env.PORT || 3003;
-const SIMULAR_LATENCIA = process.env.SIMULAR_LATENCIA === 'true';
 const LATENCIA_MS = parseInt(process.env.LATENCIA_MS || '20000', 10);
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const IDEMPOTENCIA_TTL_SEGUNDOS = parseInt(process.env.IDEMPOTENCIA_TTL_SEGUNDOS || '86400', 10);
+
+const redis = new Redis(REDIS_URL, {
+  retryStrategy: () => null,
+  enableOfflineQueue: false,
+  lazyConnect: true
+});
+
+redis.connect().then(() => {
+  logger.info('Redis connected successfully');
+}).catch((error) => {
+  logger.warn(`Redis not available: ${error.message}. Idempotency keys kept in memory.`);
+});
+
+registrarEstadoRedis(() => redis.status === 'ready');
+
+const pagosProcesados = new client.Counter({
+  name: 'payments_total',
+  help: 'Payments processed by result',
+  labelNames: ['result']
+});
+
+const montoProcesado = new client.Counter({
+  name: 'payments_amount_total',
+  help: 'Amount charged by result',
+  labelNames: ['result']
+});
+
+const reembolsos = new client.Counter({
+  name: 'payment_refunds_total',
+  help: 'Refunds processed by result',
+  labelNames: ['result']
+});
+
+const montoReembolsado = new client.Counter({
+  name: 'payment_refunds_amount_total',
+  help: 'Amount refunded'
+});
 
 const transacciones = new Map();
 
@@ -25,56 +74,51 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Read from process.env on every request so /admin/simular-latencia takes
+// effect without a restart
+function simulandoLatencia() {
+  return process.env.SIMULAR_LATENCIA === 'true';
+}
+
+function latenciaMs() {
+  return parseInt(process.env.LATENCIA_MS || String(LATENCIA_MS), 10);
+}
+
 app.use(async (req, res, next) => {
-  if (SIMULAR_LATENCIA && req.path !== '/health' && req.path !== '/admin/simular-latencia') {
-    const latencia = LATENCIA_MS;
+  if (simulandoLatencia() && req.path !== '/health' && req.path !== '/admin/simular-latencia') {
+    const latencia = latenciaMs();
     logger.warn(`Simulating latency of ${latencia}ms on ${req.method} ${req.path}`);
     await sleep(latencia);
   }
   next();
 });
 
+app.use(idempotencia({ redis, servicio: 'pagos', ttlSegundos: IDEMPOTENCIA_TTL_SEGUNDOS }));
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'pagos',
     timestamp: new Date().toISOString(),
-    simulandoLatencia: SIMULAR_LATENCIA,
-    latenciaMs: LATENCIA_MS
+    simulandoLatencia: simulandoLatencia(),
+    latenciaMs: latenciaMs()
   });
 });
 
-app.post('/pagos/procesar', async (req, res) => {
+app.post('/pagos/procesar', validar({ body: PROCESAR_PAGO }), async (req, res) => {
   try {
-    const { reservaId, monto, metodoPago, usuario } = req.body;
+    const { reservaId, monto, metodoPago, usuario, referencia } = req.body;
     
     logger.info(`POST /pagos/procesar - Reservation: ${reservaId}, Amount: $${monto}, User: ${usuario}`);
 
-    if (!reservaId || !monto || !metodoPago || !usuario) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: reservaId, monto, metodoPago, usuario' 
-      });
-    }
-
-    if (monto <= 0) {
-      return res.status(400).json({ error: 'Invalid amount' });
-    }
-
     logger.info(`Processing payment of $${monto} for reservation ${reservaId}`);
     
     await sleep(Math.random() * 1000 + 500);
 
     const exito = Math.random() > 0.05;
 
-    if (!exito) {
-      logger.error(`Payment DECLINED for reservation ${reservaId}`);
-      return res.status(402).json({
-        error: 'Payment rejected',
-        codigo: 'PAYMENT_DECLINED',
-        mensaje: 'Card was declined. Please try another payment method.'
-      });
-    }
-
+    // Declined attempts are recorded too, so a caller that timed out can find
+    // out the outcome through GET /pagos/reserva/:reservaId
     const transaccionId = uuidv4();
     const transaccion = {
       id: transaccionId,
@@ -82,12 +126,30 @@ app.post('/pagos/procesar', async (req, res) => {
       monto,
       metodoPago,
       usuario,
-      estado: 'completado',
+      referencia: referencia || null,
+      estado: exito ? 'completado' : 'rechazado',
+      montoReembolsado: 0,
+      saldoReembolsable: exito ? monto : 0,
+      reembolsos: [],
       timestamp: new Date().toISOString()
     };
 
     transacciones.set(transaccionId, transaccion);
 
+    const resultado = exito ? 'approved' : 'declined';
+    pagosProcesados.inc({ result: resultado });
+    montoProcesado.inc({ result: resultado }, monto);
+
+    if (!exito) {
+      logger.error(`Payment DECLINED for reservation ${reservaId}`);
+      return res.status(402).json({
+        error: 'Payment rejected',
+        codigo: 'PAYMENT_DECLINED',
+        transaccionId,
+        mensaje: 'Card was declined. Please try another payment method.'
+      });
+    }
+
     logger.info(`Payment APPROVED - Transaction: ${transaccionId}, Amount: $${monto}`);
 
     res.status(200).json({
@@ -109,7 +171,7 @@ app.post('/pagos/procesar', async (req, res) => {
   }
 });
 
-app.get('/pagos/transaccion/:transaccionId', (req, res) => {
+app.get('/pagos/transaccion/:transaccionId', validar({ params: PARAMS_TRANSACCION }), (req, res) => {
   try {
     const { transaccionId } = req.params;
     logger.info(`GET /pagos/transaccion/${transaccionId}`);
@@ -128,51 +190,99 @@ app.get('/pagos/transaccion/:transaccionId', (req, res) => {
   }
 });
 
-app.post('/pagos/reembolsar', async (req, res) => {
+app.get('/pagos/reserva/:reservaId', validar({ params: PARAMS_PAGOS_RESERVA }), (req, res) => {
   try {
-    const { transaccionId, motivo } = req.body;
-    
-    logger.info(`POST /pagos/reembolsar - Transaction: ${transaccionId}, Reason: ${motivo}`);
+    const { reservaId } = req.params;
+    logger.info(`GET /pagos/reserva/${reservaId}`);
 
-    const transaccion = transacciones.get(transaccionId);
+    const delaReserva = Array.from(transacciones.values()).filter(t => t.reservaId === reservaId);
 
-    if (!transaccion) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    if (delaReserva.length === 0) {
+      return res.status(404).json({ error: 'No transactions for this reservation', reservaId });
     }
 
-    if (transaccion.estado === 'reembolsado') {
-      return res.status(409).json({ error: 'This transaction already has a refund' });
-    }
+    res.json({ reservaId, transacciones: delaReserva });
+  } catch (error) {
+    logger.error(`Error querying transactions by reservation: ${error.message}`);
+    res.status(500).json({ error: 'Error querying transactions' });
+  }
+});
+
+// Refunds are appended to the transaction's ledger. Without `monto` the whole
+// refundable balance is given back. The transaction goes to
+// reembolsado_parcial and, once nothing is left, to reembolsado.
+app.post('/pagos/reembolsar', validar({ body: REEMBOLSAR_PAGO }), async (req, res) => {
+  const { transaccionId, monto, motivo } = req.body;
+
+  logger.info(`POST /pagos/reembolsar - Transaction: ${transaccionId}, Amount: ${monto === undefined ? 'balance' : `$${monto}`}, Reason: ${motivo}`);
+
+  const transaccion = transacciones.get(transaccionId);
+
+  if (!transaccion) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  let reembolso;
+  try {
+    reembolso = abrirReembolso(transaccion, { monto, motivo });
+  } catch (error) {
+    logger.warn(`Refund rejected for transaction ${transaccionId}: ${error.message}`);
+    return res.status(error.status).json({ error: error.message, ...error.detalle });
+  }
 
+  try {
     await sleep(500);
 
-    transaccion.estado = 'reembolsado';
-    transaccion.motivoReembolso = motivo;
-    transaccion.fechaReembolso = new Date().toISOString();
+    cerrarReembolso(transaccion, reembolso, ESTADOS_REEMBOLSO.COMPLETADO);
+    reembolsos.inc({ result: 'completed' });
+    montoReembolsado.inc(reembolso.monto);
 
-    logger.info(`Refund processed for transaction ${transaccionId}`);
+    logger.info(`Refund of $${reembolso.monto} processed for transaction ${transaccionId}, balance left $${transaccion.saldoReembolsable}`);
 
     res.json({
       success: true,
       transaccionId,
-      monto: transaccion.monto,
-      estado: 'reembolsado',
+      monto: reembolso.monto,
+      reembolso,
+      montoReembolsado: transaccion.montoReembolsado,
+      saldoReembolsable: transaccion.saldoReembolsable,
+      estado: transaccion.estado,
       mensaje: 'Refund processed successfully'
     });
 
   } catch (error) {
+    cerrarReembolso(transaccion, reembolso, ESTADOS_REEMBOLSO.FALLIDO);
+    reembolsos.inc({ result: 'failed' });
     logger.error(`Error processing refund: ${error.message}`);
-    res.status(500).json({ error: 'Error processing refund' });
+    res.status(500).json({ error: 'Error processing refund', reembolsoId: reembolso.id });
   }
 });
 
+app.get('/pagos/transaccion/:transaccionId/reembolsos', validar({ params: PARAMS_TRANSACCION }), (req, res) => {
+  const { transaccionId } = req.params;
+  const transaccion = transacciones.get(transaccionId);
+
+  if (!transaccion) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  res.json({
+    transaccionId,
+    monto: transaccion.monto,
+    montoReembolsado: transaccion.montoReembolsado,
+    saldoReembolsable: transaccion.saldoReembolsable,
+    estado: transaccion.estado,
+    reembolsos: transaccion.reembolsos
+  });
+});
+
 app.get('/pagos/transacciones', (req, res) => {
   const todas = Array.from(transacciones.values());
   logger.info(`GET /pagos/transacciones - Total: ${todas.length}`);
   res.json(todas);
 });
 
-app.post('/admin/simular-latencia', (req, res) => {
+app.post('/admin/simular-latencia', validar({ body: SIMULACION_LATENCIA }), (req, res) => {
   const { activar, latenciaMs } = req.body;
   
   process.env.SIMULAR_LATENCIA = activar ? 'true' : 'false';
@@ -192,5 +302,5 @@ app.post('/admin/simular-latencia', (req, res) => {
 
 app.listen(PORT, () => {
   logger.info(`Payment service listening on port ${PORT}`);
-  logger.info(`Latency simulation: ${SIMULAR_LATENCIA ? 'ACTIVATED' : 'DEACTIVATED'} (${LATENCIA_MS}ms)`);
+  logger.info(`Latency simulation: ${simulandoLatencia() ? 'ACTIVATED' : 'DEACTIVATED'} (${latenciaMs()}ms)`);
 });
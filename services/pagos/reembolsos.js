@@ -0,0 +1,90 @@
+const { v4: uuidv4 } = require('uuid');
+
+const ESTADOS_REEMBOLSO = {
+  PROCESANDO: 'procesando',
+  COMPLETADO: 'completado',
+  FALLIDO: 'fallido'
+};
+
+// Transactions that captured money and still have some of it
+const ESTADOS_REEMBOLSABLES = ['completado', 'reembolsado_parcial'];
+
+// Amounts are kept in whole cents
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+function sumar(reembolsos) {
+  return redondear(reembolsos.reduce((total, reembolso) => total + reembolso.monto, 0));
+}
+
+// A refund still being processed already counts against the balance, so two
+// concurrent refunds can never add up to more than was captured
+function saldoReembolsable(transaccion) {
+  const comprometidos = transaccion.reembolsos.filter(r => r.estado !== ESTADOS_REEMBOLSO.FALLIDO);
+  return redondear(transaccion.monto - sumar(comprometidos));
+}
+
+function actualizarTransaccion(transaccion) {
+  const completados = transaccion.reembolsos.filter(r => r.estado === ESTADOS_REEMBOLSO.COMPLETADO);
+  transaccion.montoReembolsado = sumar(completados);
+  transaccion.saldoReembolsable = saldoReembolsable(transaccion);
+
+  if (transaccion.montoReembolsado >= transaccion.monto) {
+    transaccion.estado = 'reembolsado';
+  } else if (transaccion.montoReembolsado > 0) {
+    transaccion.estado = 'reembolsado_parcial';
+  } else {
+    transaccion.estado = 'completado';
+  }
+}
+
+// Opens a refund in `procesando`. Without `monto` it takes the whole balance.
+// Throws an error with `status` when the transaction cannot give it back.
+function abrirReembolso(transaccion, { monto, motivo }) {
+  if (!ESTADOS_REEMBOLSABLES.includes(transaccion.estado)) {
+    const error = new Error(transaccion.estado === 'reembolsado'
+      ? 'This transaction is already fully refunded'
+      : `Cannot refund a transaction in state ${transaccion.estado}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const saldo = saldoReembolsable(transaccion);
+  const solicitado = monto === undefined ? saldo : redondear(monto);
+
+  if (solicitado <= 0 || solicitado > saldo) {
+    const error = new Error('Refund exceeds the refundable balance');
+    error.status = 409;
+    error.detalle = { solicitado, saldoReembolsable: saldo };
+    throw error;
+  }
+
+  const reembolso = {
+    id: uuidv4(),
+    monto: solicitado,
+    motivo: motivo || null,
+    estado: ESTADOS_REEMBOLSO.PROCESANDO,
+    creadoEn: new Date().toISOString(),
+    procesadoEn: null
+  };
+
+  transaccion.reembolsos.push(reembolso);
+  actualizarTransaccion(transaccion);
+  return reembolso;
+}
+
+// A failed refund gives its amount back to the balance
+function cerrarReembolso(transaccion, reembolso, estado) {
+  reembolso.estado = estado;
+  reembolso.procesadoEn = new Date().toISOString();
+  actualizarTransaccion(transaccion);
+}
+
+module.exports = {
+  ESTADOS_REEMBOLSO,
+  redondear,
+  saldoReembolsable,
+  abrirReembolso,
+  cerrarReembolso
+};
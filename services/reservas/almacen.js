@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../shared/logger');
+
+class AlmacenRedis {
+  constructor(redis, nombre) {
+    this.redis = redis;
+    this.clave = `almacen:${nombre}`;
+  }
+
+  disponible() {
+    return this.redis.status === 'ready';
+  }
+
+  async cargarTodos() {
+    const registros = await this.redis.hgetall(this.clave);
+    return Object.values(registros).map(registro => JSON.parse(registro));
+  }
+
+  async obtener(id) {
+    const registro = await this.redis.hget(this.clave, id);
+    return registro ? JSON.parse(registro) : null;
+  }
+
+  async guardar(registro) {
+    await this.redis.hset(this.clave, registro.id, JSON.stringify(registro));
+  }
+}
+
+// Append-only JSON lines: every save writes the full record, and replaying the
+// file keeps the last line per id. A line cut short by a crash is skipped.
+class AlmacenArchivo {
+  constructor(ruta) {
+    this.ruta = ruta;
+    this.escrituras = Promise.resolve();
+  }
+
+  disponible() {
+    return true;
+  }
+
+  async cargarTodos() {
+    let contenido;
+    try {
+      contenido = await fs.promises.readFile(this.ruta, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const registros = new Map();
+    contenido.split('\n').forEach((linea, i) => {
+      if (!linea.trim()) {
+        return;
+      }
+      try {
+        const registro = JSON.parse(linea);
+        registros.set(registro.id, registro);
+      } catch (error) {
+        logger.warn(`Skipping corrupt line ${i + 1} in ${this.ruta}`);
+      }
+    });
+
+    return Array.from(registros.values());
+  }
+
+  guardar(registro) {
+    const linea = `${JSON.stringify(registro)}\n`;
+    this.escrituras = this.escrituras
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.ruta, linea));
+    return this.escrituras;
+  }
+
+  async compactar(registros) {
+    const temporal = `${this.ruta}.tmp`;
+    const contenido = registros.map(registro => JSON.stringify(registro)).join('\n');
+
+    await this.escrituras.catch(() => {});
+    await fs.promises.writeFile(temporal, contenido ? `${contenido}\n` : '');
+    await fs.promises.rename(temporal, this.ruta);
+  }
+}
+
+// Keeps every record in memory for reads and persists each write to Redis when
+// it is connected, or to the local file otherwise. `cargar` rebuilds the
+// in-memory state from both backends, keeping the highest version of each
+// record, and pushes anything written to the file during an outage back to Redis.
+class Almacen {
+  constructor({ nombre, redis, directorio }) {
+    this.nombre = nombre;
+    this.redis = new AlmacenRedis(redis, nombre);
+    this.archivo = new AlmacenArchivo(path.join(directorio, `${nombre}.jsonl`));
+    this.registros = new Map();
+  }
+
+  get size() {
+    return this.registros.size;
+  }
+
+  backend() {
+    return this.redis.disponible() ? 'redis' : 'archivo';
+  }
+
+  async cargar() {
+    await fs.promises.mkdir(path.dirname(this.archivo.ruta), { recursive: true });
+
+    const desdeArchivo = await this.archivo.cargarTodos();
+    let desdeRedis = [];
+
+    if (this.redis.disponible()) {
+      try {
+        desdeRedis = await this.redis.cargarTodos();
+      } catch (error) {
+        logger.warn(`Redis error loading ${this.nombre}: ${error.message}. Using local file only.`);
+      }
+    }
+
+    for (const registro of [...desdeRedis, ...desdeArchivo]) {
+      const actual = this.registros.get(registro.id);
+      if (!actual || (registro.version || 0) > (actual.version || 0)) {
+        this.registros.set(registro.id, registro);
+      }
+    }
+
+    await this.archivo.compactar(Array.from(this.registros.values()));
+
+    if (this.redis.disponible()) {
+      const versionesRedis = new Map(desdeRedis.map(r => [r.id, r.version || 0]));
+      const pendientes = Array.from(this.registros.values())
+        .filter(registro => (versionesRedis.get(registro.id) || -1) < (registro.version || 0));
+
+      for (const registro of pendientes) {
+        await this.redis.guardar(registro);
+      }
+      if (pendientes.length > 0) {
+        logger.info(`Synced ${pendientes.length} ${this.nombre} records from local file to Redis`);
+      }
+    }
+
+    logger.info(`Loaded ${this.registros.size} ${this.nombre} records (backend: ${this.backend()})`);
+  }
+
+  obtener(id) {
+    return this.registros.get(id) || null;
+  }
+
+  // The in-memory copy only sees this replica's writes; this adopts a newer
+  // one another replica saved to Redis. Meant to be read under a lock.
+  async refrescar(id) {
+    if (this.redis.disponible()) {
+      try {
+        const registro = await this.redis.obtener(id);
+        const actual = this.registros.get(id);
+        if (registro && (!actual || (registro.version || 0) > (actual.version || 0))) {
+          this.registros.set(id, registro);
+        }
+      } catch (error) {
+        logger.warn(`Redis error reading ${this.nombre} ${id}: ${error.message}. Using the local copy.`);
+      }
+    }
+
+    return this.obtener(id);
+  }
+
+  listar() {
+    return Array.from(this.registros.values());
+  }
+
+  async guardar(registro) {
+    registro.version = (registro.version || 0) + 1;
+    this.registros.set(registro.id, registro);
+
+    if (this.redis.disponible()) {
+      try {
+        await this.redis.guardar(registro);
+        return registro;
+      } catch (error) {
+        logger.warn(`Redis error saving ${this.nombre} ${registro.id}: ${error.message}. Falling back to local file.`);
+      }
+    }
+
+    await this.archivo.guardar(registro);
+    return registro;
+  }
+}
+
+module.exports = {
+  Almacen,
+  AlmacenRedis,
+  AlmacenArchivo
+};
@@ -0,0 +1,38 @@
+const { redondear } = require('./modificaciones');
+
+// Events without a policy refund everything until they start
+const POLITICA_POR_DEFECTO = [{ horasAntes: 0, porcentaje: 100 }];
+
+const MS_POR_HORA = 60 * 60 * 1000;
+
+// The tier with the widest window the cancellation still falls in; none once
+// even the narrowest one has closed
+function tramoAplicable(politica, horasRestantes) {
+  return [...politica]
+    .sort((a, b) => b.horasAntes - a.horasAntes)
+    .find(tramo => horasRestantes >= tramo.horasAntes) || null;
+}
+
+// What cancelling `monto` of a booking for `evento` gives back at `ahora`.
+// `evento` is what inventario answers: it carries fecha and politicaCancelacion.
+function calcularReembolso(monto, evento, ahora = new Date()) {
+  const politica = evento.politicaCancelacion || POLITICA_POR_DEFECTO;
+  const horasRestantes = (Date.parse(evento.fecha) - ahora.getTime()) / MS_POR_HORA;
+  const tramo = tramoAplicable(politica, horasRestantes);
+  const porcentaje = tramo ? tramo.porcentaje : 0;
+  const montoReembolso = redondear(monto * porcentaje / 100);
+
+  return {
+    politica,
+    fechaEvento: evento.fecha,
+    horasRestantes: Math.round(horasRestantes * 10) / 10,
+    tramo,
+    porcentaje,
+    montoReembolso,
+    penalizacion: redondear(monto - montoReembolso)
+  };
+}
+
+module.exports = {
+  calcularReembolso
+};
@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+const { MAX_ARTICULOS_CARRITO } = require('../../shared/esquemas');
+const { redondear } = require('./modificaciones');
+
+const ESTADOS_CARRITO = {
+  ABIERTO: 'abierto',
+  PROCESANDO: 'procesando',
+  PAGO_PENDIENTE: 'pago_pendiente',
+  COMPLETADO: 'completado'
+};
+
+function crearCarrito(id, usuario, ahora = new Date()) {
+  return {
+    id,
+    usuario,
+    estado: ESTADOS_CARRITO.ABIERTO,
+    articulos: [],
+    creadoEn: ahora.toISOString(),
+    actualizadoEn: ahora.toISOString()
+  };
+}
+
+// Why the items of a cart cannot be changed or paid for, or null if they can
+function motivoNoModificable(carrito) {
+  switch (carrito.estado) {
+    case ESTADOS_CARRITO.ABIERTO:
+      return null;
+    case ESTADOS_CARRITO.COMPLETADO:
+      return 'Cart already checked out';
+    case ESTADOS_CARRITO.PAGO_PENDIENTE:
+      return 'Cart payment pending confirmation';
+    default:
+      return 'Cart checkout in progress';
+  }
+}
+
+// An event and price category the cart already has keeps its item id and
+// gets the new seats
+function agregarArticulo(carrito, { eventoId, categoria = null, asientos, asientoIds }, ahora = new Date()) {
+  const existente = carrito.articulos.find(a => a.eventoId === eventoId && (a.categoria || null) === categoria);
+
+  if (!existente && carrito.articulos.length >= MAX_ARTICULOS_CARRITO) {
+    const error = new Error(`A cart holds at most ${MAX_ARTICULOS_CARRITO} items`);
+    error.status = 409;
+    throw error;
+  }
+
+  const articulo = {
+    id: existente ? existente.id : uuidv4(),
+    eventoId,
+    categoria,
+    asientos: asientoIds ? asientoIds.length : asientos,
+    asientoIds: asientoIds || null
+  };
+
+  carrito.articulos = existente
+    ? carrito.articulos.map(a => (a === existente ? articulo : a))
+    : [...carrito.articulos, articulo];
+  carrito.actualizadoEn = ahora.toISOString();
+  return articulo;
+}
+
+function quitarArticulo(carrito, articuloId, ahora = new Date()) {
+  const antes = carrito.articulos.length;
+  carrito.articulos = carrito.articulos.filter(a => a.id !== articuloId);
+  carrito.actualizadoEn = ahora.toISOString();
+  return carrito.articulos.length < antes;
+}
+
+// Set before anything is awaited, so no item can change under a checkout
+function apartarCarrito(carrito, pedidoId, ahora = new Date()) {
+  Object.assign(carrito, {
+    estado: ESTADOS_CARRITO.PROCESANDO,
+    pedidoId,
+    ultimoError: null,
+    actualizadoEn: ahora.toISOString()
+  });
+}
+
+// A checkout that did not go through leaves the cart as it was, to be
+// changed or paid for again
+function reabrirCarrito(carrito, motivo, ahora = new Date()) {
+  Object.assign(carrito, {
+    estado: ESTADOS_CARRITO.ABIERTO,
+    ultimoError: motivo,
+    actualizadoEn: ahora.toISOString()
+  });
+}
+
+function completarCarrito(carrito, { monto, reservaIds }, ahora = new Date()) {
+  Object.assign(carrito, {
+    estado: ESTADOS_CARRITO.COMPLETADO,
+    monto,
+    reservaIds,
+    completadoEn: ahora.toISOString(),
+    actualizadoEn: ahora.toISOString()
+  });
+}
+
+// The cart and each of its events once, sorted: two checkouts sharing events
+// always ask for their locks in the same order, so neither can end up
+// holding one the other is waiting for
+function recursosCheckout(carrito) {
+  return [...new Set([
+    `lock:carrito:${carrito.id}`,
+    ...carrito.articulos.map(a => `lock:evento:${a.eventoId}`)
+  ])].sort();
+}
+
+function totalArticulos(articulos) {
+  return redondear(articulos.reduce((total, a) => total + a.monto, 0));
+}
+
+module.exports = {
+  ESTADOS_CARRITO,
+  crearCarrito,
+  motivoNoModificable,
+  agregarArticulo,
+  quitarArticulo,
+  apartarCarrito,
+  reabrirCarrito,
+  completarCarrito,
+  recursosCheckout,
+  totalArticulos
+};
@@ -0,0 +1,98 @@
+const LIMITE_POR_DEFECTO = 20;
+const ORDEN_POR_DEFECTO = '-timestamp';
+
+// Carries the query field it refers to, for the 400 answer
+function errorCursor(mensaje) {
+  const error = new Error(mensaje);
+  error.campo = 'query.cursor';
+  return error;
+}
+
+function campoOrden(orden) {
+  return orden.replace(/^-/, '');
+}
+
+// The cursor is the sort value and id of the last reservation of the page,
+// plus the sort it belongs to. Opaque to clients: base64url JSON.
+function crearCursor(orden, reserva) {
+  const datos = { orden, valor: reserva[campoOrden(orden)], id: reserva.id };
+  return Buffer.from(JSON.stringify(datos)).toString('base64url');
+}
+
+function leerCursor(cursor, orden) {
+  let datos;
+  try {
+    datos = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw errorCursor('is not a valid cursor');
+  }
+  if (!datos || typeof datos.id !== 'string' || !('valor' in datos)) {
+    throw errorCursor('is not a valid cursor');
+  }
+  if (datos.orden !== orden) {
+    throw errorCursor(`belongs to a listing sorted by ${datos.orden}`);
+  }
+  return datos;
+}
+
+function comparar(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : 1;
+}
+
+// Ties on the sort field are broken by id, so every reservation has a single
+// position and pages never repeat or skip one while new bookings arrive
+function comparador(orden) {
+  const campo = campoOrden(orden);
+  const sentido = orden.startsWith('-') ? -1 : 1;
+  return (a, b) => sentido * (comparar(a[campo], b[campo]) || comparar(a.id, b.id));
+}
+
+function coincide(reserva, { usuario, eventoId, estado, desde, hasta }) {
+  return (!usuario || reserva.usuario === usuario) &&
+    (!eventoId || reserva.eventoId === eventoId) &&
+    (!estado || reserva.estado === estado) &&
+    (!desde || Date.parse(reserva.timestamp) >= Date.parse(desde)) &&
+    (!hasta || Date.parse(reserva.timestamp) <= Date.parse(hasta));
+}
+
+// Filters, sorts and pages over `reservas`. Throws an error with `campo` when
+// the cursor cannot be decoded or was issued for another sort order.
+function consultarReservas(reservas, filtros = {}) {
+  const { orden = ORDEN_POR_DEFECTO, limite = LIMITE_POR_DEFECTO, cursor } = filtros;
+  const ordenar = comparador(orden);
+
+  const coincidentes = reservas.filter(reserva => coincide(reserva, filtros)).sort(ordenar);
+
+  let restantes = coincidentes;
+  if (cursor) {
+    const { valor, id } = leerCursor(cursor, orden);
+    const referencia = { [campoOrden(orden)]: valor, id };
+    restantes = coincidentes.filter(reserva => ordenar(reserva, referencia) > 0);
+  }
+
+  const pagina = restantes.slice(0, limite);
+  const hayMas = restantes.length > limite;
+
+  return {
+    reservas: pagina,
+    paginacion: {
+      total: coincidentes.length,
+      limite,
+      orden,
+      siguienteCursor: hayMas ? crearCursor(orden, pagina[pagina.length - 1]) : null
+    }
+  };
+}
+
+module.exports = {
+  consultarReservas
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+const ESTADOS_ENTRADA = {
+  VALIDA: 'valida',
+  USADA: 'usada',
+  ANULADA: 'anulada'
+};
+
+function firmar(datos, secreto) {
+  return crypto.createHmac('sha256', secreto).update(datos).digest('base64url');
+}
+
+// `<datos>.<firma>`: the reservation, seat and event in base64url JSON and an
+// HMAC-SHA256 over them, so a scanner holding the key can check it offline
+function codigoEntrada({ reservaId, asientoId, eventoId }, secreto) {
+  const datos = Buffer.from(JSON.stringify({ reservaId, asientoId, eventoId })).toString('base64url');
+  return `${datos}.${firmar(datos, secreto)}`;
+}
+
+// What a code was issued for, or null when it was not signed with `secreto`
+// or has been altered since
+function leerCodigo(codigo, secreto) {
+  const partes = codigo.split('.');
+  if (partes.length !== 2) {
+    return null;
+  }
+
+  const [datos, firma] = partes;
+  const esperada = Buffer.from(firmar(datos, secreto));
+  const recibida = Buffer.from(firma);
+  if (recibida.length !== esperada.length || !crypto.timingSafeEqual(recibida, esperada)) {
+    return null;
+  }
+
+  try {
+    const { reservaId, asientoId, eventoId } = JSON.parse(Buffer.from(datos, 'base64url').toString('utf8'));
+    return { reservaId, asientoId, eventoId };
+  } catch (error) {
+    return null;
+  }
+}
+
+function vigente(entrada) {
+  return entrada.estado !== ESTADOS_ENTRADA.ANULADA;
+}
+
+function anular(entrada, ahora) {
+  return vigente(entrada)
+    ? { ...entrada, estado: ESTADOS_ENTRADA.ANULADA, anuladaEn: ahora.toISOString() }
+    : entrada;
+}
+
+// One ticket per booked seat. Seats the reservation already had keep their
+// ticket, used or not; tickets of seats it no longer has are voided.
+function emitirEntradas(reserva, secreto, ahora = new Date()) {
+  const previas = reserva.entradas || [];
+
+  const actuales = reserva.asientoIds.map(asientoId =>
+    previas.find(e => vigente(e) && e.asientoId === asientoId && e.eventoId === reserva.eventoId) || {
+      asientoId,
+      eventoId: reserva.eventoId,
+      codigo: codigoEntrada({ reservaId: reserva.id, asientoId, eventoId: reserva.eventoId }, secreto),
+      estado: ESTADOS_ENTRADA.VALIDA,
+      emitidaEn: ahora.toISOString()
+    });
+
+  const retiradas = previas
+    .filter(e => !actuales.includes(e))
+    .map(e => anular(e, ahora));
+
+  return [...actuales, ...retiradas];
+}
+
+function anularEntradas(reserva, ahora = new Date()) {
+  return (reserva.entradas || []).map(e => anular(e, ahora));
+}
+
+function algunaUsada(reserva) {
+  return (reserva.entradas || []).some(e => e.estado === ESTADOS_ENTRADA.USADA);
+}
+
+// The ticket a code stands for: the live one for that seat and event if the
+// reservation still has it, otherwise the voided one
+function buscarEntrada(reserva, { asientoId, eventoId }) {
+  const entradas = (reserva.entradas || []).filter(e => e.asientoId === asientoId && e.eventoId === eventoId);
+  return entradas.find(vigente) || entradas[0] || null;
+}
+
+module.exports = {
+  ESTADOS_ENTRADA,
+  leerCodigo,
+  emitirEntradas,
+  anularEntradas,
+  algunaUsada,
+  buscarEntrada
+};
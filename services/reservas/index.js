@@ -1,20 +1,96 @@
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const Redis = require('ioredis');
 const Redlock = require('redlock').default;
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../shared/logger');
-const { createResilientHttpClient, Bulkhead } = require('../../shared/resilience-patterns');
+const { createResilientHttpClient, Bulkhead, estadoBreaker } = require('../../shared/resilience-patterns');
+const { idempotencia, conClaveIdempotencia } = require('../../shared/idempotencia');
+const { montarTrazas } = require('../../shared/trazas');
+const { ROLES, identidadInterna, requerirRol } = require('../../shared/autenticacion');
+const { montarMetricas, registrarEstadoRedis } = require('../../shared/prometheus');
+const { validar, responderInvalido, rechazarJsonInvalido } = require('../../shared/validacion');
+const {
+  CREAR_RESERVA,
+  MODIFICAR_RESERVA,
+  PARAMS_RESERVA,
+  ARTICULO_CARRITO,
+  CREAR_CARRITO,
+  PARAMS_CARRITO,
+  PARAMS_ARTICULO_CARRITO,
+  PAGAR_CARRITO,
+  CHECKIN,
+  CONSULTA_RESERVAS,
+  PROMOCION,
+  PARAMS_PROMOCION
+} = require('../../shared/esquemas');
+const { Almacen } = require('./almacen');
+const { ESTADOS_SAGA, DefinicionSaga, OrquestadorSagas, errorPaso, pasoPendiente } = require('./saga');
+const { consultarReservas } = require('./consultas');
+const {
+  redondear,
+  planificarCambio,
+  cantidadNueva,
+  sinCambios,
+  montoModificado,
+  cargosDe,
+  repartirReembolso
+} = require('./modificaciones');
+const { calcularReembolso } = require('./cancelaciones');
+const { categoriaReserva, precioRetenido } = require('./precios');
+const {
+  ESTADOS_ENTRADA,
+  leerCodigo,
+  emitirEntradas,
+  anularEntradas,
+  algunaUsada,
+  buscarEntrada
+} = require('./entradas');
+const {
+  normalizarCodigo,
+  validarPromocion,
+  crearPromocion,
+  canjear,
+  devolverUso,
+  resumenPromocion
+} = require('./promociones');
+const {
+  ESTADOS_CARRITO,
+  crearCarrito,
+  motivoNoModificable,
+  agregarArticulo,
+  quitarArticulo,
+  apartarCarrito,
+  reabrirCarrito,
+  completarCarrito,
+  recursosCheckout,
+  totalArticulos
+} = require('./carritos');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
+app.use(rechazarJsonInvalido);
+montarTrazas(app, 'reservas');
+montarMetricas(app, 'reservas');
 
 const PORT = process.env.PORT || 3001;
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const INVENTARIO_URL = process.env.INVENTARIO_URL || 'http://localhost:3002';
 const PAGOS_URL = process.env.PAGOS_URL || 'http://localhost:3003';
 const NOTIFICACIONES_URL = process.env.NOTIFICACIONES_URL || 'http://localhost:3004';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const IDEMPOTENCIA_TTL_SEGUNDOS = parseInt(process.env.IDEMPOTENCIA_TTL_SEGUNDOS || '86400', 10);
+const PAGO_TIMEOUT_MS = parseInt(process.env.PAGO_TIMEOUT_MS || '25000', 10);
+const RECONCILIACION_INTERVALO_MS = parseInt(process.env.RECONCILIACION_INTERVALO_MS || '10000', 10);
+const PAGO_PENDIENTE_MAX_SEGUNDOS = parseInt(process.env.PAGO_PENDIENTE_MAX_SEGUNDOS || '900', 10);
+// Only meant for running locally; venues verify ticket codes with the same key
+const ENTRADAS_SECRETO = process.env.ENTRADAS_SECRETO || 'sistema-reservas-dev-tickets';
+
+if (!process.env.ENTRADAS_SECRETO) {
+  logger.warn('ENTRADAS_SECRETO not set, using the development ticket signing key');
+}
 
 const redis = new Redis(REDIS_URL, {
   retryStrategy: () => null,
@@ -23,8 +99,9 @@ const redis = new Redis(REDIS_URL, {
 });
 
 let redlock = null;
+let locksActivos = 0;
 
-redis.connect().then(() => {
+const redisListo = redis.connect().then(() => {
   logger.info('Redis connected successfully');
   redlock = new Redlock([redis], {
     driftFactor: 0.01,
@@ -41,13 +118,13 @@ redis.connect().then(() => {
   logger.warn(`Redis not available: ${error.message}. Running without distributed locks.`);
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'reservas',
-    timestamp: new Date().toISOString()
-  });
-});
+registrarEstadoRedis(() => redis.status === 'ready');
+
+app.use(identidadInterna());
+app.use('/reservas', requerirRol());
+app.use('/carritos', requerirRol());
+app.use('/promociones', requerirRol(ROLES.OPERADOR, ROLES.ADMIN));
+app.use(idempotencia({ redis, servicio: 'reservas', ttlSegundos: IDEMPOTENCIA_TTL_SEGUNDOS }));
 
 const inventarioCache = new Map();
 
@@ -63,6 +140,9 @@ const inventarioClient = createResilientHttpClient(INVENTARIO_URL, {
 });
 
 const INVENTARIO_CACHE_TTL = 10 * 60 * 1000; // 10 minutes cache TTL for easier manual testing
+// Must outlast the payment call (25s timeout plus one retry) so a slow but
+// successful payment still finds its seats held
+const RETENCION_TTL_SEGUNDOS = parseInt(process.env.RETENCION_TTL_SEGUNDOS || '120', 10);
 
 async function consultarInventario(eventoId) {
   try {
@@ -101,17 +181,19 @@ async function consultarInventario(eventoId) {
 const pagosBulkhead = new Bulkhead(10, 'pagos-bulkhead');
 
 const pagosClient = createResilientHttpClient(PAGOS_URL, {
-  timeout: 25000,
+  timeout: PAGO_TIMEOUT_MS,
   retries: 1,
   breakerOptions: {
-    timeout: 25000,
+    timeout: PAGO_TIMEOUT_MS,
     errorThresholdPercentage: 70,
     resetTimeout: 8000,
     volumeThreshold: 3
   }
 });
 
-async function procesarPago(reservaId, monto, metodoPago, usuario) {
+// `referencia` names a charge other than the booking itself (a modification),
+// so it gets its own idempotency key and can be found again in pagos
+async function procesarPago(reservaId, monto, metodoPago, usuario, referencia = null) {
   return pagosBulkhead.execute(async () => {
     logger.info(`Processing payment: Reservation ${reservaId}, Amount $${monto}`);
 
@@ -120,14 +202,16 @@ async function procesarPago(reservaId, monto, metodoPago, usuario) {
         reservaId,
         monto,
         metodoPago,
-        usuario
-      });
+        usuario,
+        ...(referencia ? { referencia } : {})
+      }, conClaveIdempotencia(`${referencia || reservaId}:procesar-pago`));
 
       return response.data;
     } catch (error) {
       logger.error(`Error processing payment: ${error.message}`);
 
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+      // ECONNABORTED comes from axios, ETIMEDOUT from the breaker, whichever fires first
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
         throw new Error('TIMEOUT_PAGO: Payment taking longer than expected. Please verify status later.');
       }
 
@@ -151,7 +235,82 @@ notificacionesClient.breaker.fallback(() => {
   return { data: { fallback: true, message: 'Notification skipped' } };
 });
 
-const reservas = new Map();
+// Without Redis there is no Redlock and requests run unlocked. Throws when
+// another request holds any of the resources.
+async function adquirirLock(recursos) {
+  if (!redlock) {
+    logger.warn(`Redlock not available, proceeding without distributed lock`);
+    return null;
+  }
+
+  logger.info(`Acquiring distributed lock for ${recursos.join(', ')}`);
+  const lock = await redlock.acquire(recursos, 10000);
+  locksActivos++;
+  logger.info(`Lock acquired successfully`);
+  return lock;
+}
+
+async function soltarLock(lock) {
+  if (!lock) {
+    return;
+  }
+  locksActivos--;
+  try {
+    await lock.release();
+    logger.info(`Lock released`);
+  } catch (releaseError) {
+    logger.error(`Error releasing lock: ${releaseError.message}`);
+  }
+}
+
+// Retry-After keeps this 409 out of the idempotency store: a retry with the
+// same key must run again once the lock is free
+function responderOcupado(res, mensaje) {
+  res.set('Retry-After', '1');
+  return res.status(409).json({ error: 'Reservation in progress', message: mensaje });
+}
+
+const reservas = new Almacen({ nombre: 'reservas', redis, directorio: DATA_DIR });
+const promociones = new Almacen({ nombre: 'promociones', redis, directorio: DATA_DIR });
+const carritos = new Almacen({ nombre: 'carritos', redis, directorio: DATA_DIR });
+
+// Every replica counts uses against the same record: it is read back from
+// Redis under a per-code lock and saved before the lock is let go
+async function conPromocion(codigo, operacion) {
+  const lock = await adquirirLock([`lock:promocion:${codigo}`]);
+  try {
+    return await operacion(await promociones.refrescar(codigo));
+  } finally {
+    await soltarLock(lock);
+  }
+}
+
+function registroReserva(ctx, estado) {
+  const previa = reservas.obtener(ctx.reservaId);
+
+  const registro = {
+    ...previa,
+    id: ctx.reservaId,
+    eventoId: ctx.eventoId,
+    eventoNombre: ctx.eventoNombre,
+    categoria: ctx.categoria || null,
+    asientos: ctx.asientos,
+    asientoIds: ctx.retencion.asientos,
+    usuario: ctx.usuario,
+    monto: ctx.monto,
+    metodoPago: ctx.metodoPago,
+    transaccionId: ctx.transaccionId || null,
+    cargos: ctx.transaccionId ? [{ transaccionId: ctx.transaccionId, monto: ctx.monto, reembolsado: 0 }] : [],
+    ...(ctx.promocion ? { promocion: ctx.promocion } : {}),
+    estado,
+    timestamp: previa ? previa.timestamp : new Date().toISOString()
+  };
+
+  if (estado === 'confirmada') {
+    registro.entradas = emitirEntradas(registro, ENTRADAS_SECRETO);
+  }
+  return registro;
+}
 
 app.get('/health', (req, res) => {
   res.json({
@@ -160,209 +319,1023 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     stats: {
       totalReservas: reservas.size,
+      pagosPendientes: reservas.listar().filter(r => r.estado === 'pago_pendiente').length,
+      locksActivos,
+      almacenamiento: reservas.backend(),
       pagosBulkhead: {
         concurrent: pagosBulkhead.currentConcurrent,
         max: pagosBulkhead.maxConcurrent,
         queued: pagosBulkhead.queue.length
       }
+    },
+    circuitBreakers: {
+      inventario: estadoBreaker(inventarioClient.breaker),
+      pagos: estadoBreaker(pagosClient.breaker),
+      notificaciones: estadoBreaker(notificacionesClient.breaker)
     }
   });
 });
 
-app.get('/reservas', (req, res) => {
-  const todas = Array.from(reservas.values());
-  logger.info(`GET /reservas - Total: ${todas.length}`);
-  res.json(todas);
+// Customers only ever see their own reservations; someone else's answers
+// 404 so its existence is not revealed. Operators and admins see them all.
+function puedeVer(identidad, usuario) {
+  return identidad.rol !== ROLES.CLIENTE || identidad.usuario === usuario;
+}
+
+// Filters apply on top of what the caller may see, so a customer asking for
+// someone else's `usuario` gets an empty page
+app.get('/reservas', validar({ query: CONSULTA_RESERVAS }), (req, res) => {
+  const visibles = reservas.listar().filter(reserva => puedeVer(req.identidad, reserva.usuario));
+
+  let resultado;
+  try {
+    resultado = consultarReservas(visibles, req.query);
+  } catch (error) {
+    if (error.campo) {
+      return responderInvalido(res, [{ campo: error.campo, mensaje: error.message }]);
+    }
+    throw error;
+  }
+
+  logger.info(`GET /reservas - Page: ${resultado.reservas.length}, Matching: ${resultado.paginacion.total}`);
+  res.json(resultado);
 });
 
-app.get('/reservas/:id', (req, res) => {
+app.get('/reservas/:id', validar({ params: PARAMS_RESERVA }), (req, res) => {
   const { id } = req.params;
-  const reserva = reservas.get(id);
+  const reserva = reservas.obtener(id);
 
-  if (!reserva) {
+  if (!reserva || !puedeVer(req.identidad, reserva.usuario)) {
     return res.status(404).json({ error: 'Reservation not found' });
   }
 
   res.json(reserva);
 });
 
-app.post('/reservas', async (req, res) => {
-  const { eventoId, asientos, usuario, metodoPago = 'tarjeta' } = req.body;
-  const reservaId = uuidv4();
+async function retenerAsientos(eventoId, solicitud, clave) {
+  logger.info(`Holding seats of ${eventoId} in inventory for ${RETENCION_TTL_SEGUNDOS}s`);
 
-  logger.info(`New reservation started: ID ${reservaId}, User ${usuario}, Event ${eventoId}, Seats ${asientos}`);
+  try {
+    const { data } = await inventarioClient.post(`/inventario/${eventoId}/retener`, {
+      ...solicitud,
+      ttlSegundos: RETENCION_TTL_SEGUNDOS
+    }, conClaveIdempotencia(clave));
 
-  const lockKey = `lock:evento:${eventoId}`;
-  let lock = null;
+    logger.info(`Seats held: ${data.asientos.join(', ')} at $${data.precioUnitario} (hold ${data.token}, expires ${data.expiraEn})`);
+    return { token: data.token, asientos: data.asientos, precioUnitario: data.precioUnitario, expiraEn: data.expiraEn };
+  } catch (error) {
+    if (error.response && error.response.status === 409) {
+      throw errorPaso(409, {
+        error: 'Seats no longer available',
+        message: 'Another user reserved these seats while processing your request'
+      });
+    }
+
+    if (error.response && error.response.status === 400) {
+      throw errorPaso(400, error.response.data);
+    }
+
+    throw errorPaso(500, {
+      error: 'Error reserving seats',
+      message: error.message
+    });
+  }
+}
+
+async function confirmarRetencion(retencion, clave) {
+  logger.info(`Confirming seat hold ${retencion.token}`);
 
   try {
-    if (redlock) {
-      logger.info(`Acquiring distributed lock for event ${eventoId}`);
-      lock = await redlock.acquire([lockKey], 10000);
-      logger.info(`Lock acquired successfully`);
-    } else {
-      logger.warn(`Redlock not available, proceeding without distributed lock`);
+    await inventarioClient.post(`/inventario/retenciones/${retencion.token}/confirmar`, undefined,
+      conClaveIdempotencia(clave));
+  } catch (error) {
+    if (error.response && error.response.status === 410) {
+      throw errorPaso(409, {
+        error: 'Seat hold expired',
+        message: 'Your seats were released before the payment completed. The charge has been refunded.'
+      });
     }
+    throw error;
+  }
+}
 
-    logger.info(`Checking inventory availability`);
-    let inventario;
+// A timeout leaves the step pending: the charge may still go through
+async function cobrar(reservaId, monto, metodoPago, usuario, { referencia = null, mensajePendiente }) {
+  logger.info(`Processing payment of $${monto}`);
 
-    try {
-      inventario = await consultarInventario(eventoId);
+  try {
+    const pagoData = await procesarPago(reservaId, monto, metodoPago, usuario, referencia);
+    logger.info(`Payment processed successfully. Transaction: ${pagoData.transaccionId}`);
+    return pagoData.transaccionId;
+  } catch (error) {
+    if (error.message.includes('TIMEOUT_PAGO')) {
+      throw pasoPendiente(202, {
+        error: 'Payment processing timeout',
+        message: `Payment taking longer than expected. ${mensajePendiente}`
+      });
+    }
+
+    throw errorPaso(402, {
+      error: 'Payment rejected',
+      message: error.message
+    });
+  }
+}
+
+// Outcome of a charge whose answer never arrived: its transaccionId, null
+// while pagos has no trace of it, or an errorPaso if it was declined
+async function buscarCobro(reservaId, referencia = null) {
+  try {
+    const { data } = await pagosClient.get(`/pagos/reserva/${reservaId}`);
+    const intentos = data.transacciones.filter(t => (t.referencia || null) === referencia);
+    const completada = intentos.find(t => t.estado === 'completado');
+    if (completada) {
+      return completada.id;
+    }
+    if (intentos.some(t => t.estado === 'rechazado')) {
+      throw errorPaso(402, { error: 'Payment rejected' });
+    }
+    return null;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// A payment parked as pending keeps its seats held, one hold TTL at a time
+// and never past the reconciliation deadline, so a late confirmation still
+// finds them. An expired hold cannot be brought back; confirming then fails
+// and the saga refunds the charge.
+async function mantenerRetencion(retencion, saga) {
+  const limite = Date.parse(saga.pendienteDesde) + PAGO_PENDIENTE_MAX_SEGUNDOS * 1000;
+  const expiraEn = Math.min(Date.now() + RETENCION_TTL_SEGUNDOS * 1000, limite);
+
+  const { data } = await inventarioClient.post(`/inventario/retenciones/${retencion.token}/prolongar`, {
+    expiraEn: new Date(expiraEn).toISOString()
+  });
+  logger.info(`Hold ${retencion.token} kept until ${data.expiraEn} while the payment is pending`);
+}
+
+// A waitlist offer is a hold inventario made for one user; it only counts for
+// that user and event, and someone else's answers like an expired one
+async function consultarOferta(ofertaId, eventoId, usuario) {
+  let oferta;
+
+  try {
+    ({ data: oferta } = await inventarioClient.get(`/inventario/retenciones/${ofertaId}`));
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) {
+      throw errorPaso(503, {
+        error: 'Inventory service unavailable',
+        message: 'Cannot verify the offer at this time. Please try later.'
+      });
+    }
+  }
+
+  if (!oferta || !oferta.oferta || oferta.oferta.usuario !== usuario || oferta.eventoId !== eventoId) {
+    throw errorPaso(410, { error: 'Offer expired or not found', ofertaId });
+  }
+
+  return oferta;
+}
+
+async function aceptarOferta(ctx) {
+  logger.info(`Claiming waitlist offer ${ctx.ofertaId}`);
+
+  try {
+    const { data } = await inventarioClient.post(`/inventario/retenciones/${ctx.ofertaId}/aceptar`, {
+      eventoId: ctx.eventoId,
+      usuario: ctx.usuario,
+      ttlSegundos: RETENCION_TTL_SEGUNDOS
+    }, conClaveIdempotencia(`${ctx.reservaId}:aceptar-oferta`));
+
+    logger.info(`Offer claimed: ${data.asientos.join(', ')} (hold ${data.token}, expires ${data.expiraEn})`);
+    return { token: data.token, asientos: data.asientos, precioUnitario: data.precioUnitario, expiraEn: data.expiraEn };
+  } catch (error) {
+    if (error.response && [409, 410].includes(error.response.status)) {
+      throw errorPaso(410, { error: 'Offer expired or not found', ofertaId: ctx.ofertaId });
+    }
+
+    throw errorPaso(500, {
+      error: 'Error reserving seats',
+      message: error.message
+    });
+  }
+}
+
+function elegirCategoria(inventario, categoriaId) {
+  try {
+    return categoriaReserva(inventario, categoriaId);
+  } catch (error) {
+    throw errorPaso(error.status, {
+      error: error.message,
+      eventoId: inventario.eventoId,
+      categoria: categoriaId || null,
+      categorias: error.categorias
+    });
+  }
+}
+
+const sagaCrearReserva = new DefinicionSaga('crear-reserva', [
+  {
+    nombre: 'verificar-inventario',
+    async ejecutar(ctx) {
+      let inventario;
+
+      try {
+        inventario = await consultarInventario(ctx.eventoId);
+      } catch (error) {
+        throw errorPaso(503, {
+          error: 'Inventory service unavailable',
+          message: 'Cannot verify availability at this time. Please try later.'
+        });
+      }
 
       if (inventario.fromCache) {
         logger.warn(`Using cached inventory data`);
       }
 
-      if (!inventario.disponible || inventario.asientosDisponibles < asientos) {
-        logger.warn(`Insufficient seats: Requested ${asientos}, Available ${inventario.asientosDisponibles}`);
-
-        if (lock) await lock.release();
+      // The seats of an offer are already held, so there is nothing to check
+      if (ctx.ofertaId) {
+        const oferta = await consultarOferta(ctx.ofertaId, ctx.eventoId, ctx.usuario);
+        const categoria = elegirCategoria(inventario, oferta.categoria);
+        return {
+          eventoNombre: inventario.nombre,
+          categoria: categoria.id,
+          asientos: oferta.asientos.length,
+          precio: categoria.precio
+        };
+      }
 
-        return res.status(409).json({
+      const categoria = elegirCategoria(inventario, ctx.categoria);
+      if (!categoria.disponible || categoria.asientosDisponibles < ctx.asientos) {
+        logger.warn(`Insufficient ${categoria.id} seats: Requested ${ctx.asientos}, Available ${categoria.asientosDisponibles}`);
+        throw errorPaso(409, {
           error: 'Seats not available',
-          solicitados: asientos,
-          disponibles: inventario.asientosDisponibles,
+          categoria: categoria.id,
+          solicitados: ctx.asientos,
+          disponibles: categoria.asientosDisponibles,
           fromCache: inventario.fromCache || false
         });
       }
 
-      logger.info(`Availability confirmed: ${inventario.asientosDisponibles} seats`);
+      logger.info(`Availability confirmed: ${categoria.asientosDisponibles} ${categoria.id} seats at $${categoria.precio}`);
+      return {
+        eventoNombre: inventario.nombre,
+        categoria: categoria.id,
+        precio: categoria.precio
+      };
+    }
+  },
+  {
+    nombre: 'retener-asientos',
+    async ejecutar(ctx) {
+      if (ctx.ofertaId) {
+        return { retencion: await aceptarOferta(ctx) };
+      }
+      const solicitud = ctx.asientoIds ? { asientoIds: ctx.asientoIds } : { cantidad: ctx.asientos };
+      const retencion = await retenerAsientos(ctx.eventoId, { ...solicitud, categoria: ctx.categoria },
+        `${ctx.reservaId}:retener-asientos`);
+      return { retencion };
+    },
+    async compensar(ctx) {
+      // Releasing an expired hold is a no-op in inventario, so this is safe to repeat
+      await inventarioClient.post(`/inventario/retenciones/${ctx.retencion.token}/liberar`, undefined,
+        conClaveIdempotencia(`${ctx.reservaId}:liberar-retencion`));
+    }
+  },
+  {
+    // The seats cost what their hold locked in. Failing here gives the hold
+    // back, so a price that moved since the customer saw it is never charged.
+    nombre: 'fijar-precio',
+    async ejecutar(ctx) {
+      const precioUnitario = precioRetenido(ctx.retencion, ctx.precio);
+
+      if (ctx.precioEsperado !== null && ctx.precioEsperado !== undefined && precioUnitario !== ctx.precioEsperado) {
+        logger.warn(`Price of ${ctx.eventoId} moved: shown $${ctx.precioEsperado}, now $${precioUnitario}`);
+        throw errorPaso(409, {
+          error: 'Price changed',
+          message: 'The price changed since it was shown. Please review it and book again.',
+          categoria: ctx.categoria,
+          precioEsperado: ctx.precioEsperado,
+          precioActual: precioUnitario
+        });
+      }
 
-    } catch (error) {
-      logger.error(`Error checking inventory: ${error.message}`);
-      if (lock) await lock.release();
+      return { precioUnitario, monto: redondear(precioUnitario * ctx.retencion.asientos.length) };
+    }
+  },
+  {
+    nombre: 'aplicar-promocion',
+    async ejecutar(ctx) {
+      if (!ctx.codigoPromo) {
+        return {};
+      }
 
-      return res.status(503).json({
-        error: 'Inventory service unavailable',
-        message: 'Cannot verify availability at this time. Please try later.'
+      let promocion;
+      let descuento;
+      try {
+        ({ promocion, descuento } = await conPromocion(ctx.codigoPromo, async (actual) => {
+          const aplicado = canjear(actual, {
+            reservaId: ctx.reservaId,
+            eventoId: ctx.eventoId,
+            usuario: ctx.usuario,
+            monto: ctx.monto
+          });
+          await promociones.guardar(actual);
+          return { promocion: actual, descuento: aplicado };
+        }));
+      } catch (error) {
+        if (!error.status) {
+          logger.error(`Could not apply promo code ${ctx.codigoPromo}: ${error.message}`);
+          throw errorPaso(409, {
+            error: 'Promo code busy',
+            message: 'The promo code is being used by another booking. Please try again in a moment.',
+            codigoPromo: ctx.codigoPromo
+          });
+        }
+        throw errorPaso(error.status, {
+          error: 'Promo code cannot be applied',
+          message: error.message,
+          codigoPromo: ctx.codigoPromo
+        });
+      }
+
+      logger.info(`Promo code ${ctx.codigoPromo} applied: -$${descuento} on $${ctx.monto}`);
+      return {
+        monto: redondear(ctx.monto - descuento),
+        promocion: {
+          codigo: promocion.codigo,
+          tipo: promocion.tipo,
+          valor: promocion.valor,
+          montoBase: ctx.monto,
+          descuento
+        }
+      };
+    },
+    async compensar(ctx) {
+      if (!ctx.codigoPromo) {
+        return;
+      }
+      await conPromocion(ctx.codigoPromo, async (promocion) => {
+        if (promocion && devolverUso(promocion, ctx.reservaId)) {
+          await promociones.guardar(promocion);
+          logger.info(`Promo code ${ctx.codigoPromo} use returned`);
+        }
       });
     }
+  },
+  {
+    nombre: 'procesar-pago',
+    pivote: true,
+    async ejecutar(ctx) {
+      // A discount can cover the whole price
+      if (ctx.monto === 0) {
+        logger.info(`Nothing to charge for ${ctx.reservaId}`);
+        return { transaccionId: null };
+      }
+      const transaccionId = await cobrar(ctx.reservaId, ctx.monto, ctx.metodoPago, ctx.usuario, {
+        mensajePendiente: 'The reservation stays pending until the payment is confirmed or refunded.'
+      });
+      return { transaccionId };
+    },
+    async verificar(ctx) {
+      const transaccionId = await buscarCobro(ctx.reservaId);
+      return transaccionId ? { transaccionId } : null;
+    },
+    async pendiente(ctx) {
+      await reservas.guardar(registroReserva(ctx, 'pago_pendiente'));
+      logger.warn(`Reservation ${ctx.reservaId} waiting for payment confirmation`);
+    },
+    async mantener(ctx, saga) {
+      await mantenerRetencion(ctx.retencion, saga);
+    },
+    async compensar(ctx) {
+      if (!ctx.transaccionId) {
+        return;
+      }
+      logger.warn(`Executing compensation: Refunding transaction ${ctx.transaccionId}`);
 
-    logger.info(`Reserving ${asientos} seats in inventory`);
+      try {
+        await pagosClient.post('/pagos/reembolsar', {
+          transaccionId: ctx.transaccionId,
+          motivo: 'Reservation could not be completed'
+        }, conClaveIdempotencia(`${ctx.reservaId}:reembolsar-pago`));
+      } catch (error) {
+        if (!(error.response && error.response.status === 409)) {
+          throw error;
+        }
+      }
+    }
+  },
+  {
+    nombre: 'confirmar-asientos',
+    async ejecutar(ctx) {
+      await confirmarRetencion(ctx.retencion, `${ctx.reservaId}:confirmar-asientos`);
+    },
+    async compensar(ctx) {
+      await inventarioClient.post(`/inventario/${ctx.eventoId}/liberar`, {
+        asientoIds: ctx.retencion.asientos
+      }, conClaveIdempotencia(`${ctx.reservaId}:liberar-asientos`));
+    }
+  },
+  {
+    nombre: 'registrar-reserva',
+    async ejecutar(ctx) {
+      logger.info(`Creating reservation record`);
+
+      await reservas.guardar(registroReserva(ctx, 'confirmada'));
+
+      logger.info(`Reservation created successfully`);
+    },
+    async compensar(ctx) {
+      const reserva = reservas.obtener(ctx.reservaId);
+      if (reserva) {
+        reserva.estado = 'fallida';
+        await reservas.guardar(reserva);
+      }
+    }
+  },
+  {
+    nombre: 'notificar',
+    async ejecutar(ctx) {
+      logger.info(`Sending notification to user`);
 
-    try {
-      const reservaResponse = await inventarioClient.post(`/inventario/${eventoId}/reservar`, {
-        cantidad: asientos
-      });
+      try {
+        await notificacionesClient.post('/notificaciones/enviar', {
+          tipo: 'email',
+          destinatario: ctx.usuario,
+          asunto: 'Reservation confirmed',
+          mensaje: `Your reservation ${ctx.reservaId} for ${ctx.eventoNombre} has been confirmed. Total: $${ctx.monto}`,
+          reservaId: ctx.reservaId
+        }, conClaveIdempotencia(`${ctx.reservaId}:notificar`));
+        logger.info(`Notification sent`);
+      } catch (error) {
+        logger.warn(`Could not send notification (non-critical): ${error.message}`);
+      }
+    }
+  }
+]);
+
+// Changing seats or event of a confirmed reservation. The old booking is
+// kept until every step that can fail has run: new seats are held and paid
+// for first, and the seats given back are only released before the refund,
+// the last remote step, so a failure anywhere restores the original booking.
+const sagaModificarReserva = new DefinicionSaga('modificar-reserva', [
+  {
+    nombre: 'verificar-destino',
+    async ejecutar(ctx) {
+      let inventario;
+      let origen;
 
-      logger.info(`Seats reserved. Remaining: ${reservaResponse.data.asientosRestantes}`);
-    } catch (error) {
-      logger.error(`Error reserving seats: ${error.message}`);
-      await lock.release();
+      try {
+        inventario = await consultarInventario(ctx.plan.eventoId);
+        origen = ctx.plan.mismoEvento ? inventario : await consultarInventario(ctx.anterior.eventoId);
+      } catch (error) {
+        throw errorPaso(503, {
+          error: 'Inventory service unavailable',
+          message: 'Cannot verify availability at this time. Please try later.'
+        });
+      }
 
-      if (error.response && error.response.status === 409) {
-        return res.status(409).json({
-          error: 'Seats no longer available',
-          message: 'Another user reserved these seats while processing your request'
+      const categoria = elegirCategoria(inventario, ctx.plan.categoria);
+      const solicitados = cantidadNueva(ctx.plan);
+      if (solicitados > 0 && (!categoria.disponible || categoria.asientosDisponibles < solicitados)) {
+        logger.warn(`Insufficient ${categoria.id} seats: Requested ${solicitados}, Available ${categoria.asientosDisponibles}`);
+        throw errorPaso(409, {
+          error: 'Seats not available',
+          categoria: categoria.id,
+          solicitados,
+          disponibles: categoria.asientosDisponibles,
+          fromCache: inventario.fromCache || false
         });
       }
 
-      return res.status(500).json({
-        error: 'Error reserving seats',
-        message: error.message
+      // Marked so no other change or cancellation starts while this one runs
+      const reserva = reservas.obtener(ctx.reservaId);
+      reserva.modificacionEnCurso = ctx.modificacionId;
+      await reservas.guardar(reserva);
+
+      return {
+        eventoNombre: inventario.nombre,
+        categoria: categoria.id,
+        precio: categoria.precio,
+        origen: { fecha: origen.fecha, politicaCancelacion: origen.politicaCancelacion }
+      };
+    },
+    async compensar(ctx) {
+      const reserva = reservas.obtener(ctx.reservaId);
+      if (reserva && reserva.modificacionEnCurso === ctx.modificacionId) {
+        delete reserva.modificacionEnCurso;
+        await reservas.guardar(reserva);
+      }
+    }
+  },
+  {
+    nombre: 'retener-asientos',
+    async ejecutar(ctx) {
+      if (!ctx.plan.nuevos) {
+        return { retencion: null };
+      }
+      const retencion = await retenerAsientos(ctx.plan.eventoId, { ...ctx.plan.nuevos, categoria: ctx.categoria },
+        `${ctx.modificacionId}:retener-asientos`);
+      return { retencion };
+    },
+    async compensar(ctx) {
+      if (ctx.retencion) {
+        await inventarioClient.post(`/inventario/retenciones/${ctx.retencion.token}/liberar`, undefined,
+          conClaveIdempotencia(`${ctx.modificacionId}:liberar-retencion`));
+      }
+    }
+  },
+  {
+    nombre: 'calcular-diferencia',
+    async ejecutar(ctx) {
+      // Added seats cost what their hold locked in
+      const precioUnitario = precioRetenido(ctx.retencion, ctx.precio);
+      const monto = montoModificado(ctx.anterior, ctx.plan, precioUnitario);
+      const diferencia = redondear(monto - ctx.anterior.monto);
+      // Giving seats back is a partial cancellation, so the original event's
+      // cancellation policy decides how much of it is refunded
+      const reembolso = diferencia < 0 ? calcularReembolso(-diferencia, ctx.origen).montoReembolso : 0;
+      logger.info(`Reservation ${ctx.reservaId} goes from $${ctx.anterior.monto} to $${monto}`);
+
+      return { monto, diferencia, reembolso };
+    }
+  },
+  {
+    nombre: 'cobrar-diferencia',
+    pivote: true,
+    async ejecutar(ctx) {
+      if (ctx.diferencia <= 0) {
+        return { cargo: null };
+      }
+      const transaccionId = await cobrar(ctx.reservaId, ctx.diferencia, ctx.metodoPago, ctx.usuario, {
+        referencia: ctx.modificacionId,
+        mensajePendiente: 'The reservation keeps its current seats until the payment is confirmed or refunded.'
       });
+      return { cargo: { transaccionId, monto: ctx.diferencia, reembolsado: 0 } };
+    },
+    async verificar(ctx) {
+      if (ctx.diferencia <= 0) {
+        return { cargo: null };
+      }
+      const transaccionId = await buscarCobro(ctx.reservaId, ctx.modificacionId);
+      return transaccionId ? { cargo: { transaccionId, monto: ctx.diferencia, reembolsado: 0 } } : null;
+    },
+    async pendiente(ctx) {
+      logger.warn(`Change ${ctx.modificacionId} of reservation ${ctx.reservaId} waiting for payment confirmation`);
+    },
+    async mantener(ctx, saga) {
+      if (ctx.retencion) {
+        await mantenerRetencion(ctx.retencion, saga);
+      }
+    },
+    async compensar(ctx) {
+      if (!ctx.cargo) {
+        return;
+      }
+      logger.warn(`Executing compensation: Refunding transaction ${ctx.cargo.transaccionId}`);
+
+      try {
+        await pagosClient.post('/pagos/reembolsar', {
+          transaccionId: ctx.cargo.transaccionId,
+          motivo: 'Reservation change could not be completed'
+        }, conClaveIdempotencia(`${ctx.modificacionId}:reembolsar-pago`));
+      } catch (error) {
+        if (!(error.response && error.response.status === 409)) {
+          throw error;
+        }
+      }
     }
+  },
+  {
+    nombre: 'confirmar-asientos',
+    async ejecutar(ctx) {
+      if (ctx.retencion) {
+        await confirmarRetencion(ctx.retencion, `${ctx.modificacionId}:confirmar-asientos`);
+      }
+    },
+    async compensar(ctx) {
+      if (ctx.retencion) {
+        await inventarioClient.post(`/inventario/${ctx.plan.eventoId}/liberar`, {
+          asientoIds: ctx.retencion.asientos
+        }, conClaveIdempotencia(`${ctx.modificacionId}:liberar-asientos`));
+      }
+    }
+  },
+  {
+    nombre: 'liberar-sobrantes',
+    async ejecutar(ctx) {
+      if (ctx.plan.sobrantes.length === 0) {
+        return;
+      }
+      logger.info(`Releasing seats no longer booked: ${ctx.plan.sobrantes.join(', ')}`);
+      await inventarioClient.post(`/inventario/${ctx.anterior.eventoId}/liberar`, {
+        asientoIds: ctx.plan.sobrantes
+      }, conClaveIdempotencia(`${ctx.modificacionId}:liberar-sobrantes`));
+    },
+    // Someone may have taken a seat in between; the saga then ends in
+    // compensacion_fallida for an operator to look at
+    async compensar(ctx) {
+      if (ctx.plan.sobrantes.length > 0) {
+        await inventarioClient.post(`/inventario/${ctx.anterior.eventoId}/reservar`, {
+          asientoIds: ctx.plan.sobrantes,
+          ...(ctx.anterior.categoria ? { categoria: ctx.anterior.categoria } : {})
+        }, conClaveIdempotencia(`${ctx.modificacionId}:recuperar-sobrantes`));
+      }
+    }
+  },
+  {
+    nombre: 'reembolsar-diferencia',
+    async ejecutar(ctx) {
+      const cargos = ctx.anterior.cargos.map(cargo => ({ ...cargo }));
+      if (ctx.cargo) {
+        cargos.push(ctx.cargo);
+      }
+      if (ctx.reembolso <= 0) {
+        return { cargos };
+      }
 
-    const monto = inventario.precio * asientos;
-    logger.info(`Processing payment of $${monto}`);
+      for (const { transaccionId, monto } of repartirReembolso(cargos, ctx.reembolso)) {
+        logger.info(`Refunding $${monto} of transaction ${transaccionId}`);
+        try {
+          await pagosClient.post('/pagos/reembolsar', {
+            transaccionId,
+            monto,
+            motivo: 'Reservation changed'
+          }, conClaveIdempotencia(`${ctx.modificacionId}:reembolsar-diferencia:${transaccionId}`));
+        } catch (error) {
+          throw errorPaso(503, {
+            error: 'Payment service unavailable',
+            message: 'The difference could not be refunded, so the reservation was left unchanged.'
+          });
+        }
+
+        const cargo = cargos.find(c => c.transaccionId === transaccionId);
+        cargo.reembolsado = redondear(cargo.reembolsado + monto);
+      }
+      return { cargos };
+    }
+  },
+  {
+    nombre: 'actualizar-reserva',
+    async ejecutar(ctx) {
+      const { modificacionEnCurso, ...reserva } = reservas.obtener(ctx.reservaId);
+      const conservados = ctx.plan.mismoEvento
+        ? ctx.anterior.asientoIds.filter(asiento => !ctx.plan.sobrantes.includes(asiento))
+        : [];
+      const asientoIds = conservados.concat(ctx.retencion ? ctx.retencion.asientos : []);
+      const actualizada = {
+        ...reserva,
+        eventoId: ctx.plan.eventoId,
+        eventoNombre: ctx.eventoNombre,
+        categoria: ctx.categoria,
+        asientos: asientoIds.length,
+        asientoIds,
+        monto: ctx.monto,
+        cargos: ctx.cargos,
+        modificaciones: (reserva.modificaciones || []).concat({
+          id: ctx.modificacionId,
+          eventoId: ctx.anterior.eventoId,
+          categoria: ctx.anterior.categoria,
+          asientoIds: ctx.anterior.asientoIds,
+          monto: ctx.anterior.monto,
+          diferencia: ctx.diferencia,
+          timestamp: new Date().toISOString()
+        })
+      };
+
+      actualizada.entradas = emitirEntradas(actualizada, ENTRADAS_SECRETO);
+      await reservas.guardar(actualizada);
+
+      logger.info(`Reservation ${ctx.reservaId} updated: ${asientoIds.length} seats for ${ctx.plan.eventoId}`);
+    }
+  },
+  {
+    nombre: 'notificar',
+    async ejecutar(ctx) {
+      let ajuste = '';
+      if (ctx.diferencia > 0) {
+        ajuste = ` Charged: $${ctx.diferencia}`;
+      } else if (ctx.reembolso > 0) {
+        ajuste = ` Refunded: $${ctx.reembolso}`;
+      }
 
-    let pagoData;
-    try {
-      pagoData = await procesarPago(reservaId, monto, metodoPago, usuario);
-      logger.info(`Payment processed successfully. Transaction: ${pagoData.transaccionId}`);
+      try {
+        await notificacionesClient.post('/notificaciones/enviar', {
+          tipo: 'email',
+          destinatario: ctx.usuario,
+          asunto: 'Reservation changed',
+          mensaje: `Your reservation ${ctx.reservaId} for ${ctx.eventoNombre} now has ${ctx.plan.asientos} seats.${ajuste}`,
+          reservaId: ctx.reservaId
+        }, conClaveIdempotencia(`${ctx.modificacionId}:notificar`));
+      } catch (error) {
+        logger.warn(`Could not send notification (non-critical): ${error.message}`);
+      }
+    }
+  }
+]);
 
-    } catch (error) {
-      logger.error(`Error processing payment: ${error.message}`);
+async function liberarRetenciones(articulos, pedidoId) {
+  for (const articulo of articulos) {
+    await inventarioClient.post(`/inventario/retenciones/${articulo.retencion.token}/liberar`, undefined,
+      conClaveIdempotencia(`${pedidoId}:${articulo.id}:liberar-retencion`));
+  }
+}
 
-      logger.warn(`Executing compensation: Releasing reserved seats`);
+async function liberarAsientosConfirmados(articulos, pedidoId) {
+  for (const articulo of articulos) {
+    await inventarioClient.post(`/inventario/${articulo.eventoId}/liberar`, {
+      asientoIds: articulo.retencion.asientos
+    }, conClaveIdempotencia(`${pedidoId}:${articulo.id}:liberar-asientos`));
+  }
+}
 
-      try {
-        await inventarioClient.post(`/inventario/${eventoId}/liberar`, {
-          cantidad: asientos
+// Checking out a cart: every event is held, one payment covers the total and
+// one reservation per event is created, or none is. Steps that act on each
+// item undo the items they got through themselves when a later item fails,
+// since the saga only compensates steps that completed.
+const sagaPagarCarrito = new DefinicionSaga('pagar-carrito', [
+  {
+    nombre: 'apartar-carrito',
+    async ejecutar(ctx) {
+      const carrito = carritos.obtener(ctx.carritoId);
+      apartarCarrito(carrito, ctx.pedidoId);
+      await carritos.guardar(carrito);
+    },
+    async compensar(ctx, saga) {
+      const carrito = carritos.obtener(ctx.carritoId);
+      reabrirCarrito(carrito, saga.error ? saga.error.mensaje : 'Checkout could not be completed');
+      await carritos.guardar(carrito);
+    }
+  },
+  {
+    nombre: 'verificar-inventario',
+    async ejecutar(ctx) {
+      const articulos = [];
+
+      for (const articulo of ctx.articulos) {
+        let inventario;
+        try {
+          inventario = await consultarInventario(articulo.eventoId);
+        } catch (error) {
+          throw errorPaso(503, {
+            error: 'Inventory service unavailable',
+            message: 'Cannot verify availability at this time. Please try later.'
+          });
+        }
+
+        const categoria = elegirCategoria(inventario, articulo.categoria);
+        if (!categoria.disponible || categoria.asientosDisponibles < articulo.asientos) {
+          logger.warn(`Insufficient ${categoria.id} seats for ${articulo.eventoId}: Requested ${articulo.asientos}, Available ${categoria.asientosDisponibles}`);
+          throw errorPaso(409, {
+            error: 'Seats not available',
+            eventoId: articulo.eventoId,
+            categoria: categoria.id,
+            solicitados: articulo.asientos,
+            disponibles: categoria.asientosDisponibles,
+            fromCache: inventario.fromCache || false
+          });
+        }
+
+        articulos.push({
+          ...articulo,
+          eventoNombre: inventario.nombre,
+          categoria: categoria.id,
+          precio: categoria.precio
         });
-        logger.info(`Seats released successfully`);
-      } catch (liberarError) {
-        logger.error(`CRITICAL: Could not release seats: ${liberarError.message}`);
       }
 
-      if (lock) await lock.release();
+      logger.info(`Availability confirmed for ${articulos.length} events`);
+      return { articulos };
+    }
+  },
+  {
+    nombre: 'retener-asientos',
+    async ejecutar(ctx) {
+      const articulos = [];
 
-      if (error.message.includes('TIMEOUT_PAGO')) {
-        return res.status(408).json({
-          error: 'Payment processing timeout',
-          message: 'Payment taking longer than expected. Your reservation has been cancelled. Please try again.',
-          reservaId
-        });
+      try {
+        for (const articulo of ctx.articulos) {
+          const solicitud = articulo.asientoIds ? { asientoIds: articulo.asientoIds } : { cantidad: articulo.asientos };
+          const retencion = await retenerAsientos(articulo.eventoId, { ...solicitud, categoria: articulo.categoria },
+            `${ctx.pedidoId}:${articulo.id}:retener-asientos`);
+          // Each item costs what its hold locked in
+          const monto = redondear(precioRetenido(retencion, articulo.precio) * retencion.asientos.length);
+          articulos.push({ ...articulo, retencion, monto });
+        }
+      } catch (error) {
+        try {
+          await liberarRetenciones(articulos, ctx.pedidoId);
+        } catch (liberarError) {
+          logger.warn(`Could not release the holds of order ${ctx.pedidoId}, they will expire: ${liberarError.message}`);
+        }
+        throw error;
       }
 
-      return res.status(402).json({
-        error: 'Payment rejected',
-        message: error.message,
-        reservaId
+      return { articulos, monto: totalArticulos(articulos) };
+    },
+    async compensar(ctx) {
+      await liberarRetenciones(ctx.articulos, ctx.pedidoId);
+    }
+  },
+  {
+    nombre: 'procesar-pago',
+    pivote: true,
+    async ejecutar(ctx) {
+      if (ctx.monto === 0) {
+        logger.info(`Nothing to charge for order ${ctx.pedidoId}`);
+        return { transaccionId: null };
+      }
+      const transaccionId = await cobrar(ctx.pedidoId, ctx.monto, ctx.metodoPago, ctx.usuario, {
+        mensajePendiente: 'The cart stays pending until the payment is confirmed or refunded.'
       });
+      return { transaccionId };
+    },
+    async verificar(ctx) {
+      const transaccionId = await buscarCobro(ctx.pedidoId);
+      return transaccionId ? { transaccionId } : null;
+    },
+    async pendiente(ctx) {
+      const carrito = carritos.obtener(ctx.carritoId);
+      carrito.estado = ESTADOS_CARRITO.PAGO_PENDIENTE;
+      await carritos.guardar(carrito);
+      logger.warn(`Cart ${ctx.carritoId} waiting for payment confirmation`);
+    },
+    async mantener(ctx, saga) {
+      for (const articulo of ctx.articulos) {
+        await mantenerRetencion(articulo.retencion, saga);
+      }
+    },
+    async compensar(ctx) {
+      if (!ctx.transaccionId) {
+        return;
+      }
+      logger.warn(`Executing compensation: Refunding transaction ${ctx.transaccionId}`);
+
+      try {
+        await pagosClient.post('/pagos/reembolsar', {
+          transaccionId: ctx.transaccionId,
+          motivo: 'Cart checkout could not be completed'
+        }, conClaveIdempotencia(`${ctx.pedidoId}:reembolsar-pago`));
+      } catch (error) {
+        if (!(error.response && error.response.status === 409)) {
+          throw error;
+        }
+      }
     }
+  },
+  {
+    nombre: 'confirmar-asientos',
+    async ejecutar(ctx) {
+      const confirmados = [];
 
-    logger.info(`Creating reservation record`);
+      try {
+        for (const articulo of ctx.articulos) {
+          await confirmarRetencion(articulo.retencion, `${ctx.pedidoId}:${articulo.id}:confirmar-asientos`);
+          confirmados.push(articulo);
+        }
+      } catch (error) {
+        try {
+          await liberarAsientosConfirmados(confirmados, ctx.pedidoId);
+        } catch (liberarError) {
+          logger.error(`CRITICAL: Order ${ctx.pedidoId} could not release confirmed seats: ${liberarError.message}`);
+        }
+        throw error;
+      }
+    },
+    async compensar(ctx) {
+      await liberarAsientosConfirmados(ctx.articulos, ctx.pedidoId);
+    }
+  },
+  {
+    nombre: 'registrar-reservas',
+    async ejecutar(ctx) {
+      // One reservation per event, each with its share of the one charge so it
+      // can be cancelled and refunded on its own
+      for (const articulo of ctx.articulos) {
+        await reservas.guardar({
+          ...registroReserva({
+            ...articulo,
+            usuario: ctx.usuario,
+            metodoPago: ctx.metodoPago,
+            transaccionId: ctx.transaccionId
+          }, 'confirmada'),
+          carritoId: ctx.carritoId
+        });
+      }
 
-    const reserva = {
-      id: reservaId,
-      eventoId,
-      eventoNombre: inventario.nombre,
-      asientos,
-      usuario,
-      monto,
-      metodoPago,
-      transaccionId: pagoData.transaccionId,
-      estado: 'confirmada',
-      timestamp: new Date().toISOString()
-    };
+      const carrito = carritos.obtener(ctx.carritoId);
+      completarCarrito(carrito, { monto: ctx.monto, reservaIds: ctx.articulos.map(a => a.reservaId) });
+      await carritos.guardar(carrito);
+
+      logger.info(`Order ${ctx.pedidoId} created ${ctx.articulos.length} reservations`);
+    },
+    async compensar(ctx) {
+      for (const articulo of ctx.articulos) {
+        const reserva = reservas.obtener(articulo.reservaId);
+        if (reserva) {
+          reserva.estado = 'fallida';
+          await reservas.guardar(reserva);
+        }
+      }
+    }
+  },
+  {
+    nombre: 'notificar',
+    async ejecutar(ctx) {
+      const eventos = ctx.articulos.map(a => `${a.eventoNombre} (${a.asientos} seats)`).join(', ');
 
-    reservas.set(reservaId, reserva);
-    logger.info(`Reservation created successfully`);
+      try {
+        await notificacionesClient.post('/notificaciones/enviar', {
+          tipo: 'email',
+          destinatario: ctx.usuario,
+          asunto: 'Order confirmed',
+          mensaje: `Your order ${ctx.pedidoId} has been confirmed: ${eventos}. Total: $${ctx.monto}`
+        }, conClaveIdempotencia(`${ctx.pedidoId}:notificar`));
+        logger.info(`Notification sent`);
+      } catch (error) {
+        logger.warn(`Could not send notification (non-critical): ${error.message}`);
+      }
+    }
+  }
+]);
 
-    logger.info(`Sending notification to user`);
+const almacenSagas = new Almacen({ nombre: 'sagas', redis, directorio: DATA_DIR });
+const sagas = new OrquestadorSagas(almacenSagas);
+sagas.registrar(sagaCrearReserva);
+sagas.registrar(sagaModificarReserva);
+sagas.registrar(sagaPagarCarrito);
 
-    try {
-      await notificacionesClient.post('/notificaciones/enviar', {
-        tipo: 'email',
-        destinatario: usuario,
-        asunto: 'Reservation confirmed',
-        mensaje: `Your reservation ${reservaId} for ${inventario.nombre} has been confirmed. Total: $${monto}`,
-        reservaId
-      });
-      logger.info(`Notification sent`);
-    } catch (error) {
-      logger.warn(`Could not send notification (non-critical): ${error.message}`);
-    }
+app.get('/reservas/:id/saga', validar({ params: PARAMS_RESERVA }), (req, res) => {
+  const { id } = req.params;
+  const saga = sagas.obtener(id);
+
+  if (!saga || !puedeVer(req.identidad, saga.contexto.usuario)) {
+    return res.status(404).json({ error: 'Saga not found' });
+  }
+
+  res.json(saga);
+});
 
-    if (lock) await lock.release();
-    if (lock) logger.info(`Lock released`);
+app.post('/reservas', validar({ body: CREAR_RESERVA }), async (req, res) => {
+  const { eventoId, categoria, asientoIds, ofertaId, codigoPromo, metodoPago = 'tarjeta' } = req.body;
+  // Staff may book on behalf of someone else; a customer always books for themselves
+  const usuario = req.identidad.rol !== ROLES.CLIENTE && req.body.usuario
+    ? req.body.usuario
+    : req.identidad.usuario;
+  const asientos = asientoIds ? asientoIds.length : req.body.asientos;
+  const reservaId = uuidv4();
+
+  logger.info(`New reservation started: ID ${reservaId}, User ${usuario}, Event ${eventoId}, ${ofertaId ? `Offer ${ofertaId}` : `Seats ${asientos}`}`);
+
+  let lock;
+  try {
+    lock = await adquirirLock([`lock:evento:${eventoId}`]);
+  } catch (error) {
+    logger.error(`Reservation failed - ID: ${reservaId}, Error: ${error.message}`);
+    return responderOcupado(res, 'Another reservation in progress for this event. Please try again in a moment.');
+  }
+
+  try {
+    await sagas.ejecutar('crear-reserva', reservaId, {
+      reservaId,
+      eventoId,
+      categoria: categoria || null,
+      asientos,
+      asientoIds: asientoIds || null,
+      ofertaId: ofertaId || null,
+      codigoPromo: codigoPromo ? normalizarCodigo(codigoPromo) : null,
+      precioEsperado: req.body.precioEsperado !== undefined ? req.body.precioEsperado : null,
+      usuario,
+      metodoPago
+    });
 
     logger.info(`Reservation completed successfully - ID: ${reservaId}`);
 
     res.status(201).json({
       success: true,
-      reserva,
+      reserva: reservas.obtener(reservaId),
       message: 'Reservation created successfully'
     });
 
   } catch (error) {
-    if (lock) {
-      try {
-        await lock.release();
-      } catch (releaseError) {
-        logger.error(`Error releasing lock: ${releaseError.message}`);
-      }
+    if (error.pendiente) {
+      logger.warn(`Reservation pending payment - ID: ${reservaId}`);
+      return res.status(202).json({
+        success: true,
+        reserva: reservas.obtener(reservaId),
+        message: error.cuerpo.message
+      });
     }
 
     logger.error(`Reservation failed - ID: ${reservaId}, Error: ${error.message}`);
 
-    if (error.message.includes('lock')) {
-      return res.status(409).json({
-        error: 'Reservation in progress',
-        message: 'Another reservation in progress for this event. Please try again in a moment.'
-      });
+    if (error.status) {
+      return res.status(error.status).json({ ...error.cuerpo, reservaId });
     }
 
     res.status(500).json({
@@ -370,51 +1343,639 @@ app.post('/reservas', async (req, res) => {
       message: error.message,
       reservaId
     });
+  } finally {
+    await soltarLock(lock);
   }
 });
 
-app.delete('/reservas/:id', async (req, res) => {
+// Sagas of a change are stored under its modificacionId, listed in the
+// reservation's `modificaciones`, and readable through /reservas/:id/saga
+app.patch('/reservas/:id', validar({ params: PARAMS_RESERVA, body: MODIFICAR_RESERVA }), async (req, res) => {
+  const { id } = req.params;
+  const actual = reservas.obtener(id);
+
+  if (!actual || !puedeVer(req.identidad, actual.usuario)) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  const eventoId = req.body.eventoId || actual.eventoId;
+  const modificacionId = uuidv4();
+  logger.info(`PATCH /reservas/${id} - Event ${eventoId}, Changes: ${JSON.stringify(req.body)}`);
+
+  let lock;
   try {
-    const { id } = req.params;
-    logger.info(`DELETE /reservas/${id} - Cancelling reservation`);
+    lock = await adquirirLock([`lock:reserva:${id}`, `lock:evento:${eventoId}`]);
+  } catch (error) {
+    logger.error(`Reservation change failed - ID: ${id}, Error: ${error.message}`);
+    return responderOcupado(res, 'Another operation in progress for this reservation or event. Please try again in a moment.');
+  }
 
-    const reserva = reservas.get(id);
+  try {
+    // Read again under the lock: a change that just finished may have moved it
+    const reserva = reservas.obtener(id);
 
-    if (!reserva) {
-      return res.status(404).json({ error: 'Reservation not found' });
+    if (reserva.eventoId !== actual.eventoId && !req.body.eventoId) {
+      return responderOcupado(res, 'The reservation changed while waiting. Please try again.');
     }
 
-    if (reserva.estado === 'cancelada') {
-      return res.status(409).json({ error: 'Reservation already cancelled' });
+    if (reserva.estado !== 'confirmada') {
+      return res.status(409).json({ error: `Reservation cannot be changed in state ${reserva.estado}` });
     }
 
-    await pagosClient.post('/pagos/reembolsar', {
-      transaccionId: reserva.transaccionId,
-      motivo: 'Reservation cancellation'
+    if (reserva.modificacionEnCurso) {
+      return res.status(409).json({
+        error: 'Reservation change in progress',
+        modificacionId: reserva.modificacionEnCurso
+      });
+    }
+
+    if (algunaUsada(reserva)) {
+      return res.status(409).json({ error: 'Tickets already checked in at the venue' });
+    }
+
+    const plan = planificarCambio(reserva, req.body);
+    if (sinCambios(plan)) {
+      return res.json({ success: true, reserva, message: 'Reservation already matches the requested change' });
+    }
+
+    const saga = await sagas.ejecutar('modificar-reserva', modificacionId, {
+      modificacionId,
+      reservaId: id,
+      usuario: reserva.usuario,
+      metodoPago: req.body.metodoPago || reserva.metodoPago,
+      anterior: {
+        eventoId: reserva.eventoId,
+        categoria: reserva.categoria || null,
+        asientoIds: reserva.asientoIds,
+        monto: reserva.monto,
+        cargos: cargosDe(reserva)
+      },
+      plan
     });
 
-    await inventarioClient.post(`/inventario/${reserva.eventoId}/liberar`, {
-      cantidad: reserva.asientos
+    logger.info(`Reservation changed successfully - ID: ${id}, Change: ${modificacionId}`);
+
+    res.json({
+      success: true,
+      reserva: reservas.obtener(id),
+      modificacion: {
+        id: modificacionId,
+        diferencia: saga.contexto.diferencia,
+        reembolso: saga.contexto.reembolso
+      },
+      message: 'Reservation changed successfully'
     });
 
+  } catch (error) {
+    if (error.pendiente) {
+      logger.warn(`Reservation change pending payment - ID: ${id}`);
+      return res.status(202).json({
+        success: true,
+        reserva: reservas.obtener(id),
+        modificacion: { id: modificacionId },
+        message: error.cuerpo.message
+      });
+    }
+
+    logger.error(`Reservation change failed - ID: ${id}, Error: ${error.message}`);
+
+    if (error.status) {
+      return res.status(error.status).json({ ...error.cuerpo, reservaId: id, modificacionId });
+    }
+
+    res.status(500).json({
+      error: 'Error changing reservation',
+      message: error.message,
+      reservaId: id,
+      modificacionId
+    });
+  } finally {
+    await soltarLock(lock);
+  }
+});
+
+// Why a reservation cannot be cancelled right now, or null if it can
+function motivoNoCancelable(reserva) {
+  if (reserva.estado === 'cancelada') {
+    return 'Reservation already cancelled';
+  }
+  if (reserva.estado === 'cancelando') {
+    return null;
+  }
+  if (reserva.estado !== 'confirmada') {
+    return `Reservation cannot be cancelled in state ${reserva.estado}`;
+  }
+  if (reserva.modificacionEnCurso) {
+    return 'Reservation change in progress';
+  }
+  if (algunaUsada(reserva)) {
+    return 'Tickets already checked in at the venue';
+  }
+  return null;
+}
+
+// The refund follows the event's cancellation policy, which lives in inventario
+async function condicionesCancelacion(reserva) {
+  const evento = await consultarInventario(reserva.eventoId);
+  return calcularReembolso(reserva.monto, evento);
+}
+
+function responderSinCondiciones(res) {
+  return res.status(503).json({
+    error: 'Inventory service unavailable',
+    message: 'Cannot work out the refund at this time. Please try later.'
+  });
+}
+
+app.get('/reservas/:id/cancelacion', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  const { id } = req.params;
+  const reserva = reservas.obtener(id);
+
+  if (!reserva || !puedeVer(req.identidad, reserva.usuario)) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  const motivo = motivoNoCancelable(reserva);
+  if (motivo) {
+    return res.status(409).json({ error: motivo });
+  }
+
+  // A cancellation already started pays out what was worked out when it began
+  if (reserva.estado === 'cancelando') {
+    return res.json({ reservaId: id, montoPagado: reserva.monto, estado: reserva.estado, ...reserva.cancelacion });
+  }
+
+  let condiciones;
+  try {
+    condiciones = await condicionesCancelacion(reserva);
+  } catch (error) {
+    return responderSinCondiciones(res);
+  }
+
+  res.json({
+    reservaId: id,
+    montoPagado: reserva.monto,
+    ...condiciones,
+    calculadoEn: new Date().toISOString()
+  });
+});
+
+function mensajeCancelacion(reserva, condiciones) {
+  if (condiciones.montoReembolso > 0) {
+    return `Reservation cancelled, $${condiciones.montoReembolso} refunded (${condiciones.porcentaje}%)`;
+  }
+  if (reserva.monto === 0) {
+    return 'Reservation cancelled, nothing had been charged';
+  }
+  return 'Reservation cancelled, no refund under the event cancellation policy';
+}
+
+app.delete('/reservas/:id', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  const { id } = req.params;
+  logger.info(`DELETE /reservas/${id} - Cancelling reservation`);
+
+  let lock;
+  try {
+    lock = await adquirirLock([`lock:reserva:${id}`]);
+  } catch (error) {
+    logger.error(`Cancellation failed - ID: ${id}, Error: ${error.message}`);
+    return responderOcupado(res, 'Another operation in progress for this reservation. Please try again in a moment.');
+  }
+
+  try {
+    const reserva = reservas.obtener(id);
+
+    if (!reserva || !puedeVer(req.identidad, reserva.usuario)) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    const motivo = motivoNoCancelable(reserva);
+    if (motivo) {
+      return res.status(409).json({
+        error: motivo,
+        ...(reserva.modificacionEnCurso ? { modificacionId: reserva.modificacionEnCurso } : {})
+      });
+    }
+
+    // The refund is worked out once and saved before any money moves, so a
+    // retry after a policy cut-off has passed still sends pagos the same
+    // amount under the same idempotency key
+    let condiciones = reserva.estado === 'cancelando' ? reserva.cancelacion : null;
+    if (condiciones) {
+      logger.info(`Resuming cancellation of ${id}: $${condiciones.montoReembolso} to refund`);
+    } else {
+      let calculadas;
+      try {
+        calculadas = await condicionesCancelacion(reserva);
+      } catch (error) {
+        logger.error(`Cannot work out the refund for ${id}: ${error.message}`);
+        return responderSinCondiciones(res);
+      }
+
+      condiciones = {
+        porcentaje: calculadas.porcentaje,
+        montoReembolso: calculadas.montoReembolso,
+        penalizacion: calculadas.penalizacion,
+        horasRestantes: calculadas.horasRestantes,
+        calculadoEn: new Date().toISOString()
+      };
+      reserva.cancelacion = condiciones;
+      reserva.estado = 'cancelando';
+      await reservas.guardar(reserva);
+
+      logger.info(`Cancellation policy for ${id}: ${condiciones.porcentaje}% of $${reserva.monto}, ${condiciones.horasRestantes}h before the event`);
+    }
+
+    // A changed reservation may have been paid in several charges
+    const cargos = cargosDe(reserva).map(cargo => ({ ...cargo }));
+    for (const { transaccionId, monto } of repartirReembolso(cargos, condiciones.montoReembolso)) {
+      await pagosClient.post('/pagos/reembolsar', {
+        transaccionId,
+        monto,
+        motivo: 'Reservation cancellation'
+      }, conClaveIdempotencia(`${id}:cancelar-reembolso:${transaccionId}`));
+
+      const cargo = cargos.find(c => c.transaccionId === transaccionId);
+      cargo.reembolsado = redondear(cargo.reembolsado + monto);
+    }
+
+    await inventarioClient.post(`/inventario/${reserva.eventoId}/liberar`, {
+      asientoIds: reserva.asientoIds
+    }, conClaveIdempotencia(`${id}:cancelar-liberar`));
+
+    reserva.cargos = cargos;
+    reserva.entradas = anularEntradas(reserva);
     reserva.estado = 'cancelada';
     reserva.fechaCancelacion = new Date().toISOString();
+    await reservas.guardar(reserva);
 
     logger.info(`Reservation cancelled successfully: ${id}`);
 
     res.json({
       success: true,
-      message: 'Reservation cancelled and refund processed',
+      message: mensajeCancelacion(reserva, condiciones),
       reserva
     });
 
   } catch (error) {
     logger.error(`Error cancelling reservation: ${error.message}`);
     res.status(500).json({ error: 'Error cancelling reservation' });
+  } finally {
+    await soltarLock(lock);
   }
 });
 
-app.listen(PORT, () => {
-  logger.info(`Reservations service listening on port ${PORT}`);
-  logger.info(`Redlock configured for distributed locks (requires Redis)`);
+// Reservations confirmed before tickets existed get theirs the first time
+// they are asked for
+app.get('/reservas/:id/entradas', validar({ params: PARAMS_RESERVA }), async (req, res) => {
+  const { id } = req.params;
+  const reserva = reservas.obtener(id);
+
+  if (!reserva || !puedeVer(req.identidad, reserva.usuario)) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+
+  if (reserva.estado === 'confirmada' && !reserva.entradas) {
+    reserva.entradas = emitirEntradas(reserva, ENTRADAS_SECRETO);
+    await reservas.guardar(reserva);
+    logger.info(`Tickets issued for reservation ${id}`);
+  }
+
+  res.json({ reservaId: id, estado: reserva.estado, entradas: reserva.entradas || [] });
 });
+
+function rechazarCheckin(res, status, cuerpo) {
+  logger.warn(`Check-in rejected: ${cuerpo.error}`);
+  return res.status(status).json({ valida: false, ...cuerpo });
+}
+
+// Door scans. Nothing is awaited between reading the reservation and marking
+// the ticket, so two scans of the same code can never both get in; the change
+// is then saved like any other write, to the local file while Redis is down.
+app.post('/checkin', requerirRol(ROLES.OPERADOR, ROLES.ADMIN), validar({ body: CHECKIN }), async (req, res) => {
+  const datos = leerCodigo(req.body.codigo, ENTRADAS_SECRETO);
+
+  if (!datos) {
+    return rechazarCheckin(res, 400, { error: 'Invalid ticket code' });
+  }
+
+  const { reservaId, asientoId, eventoId } = datos;
+  logger.info(`POST /checkin - Reservation ${reservaId}, Seat ${asientoId}, Event ${eventoId}`);
+
+  if (req.body.eventoId && req.body.eventoId !== eventoId) {
+    return rechazarCheckin(res, 409, { error: 'Ticket is for another event', reservaId, asientoId, eventoId });
+  }
+
+  const reserva = reservas.obtener(reservaId);
+
+  if (!reserva) {
+    return rechazarCheckin(res, 404, { error: 'Reservation not found', reservaId });
+  }
+
+  if (reserva.estado !== 'confirmada') {
+    return rechazarCheckin(res, 409, { error: `Reservation is ${reserva.estado}`, reservaId, asientoId });
+  }
+
+  const entrada = buscarEntrada(reserva, datos);
+
+  if (!entrada || entrada.estado === ESTADOS_ENTRADA.ANULADA) {
+    return rechazarCheckin(res, 409, { error: 'Ticket has been voided', reservaId, asientoId });
+  }
+
+  if (entrada.estado === ESTADOS_ENTRADA.USADA) {
+    return rechazarCheckin(res, 409, { error: 'Ticket already used', reservaId, asientoId, usadaEn: entrada.usadaEn });
+  }
+
+  entrada.estado = ESTADOS_ENTRADA.USADA;
+  entrada.usadaEn = new Date().toISOString();
+  entrada.validadaPor = req.identidad.usuario;
+  await reservas.guardar(reserva);
+
+  logger.info(`Check-in OK - Reservation ${reservaId}, Seat ${asientoId} (${reservas.backend()})`);
+
+  res.json({
+    valida: true,
+    entrada,
+    reserva: {
+      id: reserva.id,
+      usuario: reserva.usuario,
+      eventoId: reserva.eventoId,
+      eventoNombre: reserva.eventoNombre
+    }
+  });
+});
+
+function buscarCarrito(req) {
+  const carrito = carritos.obtener(req.params.id);
+  return carrito && puedeVer(req.identidad, carrito.usuario) ? carrito : null;
+}
+
+app.post('/carritos', validar({ body: CREAR_CARRITO }), async (req, res) => {
+  // Staff may fill a cart on behalf of someone else
+  const usuario = req.identidad.rol !== ROLES.CLIENTE && req.body.usuario
+    ? req.body.usuario
+    : req.identidad.usuario;
+
+  const carrito = crearCarrito(uuidv4(), usuario);
+  for (const articulo of req.body.articulos || []) {
+    agregarArticulo(carrito, articulo);
+  }
+  await carritos.guardar(carrito);
+
+  logger.info(`Cart ${carrito.id} created for ${usuario} with ${carrito.articulos.length} events`);
+  res.status(201).json(carrito);
+});
+
+app.get('/carritos/:id', validar({ params: PARAMS_CARRITO }), (req, res) => {
+  const carrito = buscarCarrito(req);
+
+  if (!carrito) {
+    return res.status(404).json({ error: 'Cart not found' });
+  }
+
+  res.json(carrito);
+});
+
+app.post('/carritos/:id/articulos', validar({ params: PARAMS_CARRITO, body: ARTICULO_CARRITO }), async (req, res) => {
+  const carrito = buscarCarrito(req);
+
+  if (!carrito) {
+    return res.status(404).json({ error: 'Cart not found' });
+  }
+
+  const motivo = motivoNoModificable(carrito);
+  if (motivo) {
+    return res.status(409).json({ error: motivo, pedidoId: carrito.pedidoId });
+  }
+
+  let articulo;
+  try {
+    articulo = agregarArticulo(carrito, req.body);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+  await carritos.guardar(carrito);
+
+  logger.info(`Cart ${carrito.id}: ${articulo.asientos} seats of ${articulo.eventoId}`);
+  res.status(201).json(carrito);
+});
+
+app.delete('/carritos/:id/articulos/:articuloId', validar({ params: PARAMS_ARTICULO_CARRITO }), async (req, res) => {
+  const carrito = buscarCarrito(req);
+
+  if (!carrito) {
+    return res.status(404).json({ error: 'Cart not found' });
+  }
+
+  const motivo = motivoNoModificable(carrito);
+  if (motivo) {
+    return res.status(409).json({ error: motivo, pedidoId: carrito.pedidoId });
+  }
+
+  if (!quitarArticulo(carrito, req.params.articuloId)) {
+    return res.status(404).json({ error: 'Cart item not found' });
+  }
+  await carritos.guardar(carrito);
+
+  logger.info(`Cart ${carrito.id}: item ${req.params.articuloId} removed`);
+  res.json(carrito);
+});
+
+// Each checkout attempt is an order with its own pedidoId: its saga, its
+// charge in pagos and its idempotency keys. A failed one reopens the cart.
+app.post('/carritos/:id/checkout', validar({ params: PARAMS_CARRITO, body: PAGAR_CARRITO }), async (req, res) => {
+  const { id } = req.params;
+  const actual = buscarCarrito(req);
+
+  if (!actual) {
+    return res.status(404).json({ error: 'Cart not found' });
+  }
+
+  const pedidoId = uuidv4();
+  const recursos = recursosCheckout(actual);
+  logger.info(`POST /carritos/${id}/checkout - Order ${pedidoId}, Events: ${actual.articulos.map(a => a.eventoId).join(', ')}`);
+
+  let lock;
+  try {
+    lock = await adquirirLock(recursos);
+  } catch (error) {
+    logger.error(`Checkout failed - Cart: ${id}, Error: ${error.message}`);
+    return responderOcupado(res, 'Another operation in progress for this cart or one of its events. Please try again in a moment.');
+  }
+
+  try {
+    // Read again under the lock, which only covers the events it had before
+    const carrito = carritos.obtener(id);
+
+    const motivo = motivoNoModificable(carrito);
+    if (motivo) {
+      return res.status(409).json({ error: motivo, pedidoId: carrito.pedidoId });
+    }
+
+    if (carrito.articulos.length === 0) {
+      return res.status(409).json({ error: 'Cart is empty' });
+    }
+
+    if (recursosCheckout(carrito).join() !== recursos.join()) {
+      return responderOcupado(res, 'The cart changed while waiting. Please try again.');
+    }
+
+    apartarCarrito(carrito, pedidoId);
+
+    const saga = await sagas.ejecutar('pagar-carrito', pedidoId, {
+      pedidoId,
+      carritoId: id,
+      usuario: carrito.usuario,
+      metodoPago: req.body.metodoPago || 'tarjeta',
+      articulos: carrito.articulos.map(articulo => ({ ...articulo, reservaId: uuidv4() }))
+    });
+
+    logger.info(`Checkout completed successfully - Cart: ${id}, Order: ${pedidoId}`);
+
+    res.status(201).json({
+      success: true,
+      carrito: carritos.obtener(id),
+      reservas: saga.contexto.articulos.map(articulo => reservas.obtener(articulo.reservaId)),
+      message: 'Order created successfully'
+    });
+
+  } catch (error) {
+    if (error.pendiente) {
+      logger.warn(`Checkout pending payment - Cart: ${id}, Order: ${pedidoId}`);
+      return res.status(202).json({
+        success: true,
+        carrito: carritos.obtener(id),
+        message: error.cuerpo.message
+      });
+    }
+
+    logger.error(`Checkout failed - Cart: ${id}, Order: ${pedidoId}, Error: ${error.message}`);
+
+    if (error.status) {
+      return res.status(error.status).json({ ...error.cuerpo, carritoId: id, pedidoId });
+    }
+
+    res.status(500).json({
+      error: 'Error checking out cart',
+      message: error.message,
+      carritoId: id,
+      pedidoId
+    });
+  } finally {
+    await soltarLock(lock);
+  }
+});
+
+app.get('/promociones', (req, res) => {
+  res.json(promociones.listar().map(resumenPromocion));
+});
+
+app.get('/promociones/:codigo', validar({ params: PARAMS_PROMOCION }), (req, res) => {
+  const promocion = promociones.obtener(normalizarCodigo(req.params.codigo));
+
+  if (!promocion) {
+    return res.status(404).json({ error: 'Promo code not found' });
+  }
+
+  res.json({ ...resumenPromocion(promocion), usos: promocion.usos });
+});
+
+app.post('/promociones', requerirRol(ROLES.ADMIN), validar({ body: PROMOCION }), async (req, res) => {
+  const detalles = validarPromocion(req.body);
+  if (detalles.length > 0) {
+    return responderInvalido(res, detalles);
+  }
+
+  const promocion = crearPromocion(req.body);
+  if (promociones.obtener(promocion.id)) {
+    return res.status(409).json({ error: 'Promo code already exists', codigo: promocion.codigo });
+  }
+
+  await promociones.guardar(promocion);
+  logger.info(`Promo code ${promocion.codigo} created: ${promocion.valor}${promocion.tipo === 'porcentaje' ? '%' : '$'} off ${promocion.eventoId || 'every event'}`);
+
+  res.status(201).json(resumenPromocion(promocion));
+});
+
+// Codes keep their uses for the reservations that applied them, so they are
+// deactivated rather than deleted
+app.delete('/promociones/:codigo', requerirRol(ROLES.ADMIN), validar({ params: PARAMS_PROMOCION }), async (req, res) => {
+  const codigo = normalizarCodigo(req.params.codigo);
+
+  let promocion;
+  try {
+    promocion = await conPromocion(codigo, async (actual) => {
+      if (actual) {
+        actual.activa = false;
+        await promociones.guardar(actual);
+      }
+      return actual;
+    });
+  } catch (error) {
+    logger.error(`Promo code deactivation failed - Code: ${codigo}, Error: ${error.message}`);
+    return responderOcupado(res, 'The promo code is being used by a booking. Please try again in a moment.');
+  }
+
+  if (!promocion) {
+    return res.status(404).json({ error: 'Promo code not found' });
+  }
+
+  logger.info(`Promo code ${promocion.codigo} deactivated`);
+  res.json(resumenPromocion(promocion));
+});
+
+let reconciliando = false;
+
+// Background worker for payments that timed out: asks pagos what happened to
+// each pending one, then the saga either confirms the seats or refunds and
+// releases them. A reservation whose saga was compensated is marked fallida;
+// a compensated change just leaves the reservation as it was.
+async function reconciliarPagosPendientes() {
+  if (reconciliando) {
+    return;
+  }
+  reconciliando = true;
+
+  try {
+    const resueltas = await sagas.reconciliar({ plazoMs: PAGO_PENDIENTE_MAX_SEGUNDOS * 1000 });
+
+    for (const saga of resueltas) {
+      // A cart checkout only creates its reservations once paid, and puts the
+      // cart back itself when compensated
+      if (saga.contexto.carritoId) {
+        logger.info(`Pending payment reconciled - Cart ${saga.contexto.carritoId}, order ${saga.id}: ${saga.estado}`);
+        continue;
+      }
+
+      const reserva = reservas.obtener(saga.contexto.reservaId);
+      if (saga.estado !== ESTADOS_SAGA.COMPLETADA && reserva && reserva.estado === 'pago_pendiente') {
+        reserva.estado = 'fallida';
+        reserva.motivoFallo = saga.error ? saga.error.mensaje : 'Payment could not be confirmed';
+        await reservas.guardar(reserva);
+      }
+      logger.info(`Pending payment reconciled - Reservation ${saga.contexto.reservaId} (${saga.tipo}): ${saga.estado}`);
+    }
+  } catch (error) {
+    logger.error(`Error reconciling pending payments: ${error.message}`);
+  } finally {
+    reconciliando = false;
+  }
+}
+
+redisListo
+  .then(() => Promise.all([reservas.cargar(), almacenSagas.cargar(), promociones.cargar(), carritos.cargar()]))
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info(`Reservations service listening on port ${PORT}`);
+      logger.info(`Redlock configured for distributed locks (requires Redis)`);
+      sagas.recuperar();
+      setInterval(reconciliarPagosPendientes, RECONCILIACION_INTERVALO_MS);
+    });
+  })
+  .catch((error) => {
+    logger.error(`Could not load reservations: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,115 @@
+// Amounts are kept in whole cents
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+// Works out which seats a change adds and which it gives back. Explicit
+// asientoIds are the whole new selection; a count on the same event keeps
+// the current seats and adds or drops from the end. Moving to another event
+// or price category gives back every current seat. The plan's `categoria` is
+// null when it has to be worked out from the new event's inventory.
+function planificarCambio(reserva, { eventoId = reserva.eventoId, categoria, asientos, asientoIds }) {
+  const actuales = reserva.asientoIds;
+  const mismoEvento = eventoId === reserva.eventoId && (!categoria || categoria === reserva.categoria);
+  const categoriaPlan = categoria || (eventoId === reserva.eventoId ? reserva.categoria || null : null);
+  const total = asientoIds ? asientoIds.length : (asientos || actuales.length);
+
+  if (!mismoEvento) {
+    return {
+      eventoId,
+      categoria: categoriaPlan,
+      mismoEvento,
+      asientos: total,
+      nuevos: asientoIds ? { asientoIds } : { cantidad: total },
+      sobrantes: actuales
+    };
+  }
+
+  if (asientoIds) {
+    const nuevos = asientoIds.filter(asiento => !actuales.includes(asiento));
+    return {
+      eventoId,
+      categoria: categoriaPlan,
+      mismoEvento,
+      asientos: total,
+      nuevos: nuevos.length > 0 ? { asientoIds: nuevos } : null,
+      sobrantes: actuales.filter(asiento => !asientoIds.includes(asiento))
+    };
+  }
+
+  return {
+    eventoId,
+    categoria: categoriaPlan,
+    mismoEvento,
+    asientos: total,
+    nuevos: total > actuales.length ? { cantidad: total - actuales.length } : null,
+    sobrantes: actuales.slice(total)
+  };
+}
+
+function cantidadNueva(plan) {
+  if (!plan.nuevos) {
+    return 0;
+  }
+  return plan.nuevos.asientoIds ? plan.nuevos.asientoIds.length : plan.nuevos.cantidad;
+}
+
+function sinCambios(plan) {
+  return plan.mismoEvento && !plan.nuevos && plan.sobrantes.length === 0;
+}
+
+// On the same event seats kept stay at the price paid for them, added ones go
+// at today's price and dropped ones are given back at what they cost. Another
+// event is charged in full at its price.
+function montoModificado(reserva, plan, precio) {
+  if (!plan.mismoEvento) {
+    return redondear(precio * plan.asientos);
+  }
+  const pagadoPorAsiento = reserva.monto / reserva.asientoIds.length;
+  return redondear(reserva.monto + precio * cantidadNueva(plan) - pagadoPorAsiento * plan.sobrantes.length);
+}
+
+// Charges of a reservation with what is left to refund on each. Reservations
+// made before modifications existed only carry their transaccionId.
+function cargosDe(reserva) {
+  if (reserva.cargos) {
+    return reserva.cargos;
+  }
+  return reserva.transaccionId
+    ? [{ transaccionId: reserva.transaccionId, monto: reserva.monto, reembolsado: 0 }]
+    : [];
+}
+
+function restante(cargo) {
+  return redondear(cargo.monto - cargo.reembolsado);
+}
+
+// Spreads a refund over the charges, newest first, so a top-up paid for a
+// change is the first thing given back
+function repartirReembolso(cargos, monto) {
+  const reparto = [];
+  let pendiente = monto;
+
+  for (const cargo of [...cargos].reverse()) {
+    if (pendiente <= 0) {
+      break;
+    }
+    const parte = redondear(Math.min(restante(cargo), pendiente));
+    if (parte > 0) {
+      reparto.push({ transaccionId: cargo.transaccionId, monto: parte });
+      pendiente = redondear(pendiente - parte);
+    }
+  }
+
+  return reparto;
+}
+
+module.exports = {
+  redondear,
+  planificarCambio,
+  cantidadNueva,
+  sinCambios,
+  montoModificado,
+  cargosDe,
+  repartirReembolso
+};
@@ -0,0 +1,39 @@
+function errorCategoria(mensaje, categorias) {
+  const error = new Error(mensaje);
+  error.status = 400;
+  error.categorias = categorias.map(c => c.id);
+  return error;
+}
+
+// The price category of `inventario` a booking is for. Events with a single
+// category need none named; on the rest the customer has to pick one.
+function categoriaReserva(inventario, categoriaId) {
+  const categorias = inventario.categorias || [];
+
+  if (!categoriaId) {
+    if (categorias.length === 1) {
+      return categorias[0];
+    }
+    throw errorCategoria('Price category required', categorias);
+  }
+
+  const categoria = categorias.find(c => c.id === categoriaId);
+  if (!categoria) {
+    throw errorCategoria('Unknown price category', categorias);
+  }
+  return categoria;
+}
+
+// Seats are charged at the unit price their hold locked in. Holds made
+// before inventario locked prices carry none, and are charged `precio`, the
+// one quoted when availability was checked.
+function precioRetenido(retencion, precio) {
+  return retencion && retencion.precioUnitario !== undefined && retencion.precioUnitario !== null
+    ? retencion.precioUnitario
+    : precio;
+}
+
+module.exports = {
+  categoriaReserva,
+  precioRetenido
+};
@@ -0,0 +1,119 @@
+const { redondear } = require('./modificaciones');
+
+const TIPOS_DESCUENTO = {
+  PORCENTAJE: 'porcentaje',
+  FIJO: 'fijo'
+};
+
+// Codes are matched without regard to case
+function normalizarCodigo(codigo) {
+  return codigo.toUpperCase();
+}
+
+// Checks the schema cannot express, as { campo, mensaje } like the validator
+function validarPromocion(datos) {
+  const detalles = [];
+
+  if (datos.tipo === TIPOS_DESCUENTO.PORCENTAJE && datos.valor > 100) {
+    detalles.push({ campo: 'body.valor', mensaje: 'must be at most 100 for a percentage' });
+  }
+  if (datos.validaDesde && datos.validaHasta && Date.parse(datos.validaDesde) >= Date.parse(datos.validaHasta)) {
+    detalles.push({ campo: 'body.validaHasta', mensaje: 'must be after validaDesde' });
+  }
+
+  return detalles;
+}
+
+function crearPromocion(datos, ahora = new Date()) {
+  const codigo = normalizarCodigo(datos.codigo);
+
+  return {
+    id: codigo,
+    codigo,
+    descripcion: datos.descripcion || '',
+    tipo: datos.tipo,
+    valor: datos.valor,
+    eventoId: datos.eventoId || null,
+    validaDesde: datos.validaDesde || null,
+    validaHasta: datos.validaHasta || null,
+    limiteTotal: datos.limiteTotal || null,
+    limitePorUsuario: datos.limitePorUsuario || null,
+    activa: true,
+    usos: [],
+    creadaEn: ahora.toISOString()
+  };
+}
+
+// Why `promocion` cannot be used for this booking, or null when it can
+function motivoNoAplicable(promocion, { eventoId, usuario }, ahora = new Date()) {
+  if (!promocion || !promocion.activa) {
+    return 'Unknown promo code';
+  }
+  if (promocion.validaDesde && ahora < new Date(promocion.validaDesde)) {
+    return 'Promo code is not valid yet';
+  }
+  if (promocion.validaHasta && ahora >= new Date(promocion.validaHasta)) {
+    return 'Promo code has expired';
+  }
+  if (promocion.eventoId && promocion.eventoId !== eventoId) {
+    return 'Promo code is not valid for this event';
+  }
+  if (promocion.limiteTotal && promocion.usos.length >= promocion.limiteTotal) {
+    return 'Promo code has been used up';
+  }
+  if (promocion.limitePorUsuario &&
+    promocion.usos.filter(uso => uso.usuario === usuario).length >= promocion.limitePorUsuario) {
+    return 'Promo code already used the maximum number of times by this customer';
+  }
+  return null;
+}
+
+// Never more than the amount itself
+function calcularDescuento(promocion, monto) {
+  const descuento = promocion.tipo === TIPOS_DESCUENTO.PORCENTAJE
+    ? monto * promocion.valor / 100
+    : promocion.valor;
+  return redondear(Math.min(descuento, monto));
+}
+
+// Counting a use and checking the limits happen together, with nothing
+// awaited in between; callers hold the code's lock so two bookings on
+// different replicas cannot both take the last use
+function canjear(promocion, { reservaId, eventoId, usuario, monto }, ahora = new Date()) {
+  const motivo = motivoNoAplicable(promocion, { eventoId, usuario }, ahora);
+  if (motivo) {
+    const error = new Error(motivo);
+    error.status = 409;
+    throw error;
+  }
+
+  const descuento = calcularDescuento(promocion, monto);
+  promocion.usos.push({ reservaId, usuario, descuento, timestamp: ahora.toISOString() });
+  return descuento;
+}
+
+// Gives the use of a booking that did not go through back to the code
+function devolverUso(promocion, reservaId) {
+  const antes = promocion.usos.length;
+  promocion.usos = promocion.usos.filter(uso => uso.reservaId !== reservaId);
+  return promocion.usos.length < antes;
+}
+
+function resumenPromocion(promocion) {
+  const { id, version, usos, ...datos } = promocion;
+  return {
+    ...datos,
+    usosTotales: usos.length,
+    usosRestantes: promocion.limiteTotal ? Math.max(promocion.limiteTotal - usos.length, 0) : null
+  };
+}
+
+module.exports = {
+  TIPOS_DESCUENTO,
+  normalizarCodigo,
+  validarPromocion,
+  crearPromocion,
+  canjear,
+  devolverUso,
+  resumenPromocion
+};
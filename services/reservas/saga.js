@@ -0,0 +1,363 @@
+const logger = require('../../shared/logger');
+const { conSpan, referenciaTraza, enTraza } = require('../../shared/trazas');
+
+const ESTADOS_SAGA = {
+  EN_CURSO: 'en_curso',
+  PENDIENTE: 'pendiente',
+  COMPLETADA: 'completada',
+  COMPENSANDO: 'compensando',
+  COMPENSADA: 'compensada',
+  COMPENSACION_FALLIDA: 'compensacion_fallida'
+};
+
+// An error thrown by a step carries the HTTP status and body the caller
+// should answer with once the saga has been compensated.
+function errorPaso(status, cuerpo) {
+  const error = new Error(cuerpo.message || cuerpo.error);
+  error.status = status;
+  error.cuerpo = cuerpo;
+  return error;
+}
+
+// A step whose outcome is not known yet (e.g. a call that timed out but may
+// still succeed downstream) throws this instead: the saga is parked as
+// `pendiente` and `reconciliar` settles it later.
+function pasoPendiente(status, cuerpo) {
+  const error = errorPaso(status, cuerpo);
+  error.pendiente = true;
+  return error;
+}
+
+// Each step declares `ejecutar(contexto)`, which returns the fields to merge
+// into the saga context, and optionally `compensar(contexto)`. `verificar`
+// lets recovery find out whether a step interrupted mid-call actually took
+// effect: it returns the step's result, null while there is no trace of it,
+// or throws an `errorPaso` when the step is known to have failed. Once a step
+// marked `pivote` completes, recovery moves forward instead of compensating.
+// `pendiente(contexto)` runs when the step is parked as pending, and
+// `mantener(contexto, saga)` then and on every reconciliation while it stays
+// pending, to keep alive what the step is waiting with (e.g. a seat hold).
+class DefinicionSaga {
+  constructor(tipo, pasos) {
+    this.tipo = tipo;
+    this.pasos = pasos;
+  }
+
+  paso(nombre) {
+    return this.pasos.find(paso => paso.nombre === nombre);
+  }
+}
+
+class OrquestadorSagas {
+  constructor(almacen) {
+    this.almacen = almacen;
+    this.definiciones = new Map();
+  }
+
+  registrar(definicion) {
+    this.definiciones.set(definicion.tipo, definicion);
+  }
+
+  obtener(id) {
+    return this.almacen.obtener(id);
+  }
+
+  async ejecutar(tipo, id, contexto) {
+    const ahora = new Date().toISOString();
+    const saga = {
+      id,
+      tipo,
+      estado: ESTADOS_SAGA.EN_CURSO,
+      pasoActual: null,
+      contexto,
+      pasosCompletados: [],
+      pasosCompensados: [],
+      historial: [],
+      traza: referenciaTraza(),
+      creadaEn: ahora,
+      actualizadaEn: ahora
+    };
+
+    await this._guardar(saga);
+    return this._avanzar(saga);
+  }
+
+  async recuperar() {
+    const pendientes = this.almacen.listar().filter(saga =>
+      saga.estado === ESTADOS_SAGA.EN_CURSO ||
+      saga.estado === ESTADOS_SAGA.COMPENSANDO ||
+      saga.estado === ESTADOS_SAGA.COMPENSACION_FALLIDA
+    );
+
+    if (pendientes.length > 0) {
+      logger.warn(`Recovering ${pendientes.length} interrupted sagas`);
+    }
+
+    for (const saga of pendientes) {
+      try {
+        await enTraza(saga.traza, () => this._reanudar(saga));
+      } catch (error) {
+        logger.error(`Saga ${saga.id} could not be recovered: ${error.message}`);
+      }
+    }
+  }
+
+  async _avanzar(saga) {
+    const definicion = this.definiciones.get(saga.tipo);
+
+    for (const paso of definicion.pasos) {
+      if (saga.pasosCompletados.includes(paso.nombre)) {
+        continue;
+      }
+
+      saga.pasoActual = paso.nombre;
+      this._anotar(saga, paso.nombre, 'ejecutar', 'iniciado');
+      await this._guardar(saga);
+
+      try {
+        const resultado = await this._enSpan(saga, paso.nombre, 'ejecutar', () => paso.ejecutar(saga.contexto, saga));
+        Object.assign(saga.contexto, resultado || {});
+        saga.pasosCompletados.push(paso.nombre);
+        this._anotar(saga, paso.nombre, 'ejecutar', 'completado');
+        await this._guardar(saga);
+      } catch (error) {
+        error.paso = paso.nombre;
+
+        if (error.pendiente) {
+          await this._dejarPendiente(saga, paso, error.message);
+          throw error;
+        }
+
+        logger.error(`Saga ${saga.id} failed at step ${paso.nombre}: ${error.message}`);
+        this._anotar(saga, paso.nombre, 'ejecutar', 'fallido', error.message);
+        saga.error = { paso: paso.nombre, mensaje: error.message };
+        await this._compensar(saga);
+        throw error;
+      }
+    }
+
+    saga.estado = ESTADOS_SAGA.COMPLETADA;
+    saga.pasoActual = null;
+    await this._guardar(saga);
+    logger.info(`Saga ${saga.id} completed`);
+    return saga;
+  }
+
+  async _compensar(saga) {
+    const definicion = this.definiciones.get(saga.tipo);
+    saga.estado = ESTADOS_SAGA.COMPENSANDO;
+    await this._guardar(saga);
+
+    let fallos = 0;
+    for (const nombre of [...saga.pasosCompletados].reverse()) {
+      const paso = definicion.paso(nombre);
+      if (!paso.compensar || saga.pasosCompensados.includes(nombre)) {
+        continue;
+      }
+
+      saga.pasoActual = nombre;
+      this._anotar(saga, nombre, 'compensar', 'iniciado');
+      await this._guardar(saga);
+
+      try {
+        await this._enSpan(saga, nombre, 'compensar', () => paso.compensar(saga.contexto, saga));
+        saga.pasosCompensados.push(nombre);
+        this._anotar(saga, nombre, 'compensar', 'completado');
+        logger.info(`Saga ${saga.id}: compensated step ${nombre}`);
+      } catch (error) {
+        fallos++;
+        this._anotar(saga, nombre, 'compensar', 'fallido', error.message);
+        logger.error(`CRITICAL: Saga ${saga.id} could not compensate step ${nombre}: ${error.message}`);
+      }
+      await this._guardar(saga);
+    }
+
+    saga.estado = fallos > 0 ? ESTADOS_SAGA.COMPENSACION_FALLIDA : ESTADOS_SAGA.COMPENSADA;
+    saga.pasoActual = null;
+    await this._guardar(saga);
+  }
+
+  async _reanudar(saga) {
+    const definicion = this.definiciones.get(saga.tipo);
+    if (!definicion) {
+      logger.warn(`Saga ${saga.id} has unknown type ${saga.tipo}, skipping recovery`);
+      return;
+    }
+
+    if (saga.estado !== ESTADOS_SAGA.EN_CURSO) {
+      logger.warn(`Saga ${saga.id}: resuming compensation`);
+      return this._compensar(saga);
+    }
+
+    const interrumpido = saga.pasoActual && !saga.pasosCompletados.includes(saga.pasoActual)
+      ? definicion.paso(saga.pasoActual)
+      : null;
+
+    if (interrumpido) {
+      let resultado = null;
+      let fallido = false;
+
+      if (interrumpido.verificar) {
+        try {
+          resultado = await this._enSpan(saga, interrumpido.nombre, 'verificar', () => interrumpido.verificar(saga.contexto, saga));
+        } catch (error) {
+          if (!error.status) {
+            throw error;
+          }
+          fallido = true;
+        }
+      }
+
+      if (resultado) {
+        Object.assign(saga.contexto, resultado);
+        saga.pasosCompletados.push(interrumpido.nombre);
+        this._anotar(saga, interrumpido.nombre, 'verificar', 'completado');
+      } else if (interrumpido.pivote && interrumpido.verificar && !fallido) {
+        // The call may still be in flight downstream: let reconciliation decide
+        return this._dejarPendiente(saga, interrumpido, 'Interrupted by a service restart');
+      } else {
+        this._anotar(saga, interrumpido.nombre, 'ejecutar', 'interrumpido');
+      }
+      await this._guardar(saga);
+    }
+
+    const pivoteCompletado = definicion.pasos.some(paso =>
+      paso.pivote && saga.pasosCompletados.includes(paso.nombre)
+    );
+
+    if (pivoteCompletado) {
+      logger.warn(`Saga ${saga.id}: resuming forward after ${saga.pasosCompletados.slice(-1)[0]}`);
+      try {
+        await this._avanzar(saga);
+      } catch (error) {
+        logger.warn(`Saga ${saga.id}: forward recovery failed and was compensated: ${error.message}`);
+      }
+      return;
+    }
+
+    logger.warn(`Saga ${saga.id}: interrupted before its pivot step, compensating`);
+    saga.error = { paso: saga.pasoActual, mensaje: 'Interrupted by a service restart' };
+    return this._compensar(saga);
+  }
+
+  // Settles every pending saga whose step can now be verified: forward when
+  // it took effect, compensation when it failed or when `plazoMs` has passed
+  // without any trace of it. Returns the sagas that left the pending state.
+  async reconciliar({ plazoMs }) {
+    const pendientes = this.almacen.listar().filter(saga => saga.estado === ESTADOS_SAGA.PENDIENTE);
+    const resueltas = [];
+
+    for (const saga of pendientes) {
+      if (await enTraza(saga.traza, () => this._reconciliarSaga(saga, plazoMs))) {
+        resueltas.push(saga);
+      }
+    }
+
+    return resueltas;
+  }
+
+  async _reconciliarSaga(saga, plazoMs) {
+    const paso = this.definiciones.get(saga.tipo).paso(saga.pasoActual);
+    let resultado = null;
+
+    // Before verifying, so a slow answer does not outlast what it keeps alive
+    await this._mantener(saga, paso);
+
+    try {
+      resultado = await this._enSpan(saga, paso.nombre, 'verificar', () => paso.verificar(saga.contexto, saga));
+    } catch (error) {
+      if (!error.status) {
+        logger.warn(`Saga ${saga.id}: could not verify step ${paso.nombre} yet: ${error.message}`);
+        return false;
+      }
+
+      logger.warn(`Saga ${saga.id}: pending step ${paso.nombre} failed: ${error.message}`);
+      this._anotar(saga, paso.nombre, 'verificar', 'fallido', error.message);
+      saga.error = { paso: paso.nombre, mensaje: error.message };
+      await this._compensar(saga);
+      return true;
+    }
+
+    if (resultado) {
+      logger.info(`Saga ${saga.id}: pending step ${paso.nombre} completed, resuming`);
+      Object.assign(saga.contexto, resultado);
+      saga.pasosCompletados.push(paso.nombre);
+      saga.estado = ESTADOS_SAGA.EN_CURSO;
+      this._anotar(saga, paso.nombre, 'verificar', 'completado');
+      await this._guardar(saga);
+
+      try {
+        await this._avanzar(saga);
+      } catch (error) {
+        logger.warn(`Saga ${saga.id}: failed after reconciliation and was compensated: ${error.message}`);
+      }
+      return true;
+    }
+
+    if (Date.now() - Date.parse(saga.pendienteDesde) >= plazoMs) {
+      logger.error(`Saga ${saga.id}: no outcome for step ${paso.nombre} after ${plazoMs}ms, compensating`);
+      this._anotar(saga, paso.nombre, 'verificar', 'expirado');
+      saga.error = { paso: paso.nombre, mensaje: 'No outcome before the reconciliation deadline' };
+      await this._compensar(saga);
+      return true;
+    }
+
+    return false;
+  }
+
+  async _dejarPendiente(saga, paso, motivo) {
+    logger.warn(`Saga ${saga.id}: step ${paso.nombre} pending (${motivo})`);
+    saga.estado = ESTADOS_SAGA.PENDIENTE;
+    saga.pasoActual = paso.nombre;
+    saga.pendienteDesde = new Date().toISOString();
+    this._anotar(saga, paso.nombre, 'ejecutar', 'pendiente', motivo);
+    await this._guardar(saga);
+
+    if (paso.pendiente) {
+      await paso.pendiente(saga.contexto, saga);
+    }
+    await this._mantener(saga, paso);
+  }
+
+  // Failing to keep things alive does not settle the saga; the next
+  // reconciliation tries again
+  async _mantener(saga, paso) {
+    if (!paso.mantener) {
+      return;
+    }
+    try {
+      await paso.mantener(saga.contexto, saga);
+    } catch (error) {
+      logger.warn(`Saga ${saga.id}: could not keep step ${paso.nombre} pending: ${error.message}`);
+    }
+  }
+
+  _enSpan(saga, paso, accion, fn) {
+    return conSpan(`saga ${saga.tipo} ${accion} ${paso}`, {
+      atributos: { 'saga.id': saga.id, 'saga.paso': paso, 'saga.accion': accion }
+    }, fn);
+  }
+
+  _anotar(saga, paso, accion, estado, error) {
+    saga.historial.push({
+      paso,
+      accion,
+      estado,
+      ...(error ? { error } : {}),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  _guardar(saga) {
+    saga.actualizadaEn = new Date().toISOString();
+    return this.almacen.guardar(saga);
+  }
+}
+
+module.exports = {
+  ESTADOS_SAGA,
+  DefinicionSaga,
+  OrquestadorSagas,
+  errorPaso,
+  pasoPendiente
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+const ROLES = {
+  CLIENTE: 'customer',
+  OPERADOR: 'operator',
+  ADMIN: 'admin'
+};
+
+const CABECERA_API_KEY = 'X-API-Key';
+const CABECERA_IDENTIDAD = 'X-Identidad';
+
+const ALGORITMOS = ['HS256'];
+const AUDIENCIA_INTERNA = 'sistema-reservas-interno';
+const IDENTIDAD_INTERNA_TTL_SEGUNDOS = 300;
+
+// Only meant for running the demos locally; every deployment sets its own
+const SECRETO_DESARROLLO = 'sistema-reservas-dev-secret';
+const API_KEYS_DESARROLLO = [
+  'dev-admin-key:admin:admin',
+  'dev-operator-key:operator:operador',
+  'dev-customer-key:customer:cliente@demo.com'
+].join(',');
+
+const almacenamiento = new AsyncLocalStorage();
+let avisoSecreto = false;
+
+function secreto() {
+  if (process.env.JWT_SECRETO) {
+    return process.env.JWT_SECRETO;
+  }
+  if (!avisoSecreto) {
+    avisoSecreto = true;
+    logger.warn('JWT_SECRETO not set, using the development signing key');
+  }
+  return SECRETO_DESARROLLO;
+}
+
+function huella(clave) {
+  return crypto.createHash('sha256').update(clave).digest('hex');
+}
+
+// `clave:rol:usuario` entries separated by commas. Keys are indexed by their
+// hash so the lookup never compares the raw secret.
+function leerApiKeys(definicion) {
+  const claves = new Map();
+
+  for (const entrada of definicion.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [clave, rol, usuario] = entrada.split(':');
+    if (!clave || !usuario || !Object.values(ROLES).includes(rol)) {
+      throw new Error(`Invalid API_KEYS entry for role "${rol}"; expected clave:rol:usuario`);
+    }
+    claves.set(huella(clave), { usuario, rol });
+  }
+
+  return claves;
+}
+
+function identificar(req, claves) {
+  const autorizacion = req.get('Authorization');
+  const apiKey = req.get(CABECERA_API_KEY);
+
+  if (autorizacion) {
+    const [esquema, token] = autorizacion.split(' ');
+    if (esquema !== 'Bearer' || !token) {
+      throw new Error('Authorization header must use the Bearer scheme');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secreto(), { algorithms: ALGORITMOS });
+    } catch (error) {
+      throw new Error(`Invalid token: ${error.message}`);
+    }
+
+    if (!payload.sub || !Object.values(ROLES).includes(payload.rol)) {
+      throw new Error('Token must carry a subject (sub) and a valid role (rol)');
+    }
+    return { usuario: payload.sub, rol: payload.rol, metodo: 'jwt' };
+  }
+
+  if (apiKey) {
+    const huellaApiKey = huella(apiKey);
+    const identidad = claves.get(huellaApiKey);
+    if (!identidad) {
+      throw new Error('Invalid API key');
+    }
+    // The hash tells apart keys that act for the same user, without keeping
+    // the raw secret around
+    return { ...identidad, metodo: 'api-key', huellaApiKey };
+  }
+
+  return null;
+}
+
+function responderNoAutenticado(res, mensaje) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: mensaje });
+}
+
+// Gateway middleware: accepts a Bearer JWT or an API key. Requests without
+// credentials go through anonymous and are stopped by `requerirRol` where a
+// route needs them; wrong credentials are rejected right away. The identity
+// is re-signed as a short-lived internal token that the resilient HTTP
+// client forwards downstream, so services never trust a `usuario` field.
+function autenticacion({ apiKeys = process.env.API_KEYS } = {}) {
+  if (apiKeys === undefined) {
+    logger.warn('API_KEYS not set, accepting the development API keys');
+  }
+  const claves = leerApiKeys(apiKeys === undefined ? API_KEYS_DESARROLLO : apiKeys);
+
+  return (req, res, next) => {
+    let identidad;
+    try {
+      identidad = identificar(req, claves);
+    } catch (error) {
+      logger.warn(`Authentication rejected on ${req.method} ${req.originalUrl}: ${error.message}`);
+      return responderNoAutenticado(res, error.message);
+    }
+
+    if (!identidad) {
+      return next();
+    }
+
+    req.identidad = identidad;
+    const token = jwt.sign(
+      { rol: identidad.rol, metodo: identidad.metodo },
+      secreto(),
+      {
+        algorithm: ALGORITMOS[0],
+        subject: identidad.usuario,
+        audience: AUDIENCIA_INTERNA,
+        expiresIn: IDENTIDAD_INTERNA_TTL_SEGUNDOS
+      }
+    );
+    almacenamiento.run({ identidad, token }, next);
+  };
+}
+
+// Downstream middleware: reads the identity forwarded by the gateway
+function identidadInterna() {
+  return (req, res, next) => {
+    const token = req.get(CABECERA_IDENTIDAD);
+    if (!token) {
+      return next();
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secreto(), { algorithms: ALGORITMOS, audience: AUDIENCIA_INTERNA });
+    } catch (error) {
+      logger.warn(`Forwarded identity rejected on ${req.method} ${req.originalUrl}: ${error.message}`);
+      return responderNoAutenticado(res, 'Invalid forwarded identity');
+    }
+
+    req.identidad = { usuario: payload.sub, rol: payload.rol, metodo: payload.metodo };
+    almacenamiento.run({ identidad: req.identidad, token }, next);
+  };
+}
+
+// With no roles it only requires an authenticated caller. The roles stay on
+// the middleware for the gateway's OpenAPI document.
+function requerirRol(...roles) {
+  const middleware = (req, res, next) => {
+    if (!req.identidad) {
+      return responderNoAutenticado(res, 'Authentication required');
+    }
+    if (roles.length > 0 && !roles.includes(req.identidad.rol)) {
+      logger.warn(`Forbidden: ${req.identidad.usuario} (${req.identidad.rol}) on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Insufficient role', rolesPermitidos: roles });
+    }
+    next();
+  };
+  middleware.roles = roles;
+  return middleware;
+}
+
+function cabeceraIdentidad() {
+  const contexto = almacenamiento.getStore();
+  return contexto ? { [CABECERA_IDENTIDAD]: contexto.token } : {};
+}
+
+module.exports = {
+  ROLES,
+  CABECERA_API_KEY,
+  CABECERA_IDENTIDAD,
+  autenticacion,
+  identidadInterna,
+  requerirRol,
+  cabeceraIdentidad
+};
@@ -0,0 +1,393 @@
+// JSON Schemas of every request the gateway and the services accept. They
+// live in one place because the gateway validates the same bodies it forwards.
+
+const MAX_ASIENTOS_POR_RESERVA = 10;
+const MAX_ARTICULOS_CARRITO = 10;
+const MAX_CATEGORIAS_EVENTO = 10;
+const CAPACIDAD_MAXIMA = 100000;
+const RETENCION_TTL_MAX_SEGUNDOS = 1800;
+const LATENCIA_MAXIMA_MS = 120000;
+
+const METODOS_PAGO = ['tarjeta', 'transferencia', 'paypal'];
+const TIPOS_NOTIFICACION = ['email', 'sms'];
+const TIPOS_DESCUENTO = ['porcentaje', 'fijo'];
+const ESTADOS_ASIENTO = ['disponible', 'retenido', 'reservado'];
+const ESTADOS_RESERVA = ['pago_pendiente', 'confirmada', 'fallida', 'cancelando', 'cancelada'];
+const ORDENES_RESERVA = ['timestamp', '-timestamp', 'monto', '-monto'];
+const LIMITE_PAGINA_MAXIMO = 100;
+const DEMOS = ['inventario-fantasma', 'pasarela-lenta', 'diluvio-peticiones', 'condicion-carrera'];
+
+// Non-blank: at least one character that is not whitespace
+function texto(maximo) {
+  return { type: 'string', minLength: 1, maxLength: maximo, pattern: '\\S' };
+}
+
+function entero(minimo, maximo) {
+  return { type: 'integer', minimum: minimo, maximum: maximo };
+}
+
+function objeto(propiedades, requeridos = Object.keys(propiedades)) {
+  return {
+    type: 'object',
+    properties: propiedades,
+    required: requeridos,
+    additionalProperties: false
+  };
+}
+
+const UUID = { type: 'string', format: 'uuid' };
+const ID_EVENTO = { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$' };
+const USUARIO = texto(200);
+const ID_CATEGORIA = { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,31}$' };
+
+const CODIGO_PROMO = { type: 'string', pattern: '^[A-Za-z0-9_-]{3,32}$' };
+const PRECIO = { type: 'number', minimum: 0 };
+
+const ASIENTO_IDS = {
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_ASIENTOS_POR_RESERVA,
+  uniqueItems: true,
+  items: texto(100)
+};
+
+// `ofertaId` claims a waitlist offer: the seats and price category are the
+// ones it holds. `categoria` may be left out on events with a single one.
+// `precioEsperado` is the unit price the customer was shown: the booking
+// fails instead of charging any other.
+const CREAR_RESERVA = {
+  ...objeto({
+    eventoId: ID_EVENTO,
+    categoria: ID_CATEGORIA,
+    asientos: entero(1, MAX_ASIENTOS_POR_RESERVA),
+    asientoIds: ASIENTO_IDS,
+    ofertaId: UUID,
+    codigoPromo: CODIGO_PROMO,
+    precioEsperado: PRECIO,
+    usuario: USUARIO,
+    metodoPago: { enum: METODOS_PAGO }
+  }, ['eventoId']),
+  anyOf: [{ required: ['asientos'] }, { required: ['asientoIds'] }, { required: ['ofertaId'] }],
+  allOf: [
+    { not: { required: ['asientos', 'asientoIds'] } },
+    { not: { required: ['ofertaId', 'asientos'] } },
+    { not: { required: ['ofertaId', 'asientoIds'] } },
+    { not: { required: ['ofertaId', 'categoria'] } }
+  ]
+};
+
+// Any of the fields; the seats asked for replace the current ones, on the
+// event and category given or on the current ones when left out
+const MODIFICAR_RESERVA = {
+  ...objeto({
+    eventoId: ID_EVENTO,
+    categoria: ID_CATEGORIA,
+    asientos: entero(1, MAX_ASIENTOS_POR_RESERVA),
+    asientoIds: ASIENTO_IDS,
+    metodoPago: { enum: METODOS_PAGO }
+  }, []),
+  anyOf: [
+    { required: ['eventoId'] },
+    { required: ['categoria'] },
+    { required: ['asientos'] },
+    { required: ['asientoIds'] }
+  ],
+  not: { required: ['asientos', 'asientoIds'] }
+};
+
+const PARAMS_RESERVA = objeto({ id: UUID });
+
+// One item per event and price category: adding one the cart already has
+// replaces its item
+const ARTICULO_CARRITO = {
+  ...objeto({
+    eventoId: ID_EVENTO,
+    categoria: ID_CATEGORIA,
+    asientos: entero(1, MAX_ASIENTOS_POR_RESERVA),
+    asientoIds: ASIENTO_IDS
+  }, ['eventoId']),
+  anyOf: [{ required: ['asientos'] }, { required: ['asientoIds'] }],
+  not: { required: ['asientos', 'asientoIds'] }
+};
+
+// Staff may open a cart on behalf of someone else with `usuario`
+const CREAR_CARRITO = objeto({
+  articulos: { type: 'array', maxItems: MAX_ARTICULOS_CARRITO, items: ARTICULO_CARRITO },
+  usuario: USUARIO
+}, []);
+
+const PARAMS_CARRITO = objeto({ id: UUID });
+const PARAMS_ARTICULO_CARRITO = objeto({ id: UUID, articuloId: UUID });
+const PAGAR_CARRITO = objeto({ metodoPago: { enum: METODOS_PAGO } }, []);
+
+// `eventoId` is the event being scanned at the door, when the scanner knows it
+const CHECKIN = objeto({
+  codigo: texto(1000),
+  eventoId: ID_EVENTO
+}, ['codigo']);
+const PARAMS_USUARIO = objeto({ usuario: USUARIO });
+
+// `orden` is a field, descending when prefixed with "-"; `cursor` is the
+// siguienteCursor of the previous page
+const FILTROS_RESERVAS = {
+  eventoId: ID_EVENTO,
+  estado: { enum: ESTADOS_RESERVA },
+  desde: { type: 'string', format: 'date-time' },
+  hasta: { type: 'string', format: 'date-time' },
+  orden: { enum: ORDENES_RESERVA, default: '-timestamp' },
+  limite: { ...entero(1, LIMITE_PAGINA_MAXIMO), default: 20 },
+  cursor: texto(500)
+};
+
+const CONSULTA_RESERVAS = objeto({ usuario: USUARIO, ...FILTROS_RESERVAS }, []);
+const CONSULTA_RESERVAS_USUARIO = objeto(FILTROS_RESERVAS, []);
+const PARAMS_EVENTO = objeto({ eventoId: ID_EVENTO });
+const PARAMS_RETENCION = objeto({ token: UUID });
+
+const CONSULTA_ASIENTOS = objeto({
+  categoria: ID_CATEGORIA,
+  seccion: texto(50),
+  estado: { enum: ESTADOS_ASIENTO }
+}, []);
+
+// With `categoria` only seats of that price category are taken
+const TOMAR_ASIENTOS = {
+  ...objeto({
+    categoria: ID_CATEGORIA,
+    asientoIds: ASIENTO_IDS,
+    cantidad: entero(1, MAX_ASIENTOS_POR_RESERVA)
+  }, []),
+  anyOf: [{ required: ['cantidad'] }, { required: ['asientoIds'] }],
+  not: { required: ['cantidad', 'asientoIds'] }
+};
+
+const RETENER_ASIENTOS = {
+  ...TOMAR_ASIENTOS,
+  properties: {
+    ...TOMAR_ASIENTOS.properties,
+    ttlSegundos: entero(1, RETENCION_TTL_MAX_SEGUNDOS)
+  }
+};
+
+const LIBERAR_ASIENTOS = objeto({ asientoIds: ASIENTO_IDS });
+
+const PROLONGAR_RETENCION = objeto({ expiraEn: { type: 'string', format: 'date-time' } });
+// Staff may add or remove someone else with `usuario`
+const UNIRSE_LISTA_ESPERA = objeto({
+  categoria: ID_CATEGORIA,
+  cantidad: entero(1, MAX_ASIENTOS_POR_RESERVA),
+  usuario: USUARIO
+}, ['cantidad']);
+
+const CONSULTA_LISTA_ESPERA = objeto({ usuario: USUARIO }, []);
+
+const ACEPTAR_OFERTA = objeto({
+  eventoId: ID_EVENTO,
+  usuario: USUARIO,
+  ttlSegundos: entero(1, RETENCION_TTL_MAX_SEGUNDOS)
+}, ['eventoId', 'usuario']);
+
+const SECCION = objeto({
+  nombre: texto(50),
+  filas: entero(1, 500),
+  asientosPorFila: entero(1, 500)
+});
+
+// Refund tiers: cancelling at least `horasAntes` hours before the event gives
+// back `porcentaje` of the amount paid
+const TRAMO_CANCELACION = objeto({
+  horasAntes: entero(0, 8760),
+  porcentaje: { type: 'number', minimum: 0, maximum: 100 }
+});
+
+// Each price category has its own seats, from capacidad or secciones
+const CATEGORIA_PRECIO = {
+  ...objeto({
+    id: ID_CATEGORIA,
+    nombre: texto(50),
+    precio: PRECIO,
+    capacidad: entero(1, CAPACIDAD_MAXIMA),
+    secciones: { type: 'array', minItems: 1, items: SECCION }
+  }, ['id', 'nombre', 'precio']),
+  anyOf: [{ required: ['capacidad'] }, { required: ['secciones'] }],
+  not: { required: ['capacidad', 'secciones'] }
+};
+
+// Percentages on a category's price: positive raise it, negative lower it
+const AJUSTE_PRECIO = { type: 'number', exclusiveMinimum: -100, maximum: 1000 };
+
+// Optional rules moving every category's price while the event sells:
+// `escalones` apply once the share of the category still free falls to
+// `porcentajeRestante`, `demanda` once at least `asientos` seats were taken
+// in the last `ventanaMinutos`, and `anticipada` windows until `hasta`
+const PRECIOS_DINAMICOS = {
+  ...objeto({
+    escalones: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: objeto({
+        porcentajeRestante: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+        ajuste: AJUSTE_PRECIO
+      })
+    },
+    demanda: objeto({
+      ventanaMinutos: entero(1, 10080),
+      asientos: entero(1, CAPACIDAD_MAXIMA),
+      ajuste: AJUSTE_PRECIO
+    }),
+    anticipada: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: objeto({
+        hasta: { type: 'string', format: 'date-time' },
+        ajuste: AJUSTE_PRECIO
+      })
+    }
+  }, []),
+  minProperties: 1
+};
+
+// POST and PUT need the whole event: either one precio with capacidad or
+// secciones, or its categorias. PATCH (`parcial`) accepts any subset.
+function esquemaEvento({ parcial = false } = {}) {
+  const esquema = objeto({
+    id: ID_EVENTO,
+    nombre: texto(200),
+    recinto: texto(200),
+    fecha: { type: 'string', format: 'date-time' },
+    descripcion: { type: 'string', maxLength: 2000 },
+    precio: PRECIO,
+    capacidad: entero(1, CAPACIDAD_MAXIMA),
+    secciones: { type: 'array', minItems: 1, items: SECCION },
+    categorias: { type: 'array', minItems: 1, maxItems: MAX_CATEGORIAS_EVENTO, items: CATEGORIA_PRECIO },
+    politicaCancelacion: { type: 'array', minItems: 1, maxItems: 10, items: TRAMO_CANCELACION },
+    preciosDinamicos: PRECIOS_DINAMICOS
+  }, parcial ? [] : ['nombre', 'recinto', 'fecha']);
+
+  return {
+    ...esquema,
+    allOf: [
+      ...(parcial ? [] : [
+        { anyOf: [{ required: ['capacidad'] }, { required: ['secciones'] }, { required: ['categorias'] }] },
+        { anyOf: [{ required: ['precio'] }, { required: ['categorias'] }] }
+      ]),
+      { not: { required: ['capacidad', 'secciones'] } },
+      { not: { required: ['categorias', 'capacidad'] } },
+      { not: { required: ['categorias', 'secciones'] } },
+      { not: { required: ['categorias', 'precio'] } }
+    ]
+  };
+}
+
+const EVENTO = esquemaEvento();
+const EVENTO_PARCIAL = esquemaEvento({ parcial: true });
+
+const MONTO = { type: 'number', exclusiveMinimum: 0 };
+
+// Without eventoId the code applies to every event; without limits it can be
+// used any number of times
+const PROMOCION = objeto({
+  codigo: CODIGO_PROMO,
+  descripcion: { type: 'string', maxLength: 500 },
+  tipo: { enum: TIPOS_DESCUENTO },
+  valor: MONTO,
+  eventoId: ID_EVENTO,
+  validaDesde: { type: 'string', format: 'date-time' },
+  validaHasta: { type: 'string', format: 'date-time' },
+  limiteTotal: entero(1, 1000000),
+  limitePorUsuario: entero(1, 1000)
+}, ['codigo', 'tipo', 'valor']);
+
+const PARAMS_PROMOCION = objeto({ codigo: CODIGO_PROMO });
+
+// `referencia` tells apart several charges of the same reservation
+const PROCESAR_PAGO = objeto({
+  reservaId: UUID,
+  monto: MONTO,
+  metodoPago: { enum: METODOS_PAGO },
+  usuario: USUARIO,
+  referencia: texto(100)
+}, ['reservaId', 'monto', 'metodoPago', 'usuario']);
+
+const REEMBOLSAR_PAGO = objeto({
+  transaccionId: UUID,
+  monto: MONTO,
+  motivo: texto(500)
+}, ['transaccionId']);
+
+const PARAMS_TRANSACCION = objeto({ transaccionId: UUID });
+const PARAMS_PAGOS_RESERVA = objeto({ reservaId: UUID });
+
+const ENVIAR_NOTIFICACION = objeto({
+  tipo: { enum: TIPOS_NOTIFICACION },
+  destinatario: USUARIO,
+  asunto: texto(200),
+  mensaje: texto(5000),
+  reservaId: UUID
+}, ['tipo', 'destinatario', 'mensaje']);
+
+const SIMULACION_FALLO = objeto({ activar: { type: 'boolean' } });
+
+const SIMULACION_LATENCIA = objeto({
+  activar: { type: 'boolean' },
+  latenciaMs: entero(0, LATENCIA_MAXIMA_MS)
+}, ['activar']);
+
+const CONFIGURAR_EVENTO = objeto({
+  eventoId: ID_EVENTO,
+  asientos: entero(1, CAPACIDAD_MAXIMA)
+});
+
+const PARAMS_DEMO = objeto({ demoName: { enum: DEMOS } });
+
+const PARAMETROS_DEMO = objeto({
+  eventoId: ID_EVENTO,
+  asientos: entero(1, MAX_ASIENTOS_POR_RESERVA),
+  usuarios: entero(1, 200),
+  asientosDisponibles: entero(1, 5)
+}, []);
+
+module.exports = {
+  MAX_ASIENTOS_POR_RESERVA,
+  MAX_ARTICULOS_CARRITO,
+  CAPACIDAD_MAXIMA,
+  METODOS_PAGO,
+  CREAR_RESERVA,
+  MODIFICAR_RESERVA,
+  PARAMS_RESERVA,
+  ARTICULO_CARRITO,
+  CREAR_CARRITO,
+  PARAMS_CARRITO,
+  PARAMS_ARTICULO_CARRITO,
+  PAGAR_CARRITO,
+  CHECKIN,
+  PARAMS_USUARIO,
+  CONSULTA_RESERVAS,
+  CONSULTA_RESERVAS_USUARIO,
+  PARAMS_EVENTO,
+  PARAMS_RETENCION,
+  CONSULTA_ASIENTOS,
+  TOMAR_ASIENTOS,
+  RETENER_ASIENTOS,
+  LIBERAR_ASIENTOS,
+  PROLONGAR_RETENCION,
+  UNIRSE_LISTA_ESPERA,
+  CONSULTA_LISTA_ESPERA,
+  ACEPTAR_OFERTA,
+  EVENTO,
+  EVENTO_PARCIAL,
+  PROMOCION,
+  PARAMS_PROMOCION,
+  PROCESAR_PAGO,
+  REEMBOLSAR_PAGO,
+  PARAMS_TRANSACCION,
+  PARAMS_PAGOS_RESERVA,
+  ENVIAR_NOTIFICACION,
+  SIMULACION_FALLO,
+  SIMULACION_LATENCIA,
+  CONFIGURAR_EVENTO,
+  PARAMS_DEMO,
+  PARAMETROS_DEMO
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CABECERA_IDEMPOTENCIA = 'Idempotency-Key';
+const METODOS_MUTANTES = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const LONGITUD_MAXIMA_CLAVE = 255;
+const INTERVALO_ESPERA_MS = 200;
+
+const ESTADOS = {
+  EN_CURSO: 'en_curso',
+  COMPLETADA: 'completada'
+};
+
+class RegistroRedis {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  disponible() {
+    return this.redis.status === 'ready';
+  }
+
+  async reservar(clave, entrada, ttlMs) {
+    const resultado = await this.redis.set(clave, JSON.stringify(entrada), 'PX', ttlMs, 'NX');
+    return resultado === 'OK';
+  }
+
+  async obtener(clave) {
+    const entrada = await this.redis.get(clave);
+    return entrada ? JSON.parse(entrada) : null;
+  }
+
+  async guardar(clave, entrada, ttlMs) {
+    await this.redis.set(clave, JSON.stringify(entrada), 'PX', ttlMs);
+  }
+
+  async eliminar(clave) {
+    await this.redis.del(clave);
+  }
+}
+
+class RegistroMemoria {
+  constructor() {
+    this.entradas = new Map();
+  }
+
+  disponible() {
+    return true;
+  }
+
+  async reservar(clave, entrada, ttlMs) {
+    if (await this.obtener(clave)) {
+      return false;
+    }
+    await this.guardar(clave, entrada, ttlMs);
+    return true;
+  }
+
+  async obtener(clave) {
+    const registro = this.entradas.get(clave);
+    if (!registro) {
+      return null;
+    }
+    if (registro.expiraEn <= Date.now()) {
+      this.entradas.delete(clave);
+      return null;
+    }
+    return registro.entrada;
+  }
+
+  async guardar(clave, entrada, ttlMs) {
+    this.entradas.set(clave, { entrada, expiraEn: Date.now() + ttlMs });
+  }
+
+  async eliminar(clave) {
+    this.entradas.delete(clave);
+  }
+
+  purgar() {
+    const ahora = Date.now();
+    for (const [clave, registro] of this.entradas) {
+      if (registro.expiraEn <= ahora) {
+        this.entradas.delete(clave);
+      }
+    }
+  }
+}
+
+function huellaPeticion(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || null]))
+    .digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Express middleware for mutating requests that carry an Idempotency-Key.
+// The first request with a key runs normally and its response is stored; a
+// duplicate gets that response back with `Idempotent-Replayed: true`, and a
+// duplicate that arrives while the first is still running waits for it. The
+// same key with a different method, path or body is answered with 409.
+// Responses that do not settle the outcome (5xx, or any response that asks
+// the caller to come back with Retry-After) are not stored, so a retry runs again.
+// The in-progress marker expires on its own after `enCursoMs` in case the
+// process dies before answering. With `porUsuario` keys are scoped to the
+// authenticated caller, so two clients cannot collide on (or read) each
+// other's keys; internal services leave it off because their keys are
+// derived from the reservation and must match whoever retries the call.
+function idempotencia({
+  redis = null,
+  servicio,
+  ttlSegundos = 86400,
+  enCursoMs = 120000,
+  esperaMaximaMs = 10000,
+  porUsuario = false
+} = {}) {
+  const memoria = new RegistroMemoria();
+  const enRedis = redis ? new RegistroRedis(redis) : null;
+  const ttlMs = ttlSegundos * 1000;
+
+  setInterval(() => memoria.purgar(), 60 * 1000).unref();
+
+  async function conRegistro(operacion) {
+    if (enRedis && enRedis.disponible()) {
+      try {
+        return await operacion(enRedis);
+      } catch (error) {
+        logger.warn(`Redis error in idempotency store: ${error.message}. Using in-memory storage.`);
+      }
+    }
+    return operacion(memoria);
+  }
+
+  return async (req, res, next) => {
+    const claveCliente = req.get(CABECERA_IDEMPOTENCIA);
+
+    if (!claveCliente || !METODOS_MUTANTES.includes(req.method)) {
+      return next();
+    }
+
+    if (claveCliente.length > LONGITUD_MAXIMA_CLAVE) {
+      return res.status(400).json({
+        error: `${CABECERA_IDEMPOTENCIA} must be at most ${LONGITUD_MAXIMA_CLAVE} characters`
+      });
+    }
+
+    const ambito = porUsuario && req.identidad ? `${req.identidad.usuario}:` : '';
+    const clave = `idempotencia:${servicio}:${ambito}${claveCliente}`;
+    const huella = huellaPeticion(req);
+    const inicio = Date.now();
+
+    try {
+      for (;;) {
+        const reservada = await conRegistro(r => r.reservar(clave, { estado: ESTADOS.EN_CURSO, huella }, enCursoMs));
+        if (reservada) {
+          break;
+        }
+
+        const previa = await conRegistro(r => r.obtener(clave));
+        if (!previa) {
+          continue;
+        }
+
+        if (previa.huella !== huella) {
+          logger.warn(`Idempotency-Key ${claveCliente} reused with a different request on ${req.method} ${req.originalUrl}`);
+          return res.status(409).json({
+            error: 'Idempotency-Key reused with a different request',
+            message: 'This key was already used with a different method, path or body. Use a new key for a new request.',
+            idempotencyKey: claveCliente
+          });
+        }
+
+        if (previa.estado === ESTADOS.COMPLETADA) {
+          logger.info(`Idempotency-Key ${claveCliente}: replaying stored ${previa.status} response`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(previa.status).json(previa.cuerpo);
+        }
+
+        if (Date.now() - inicio >= esperaMaximaMs) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            error: 'Request with this Idempotency-Key is still being processed',
+            idempotencyKey: claveCliente
+          });
+        }
+
+        await sleep(INTERVALO_ESPERA_MS);
+      }
+    } catch (error) {
+      logger.error(`Idempotency store unavailable: ${error.message}`);
+      return next();
+    }
+
+    let respondida = false;
+    const json = res.json.bind(res);
+
+    res.json = (cuerpo) => {
+      respondida = true;
+      const status = res.statusCode;
+      const definitiva = status < 500 && status !== 429 && !res.get('Retry-After');
+
+      const registro = definitiva
+        ? conRegistro(r => r.guardar(clave, { estado: ESTADOS.COMPLETADA, huella, status, cuerpo }, ttlMs))
+        : conRegistro(r => r.eliminar(clave));
+
+      registro
+        .catch(error => logger.error(`Could not record idempotent response for ${claveCliente}: ${error.message}`))
+        .then(() => json(cuerpo));
+
+      return res;
+    };
+
+    // 'finish' rather than 'close': a caller that gives up waiting must not
+    // clear the marker while this request is still running
+    res.on('finish', () => {
+      if (!respondida) {
+        conRegistro(r => r.eliminar(clave)).catch(() => {});
+      }
+    });
+
+    next();
+  };
+}
+
+function conClaveIdempotencia(clave, config = {}) {
+  if (!clave) {
+    return config;
+  }
+  return {
+    ...config,
+    headers: { ...(config.headers || {}), [CABECERA_IDEMPOTENCIA]: clave }
+  };
+}
+
+function tieneClaveIdempotencia(headers = {}) {
+  const nombre = CABECERA_IDEMPOTENCIA.toLowerCase();
+  return Object.keys(headers).some(cabecera => cabecera.toLowerCase() === nombre);
+}
+
+module.exports = {
+  CABECERA_IDEMPOTENCIA,
+  idempotencia,
+  conClaveIdempotencia,
+  tieneClaveIdempotencia
+};
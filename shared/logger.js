@@ -1,9 +1,21 @@
 const winston = require('winston');
+const { obtenerContexto } = require('./trazas');
+
+// Stamps every line with the correlation and trace IDs of the request being served
+const contextoTraza = winston.format((info) => {
+  const contexto = obtenerContexto();
+  if (contexto) {
+    info.correlationId = contexto.correlationId;
+    info.traceId = contexto.traceId;
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    contextoTraza(),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
     winston.format.json()
@@ -13,8 +25,9 @@ const logger = winston.createLogger({
     new winston.transports.Console({
       format: winston.format.combine(
         winston.format.colorize(),
-        winston.format.printf(({ level, message, timestamp, service, ...metadata }) => {
-          let msg = `${timestamp} [${service}] ${level}: ${message}`;
+        winston.format.printf(({ level, message, timestamp, service, correlationId, traceId, ...metadata }) => {
+          const correlacion = correlationId ? ` [${correlationId}]` : '';
+          let msg = `${timestamp} [${service}]${correlacion} ${level}: ${message}`;
           if (Object.keys(metadata).length > 0) {
             msg += ` ${JSON.stringify(metadata)}`;
           }
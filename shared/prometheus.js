@@ -0,0 +1,128 @@
+const client = require('prom-client');
+
+const ESTADO_BREAKER = {
+  CLOSED: 0,
+  HALF_OPEN: 1,
+  OPEN: 2
+};
+
+const EVENTOS_BREAKER = ['success', 'failure', 'timeout', 'reject', 'fallback', 'open', 'halfOpen', 'close'];
+
+const breakers = new Set();
+const bulkheads = new Set();
+
+const duracionHttp = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state: 0 closed, 1 half-open, 2 open',
+  labelNames: ['breaker'],
+  collect() {
+    this.reset();
+    for (const breaker of breakers) {
+      const estado = breaker.opened ? ESTADO_BREAKER.OPEN
+        : breaker.halfOpen ? ESTADO_BREAKER.HALF_OPEN
+        : ESTADO_BREAKER.CLOSED;
+      this.set({ breaker: breaker.name }, estado);
+    }
+  }
+});
+
+const eventosBreaker = new client.Counter({
+  name: 'circuit_breaker_events_total',
+  help: 'Circuit breaker events by type',
+  labelNames: ['breaker', 'event']
+});
+
+new client.Gauge({
+  name: 'circuit_breaker_latency_mean_milliseconds',
+  help: 'Mean latency of the calls in the breaker rolling window',
+  labelNames: ['breaker'],
+  collect() {
+    this.reset();
+    for (const breaker of breakers) {
+      this.set({ breaker: breaker.name }, breaker.stats.latencyMean || 0);
+    }
+  }
+});
+
+function gaugeBulkhead(name, help, valor) {
+  return new client.Gauge({
+    name,
+    help,
+    labelNames: ['bulkhead'],
+    collect() {
+      this.reset();
+      for (const bulkhead of bulkheads) {
+        this.set({ bulkhead: bulkhead.name }, valor(bulkhead));
+      }
+    }
+  });
+}
+
+gaugeBulkhead('bulkhead_concurrent_requests', 'Requests currently running inside the bulkhead', b => b.currentConcurrent);
+gaugeBulkhead('bulkhead_max_concurrent', 'Maximum concurrent requests allowed by the bulkhead', b => b.maxConcurrent);
+gaugeBulkhead('bulkhead_queue_depth', 'Requests waiting for a bulkhead slot', b => b.queue.length);
+
+function registrarCircuitBreaker(breaker) {
+  breakers.add(breaker);
+  for (const evento of EVENTOS_BREAKER) {
+    breaker.on(evento, () => eventosBreaker.inc({ breaker: breaker.name, event: evento }));
+  }
+}
+
+function registrarBulkhead(bulkhead) {
+  bulkheads.add(bulkhead);
+}
+
+// Only services that use Redis expose the gauge
+function registrarEstadoRedis(conectado) {
+  new client.Gauge({
+    name: 'redis_connected',
+    help: 'Whether the service is connected to Redis (1) or running on its fallback (0)',
+    collect() {
+      this.set(conectado() ? 1 : 0);
+    }
+  });
+}
+
+// Mounts GET /metrics/prometheus and times every request that comes after it.
+// Call it before any middleware that can short-circuit requests (simulated
+// failures, rate limiting) so those responses are measured and scraping keeps
+// working while they are active.
+function montarMetricas(app, servicio) {
+  client.register.setDefaultLabels({ service: servicio });
+  client.collectDefaultMetrics();
+
+  app.get('/metrics/prometheus', async (req, res) => {
+    res.set('Content-Type', client.register.contentType);
+    res.end(await client.register.metrics());
+  });
+
+  app.use((req, res, next) => {
+    const terminar = duracionHttp.startTimer();
+
+    res.on('finish', () => {
+      terminar({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)',
+        status_code: res.statusCode
+      });
+    });
+
+    next();
+  });
+}
+
+module.exports = {
+  client,
+  montarMetricas,
+  registrarCircuitBreaker,
+  registrarBulkhead,
+  registrarEstadoRedis
+};
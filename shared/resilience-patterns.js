@@ -1,6 +1,12 @@
+const { AsyncResource } = require('async_hooks');
 const CircuitBreaker = require('opossum');
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const { conClaveIdempotencia, tieneClaveIdempotencia } = require('./idempotencia');
+const { registrarCircuitBreaker, registrarBulkhead } = require('./prometheus');
+const { conSpan, cabecerasTraza } = require('./trazas');
+const { cabeceraIdentidad } = require('./autenticacion');
 
 function createCircuitBreaker(fn, options = {}) {
   const defaultOptions = {
@@ -13,6 +19,7 @@ function createCircuitBreaker(fn, options = {}) {
 
   const config = { ...defaultOptions, ...options };
   const breaker = new CircuitBreaker(fn, config);
+  registrarCircuitBreaker(breaker);
 
   breaker.on('open', () => {
     logger.warn(`Circuit breaker OPEN: ${config.name} - Too many failures detected`);
@@ -39,7 +46,8 @@ async function retryWithBackoff(fn, options = {}) {
     initialDelay = 1000,
     maxDelay = 10000,
     factor = 2,
-    name = 'retry-operation'
+    name = 'retry-operation',
+    shouldRetry = () => true
   } = options;
 
   let lastError;
@@ -51,6 +59,10 @@ async function retryWithBackoff(fn, options = {}) {
     } catch (error) {
       lastError = error;
       
+      if (!shouldRetry(error)) {
+        throw error;
+      }
+      
       if (attempt < maxRetries) {
         const delay = Math.min(initialDelay * Math.pow(factor, attempt), maxDelay);
         logger.warn(`Attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms`);
@@ -69,14 +81,17 @@ class Bulkhead {
     this.name = name;
     this.currentConcurrent = 0;
     this.queue = [];
+    registrarBulkhead(this);
   }
 
   async execute(fn) {
     if (this.currentConcurrent >= this.maxConcurrent) {
       logger.warn(`Bulkhead SATURATED: ${this.name} (${this.currentConcurrent}/${this.maxConcurrent}) - Queueing request`);
       
+      // Bound so the queued call runs in its own request's trace context, not
+      // in the one of the request that frees the slot
       return new Promise((resolve, reject) => {
-        this.queue.push({ fn, resolve, reject });
+        this.queue.push({ fn: AsyncResource.bind(fn), resolve, reject });
       });
     }
 
@@ -104,6 +119,20 @@ class Bulkhead {
   }
 }
 
+// A 4xx means the downstream service is healthy and rejected the request on
+// its merits: retrying cannot change the answer and it must not trip the breaker.
+function isClientError(error) {
+  const status = error.response && error.response.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function estadoBreaker(breaker) {
+  if (breaker.opened) {
+    return 'OPEN';
+  }
+  return breaker.halfOpen ? 'HALF_OPEN' : 'CLOSED';
+}
+
 function createResilientHttpClient(baseURL, options = {}) {
   const {
     timeout = 5000,
@@ -117,35 +146,72 @@ function createResilientHttpClient(baseURL, options = {}) {
   });
 
   const breakerName = `http-${baseURL}`;
+
+  // One client span per attempt, so retries show up in the trace. Trace
+  // context and the caller's identity travel with every call.
+  function peticionTrazada(config) {
+    const metodo = config.method.toUpperCase();
+    const atributos = { 'http.method': metodo, 'http.url': `${baseURL}${config.url}` };
+
+    return conSpan(`${metodo} ${config.url}`, { tipo: 'client', atributos }, async () => {
+      try {
+        const respuesta = await client.request({
+          ...config,
+          headers: { ...config.headers, ...cabecerasTraza(), ...cabeceraIdentidad() }
+        });
+        atributos['http.status_code'] = respuesta.status;
+        return respuesta;
+      } catch (error) {
+        if (error.response) {
+          atributos['http.status_code'] = error.response.status;
+        }
+        throw error;
+      }
+    });
+  }
   
   const breaker = createCircuitBreaker(
     async (config) => {
       return await retryWithBackoff(
-        () => client.request(config),
+        () => peticionTrazada(config),
         {
           maxRetries: retries,
-          name: `${breakerName}-${config.method}-${config.url}`
+          name: `${breakerName}-${config.method}-${config.url}`,
+          shouldRetry: (error) => !isClientError(error)
         }
       );
     },
     {
+      errorFilter: isClientError,
       ...breakerOptions,
       name: breakerName
     }
   );
 
+  // The key is fixed before the first attempt, so every retry of the same
+  // call carries it and the downstream service applies the write only once
+  function mutante(config) {
+    if (tieneClaveIdempotencia(config.headers)) {
+      return config;
+    }
+    return conClaveIdempotencia(uuidv4(), config);
+  }
+
   return {
     async get(url, config = {}) {
       return breaker.fire({ method: 'get', url, ...config });
     },
     async post(url, data, config = {}) {
-      return breaker.fire({ method: 'post', url, data, ...config });
+      return breaker.fire({ method: 'post', url, data, ...mutante(config) });
     },
     async put(url, data, config = {}) {
-      return breaker.fire({ method: 'put', url, data, ...config });
+      return breaker.fire({ method: 'put', url, data, ...mutante(config) });
+    },
+    async patch(url, data, config = {}) {
+      return breaker.fire({ method: 'patch', url, data, ...mutante(config) });
     },
     async delete(url, config = {}) {
-      return breaker.fire({ method: 'delete', url, ...config });
+      return breaker.fire({ method: 'delete', url, ...mutante(config) });
     },
     breaker
   };
@@ -160,5 +226,7 @@ module.exports = {
   retryWithBackoff,
   Bulkhead,
   createResilientHttpClient,
+  isClientError,
+  estadoBreaker,
   sleep
 };
@@ -0,0 +1,261 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const CABECERA_CORRELACION = 'X-Correlation-ID';
+const CABECERA_TRACEPARENT = 'traceparent';
+const CABECERA_TRAZA = 'X-Trace-Id';
+
+const MAX_TRAZAS = parseInt(process.env.TRAZAS_MAX || '1000', 10);
+const MAX_SPANS_POR_TRAZA = 500;
+
+const FORMATO_TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const FORMATO_CORRELACION = /^[\w.:-]{1,128}$/;
+const SIN_VALOR = /^0+$/;
+const FLAG_MUESTREADO = 0x01;
+
+// Probes, scrapes and trace lookups still get a context (their log lines carry
+// the correlation ID) but record no spans, and neither do the calls they make
+const NO_TRAZAR = /^\/(api\/)?(health|metrics|traces)(\/|$)/;
+
+const almacenamiento = new AsyncLocalStorage();
+const trazas = new Map();
+const trazasPorCorrelacion = new Map();
+let servicioActual = 'sistema-reservas';
+
+function idAleatorio(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function leerTraceparent(valor) {
+  const partes = FORMATO_TRACEPARENT.exec(String(valor || '').trim().toLowerCase());
+  if (!partes) {
+    return null;
+  }
+
+  const [, version, traceId, parentId, flags] = partes;
+  if (version === 'ff' || SIN_VALOR.test(traceId) || SIN_VALOR.test(parentId)) {
+    return null;
+  }
+
+  return {
+    traceId,
+    parentId,
+    muestreado: (parseInt(flags, 16) & FLAG_MUESTREADO) === FLAG_MUESTREADO
+  };
+}
+
+function formatearTraceparent(traceId, spanId, muestreado) {
+  return `00-${traceId}-${spanId}-${muestreado ? '01' : '00'}`;
+}
+
+function obtenerContexto() {
+  return almacenamiento.getStore();
+}
+
+function recortar(mapa, maximo) {
+  while (mapa.size > maximo) {
+    mapa.delete(mapa.keys().next().value);
+  }
+}
+
+// Traces are kept in memory, oldest evicted first once MAX_TRAZAS is reached
+function guardarSpan(span) {
+  if (!trazas.has(span.traceId)) {
+    trazas.set(span.traceId, []);
+    recortar(trazas, MAX_TRAZAS);
+  }
+
+  const spans = trazas.get(span.traceId);
+  if (spans.length < MAX_SPANS_POR_TRAZA) {
+    spans.push(span);
+  }
+
+  if (!trazasPorCorrelacion.has(span.correlationId)) {
+    trazasPorCorrelacion.set(span.correlationId, new Set());
+    recortar(trazasPorCorrelacion, MAX_TRAZAS);
+  }
+  trazasPorCorrelacion.get(span.correlationId).add(span.traceId);
+}
+
+function iniciarSpan(padre, nombre, tipo, atributos = {}) {
+  return {
+    traceId: padre.traceId,
+    spanId: idAleatorio(8),
+    parentSpanId: padre.spanId || null,
+    nombre,
+    tipo,
+    servicio: servicioActual,
+    correlationId: padre.correlationId,
+    inicio: new Date().toISOString(),
+    inicioPrecision: performance.now(),
+    atributos
+  };
+}
+
+function terminarSpan(span, contexto, error) {
+  span.duracionMs = Math.round((performance.now() - span.inicioPrecision) * 10) / 10;
+  delete span.inicioPrecision;
+  span.estado = error ? 'error' : 'ok';
+  if (error) {
+    span.error = error;
+  }
+
+  if (contexto.muestreado) {
+    guardarSpan(span);
+  }
+}
+
+// Runs `fn(span)` inside a child span of the current context, so calls made
+// from it propagate the child as their parent. Without a context (timers,
+// startup recovery) the span starts a new trace.
+async function conSpan(nombre, { tipo = 'internal', atributos = {} } = {}, fn) {
+  const padre = obtenerContexto() || {
+    correlationId: uuidv4(),
+    traceId: idAleatorio(16),
+    spanId: null,
+    muestreado: true
+  };
+  const span = iniciarSpan(padre, nombre, tipo, atributos);
+  const contexto = { ...padre, spanId: span.spanId };
+
+  try {
+    const resultado = await almacenamiento.run(contexto, () => fn(span));
+    terminarSpan(span, contexto);
+    return resultado;
+  } catch (error) {
+    terminarSpan(span, contexto, error.message);
+    throw error;
+  }
+}
+
+function cabecerasTraza() {
+  const contexto = obtenerContexto();
+  if (!contexto || !contexto.spanId) {
+    return {};
+  }
+
+  return {
+    [CABECERA_CORRELACION]: contexto.correlationId,
+    [CABECERA_TRACEPARENT]: formatearTraceparent(contexto.traceId, contexto.spanId, contexto.muestreado)
+  };
+}
+
+// A serializable pointer to the current span, for work that outlives the
+// request (persisted sagas) and must be resumed later under the same trace
+function referenciaTraza() {
+  const cabeceras = cabecerasTraza();
+  if (!cabeceras[CABECERA_TRACEPARENT]) {
+    return null;
+  }
+
+  return {
+    correlationId: cabeceras[CABECERA_CORRELACION],
+    traceparent: cabeceras[CABECERA_TRACEPARENT]
+  };
+}
+
+function enTraza(referencia, fn) {
+  const padre = referencia && leerTraceparent(referencia.traceparent);
+  if (!padre) {
+    return fn();
+  }
+
+  return almacenamiento.run({
+    correlationId: referencia.correlationId,
+    traceId: padre.traceId,
+    spanId: padre.parentId,
+    muestreado: padre.muestreado
+  }, fn);
+}
+
+function buscarSpans(id) {
+  const traceIds = trazas.has(id.toLowerCase())
+    ? [id.toLowerCase()]
+    : Array.from(trazasPorCorrelacion.get(id) || []).filter(traceId => trazas.has(traceId));
+
+  return traceIds.flatMap(traceId => trazas.get(traceId));
+}
+
+function middlewareTrazas() {
+  return (req, res, next) => {
+    const entrante = leerTraceparent(req.get(CABECERA_TRACEPARENT));
+    const correlacion = req.get(CABECERA_CORRELACION);
+    const padre = {
+      correlationId: FORMATO_CORRELACION.test(correlacion || '') ? correlacion : uuidv4(),
+      traceId: entrante ? entrante.traceId : idAleatorio(16),
+      spanId: entrante ? entrante.parentId : null
+    };
+
+    const span = iniciarSpan(padre, `${req.method} ${req.path}`, 'server', {
+      'http.method': req.method,
+      'http.target': req.originalUrl
+    });
+    const contexto = {
+      correlationId: padre.correlationId,
+      traceId: padre.traceId,
+      spanId: span.spanId,
+      muestreado: (entrante ? entrante.muestreado : true) && !NO_TRAZAR.test(req.path)
+    };
+
+    res.set(CABECERA_CORRELACION, contexto.correlationId);
+    res.set(CABECERA_TRAZA, contexto.traceId);
+
+    res.on('finish', () => {
+      if (req.route) {
+        span.nombre = `${req.method} ${req.baseUrl}${req.route.path}`;
+        span.atributos['http.route'] = `${req.baseUrl}${req.route.path}`;
+      }
+      span.atributos['http.status_code'] = res.statusCode;
+      terminarSpan(span, contexto, res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null);
+    });
+
+    almacenamiento.run(contexto, next);
+  };
+}
+
+// Mounts GET /traces/:id, which accepts a trace ID or a correlation ID, and
+// opens a server span for every request that comes after it. Mount it after
+// the body parser so the context survives into the route handlers. `fuentes`
+// are base URLs of other services whose spans are merged into the answer.
+function montarTrazas(app, servicio, { fuentes = [] } = {}) {
+  servicioActual = servicio;
+
+  app.use(middlewareTrazas());
+
+  app.get('/traces/:id', async (req, res) => {
+    const { id } = req.params;
+    const remotos = await Promise.all(fuentes.map(url =>
+      axios.get(`${url}/traces/${encodeURIComponent(id)}`, { timeout: 2000 })
+        .then(respuesta => respuesta.data.spans)
+        .catch(() => [])
+    ));
+
+    const spans = [...buscarSpans(id), ...remotos.flat()]
+      .sort((a, b) => Date.parse(a.inicio) - Date.parse(b.inicio));
+
+    if (spans.length === 0) {
+      return res.status(404).json({ error: 'Trace not found', id });
+    }
+
+    res.json({
+      id,
+      traceIds: Array.from(new Set(spans.map(span => span.traceId))),
+      servicios: Array.from(new Set(spans.map(span => span.servicio))),
+      spans
+    });
+  });
+}
+
+module.exports = {
+  CABECERA_CORRELACION,
+  CABECERA_TRACEPARENT,
+  montarTrazas,
+  obtenerContexto,
+  conSpan,
+  cabecerasTraza,
+  referenciaTraza,
+  enTraza
+};
@@ -0,0 +1,116 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const logger = require('./logger');
+
+const UBICACIONES = ['params', 'query', 'body'];
+
+function crearAjv(opciones = {}) {
+  const ajv = new Ajv({ allErrors: true, verbose: true, strictTypes: false, ...opciones });
+  addFormats(ajv);
+  return ajv;
+}
+
+// Route params and query strings always arrive as text, so their validator
+// coerces "5" into 5 (and writes it back). Bodies are JSON and must already
+// carry the right types.
+const ajvCuerpo = crearAjv();
+const ajvTexto = crearAjv({ coerceTypes: true });
+
+function campoError(ubicacion, error) {
+  const ruta = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(parte => (/^\d+$/.test(parte) ? `[${parte}]` : `.${parte}`))
+    .join('');
+
+  if (error.keyword === 'required') {
+    return `${ubicacion}${ruta}.${error.params.missingProperty}`;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `${ubicacion}${ruta}.${error.params.additionalProperty}`;
+  }
+  return `${ubicacion}${ruta}`;
+}
+
+function camposRequeridos(esquemas) {
+  return esquemas.flatMap(esquema => esquema.required || []);
+}
+
+// `anyOf` and `not` are only used for "one of these fields" rules, so their
+// messages are built from the fields the branches require
+function mensajeError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'pattern':
+      return error.params.pattern === '\\S' ? 'must not be blank' : error.message;
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'anyOf':
+      return `must include one of: ${camposRequeridos(error.schema).join(', ')}`;
+    case 'not':
+      return `cannot include both ${camposRequeridos([error.schema]).join(' and ')}`;
+    default:
+      return error.message;
+  }
+}
+
+// Errors inside anyOf branches only repeat what the anyOf error already says
+function detallesErrores(ubicacion, errores) {
+  return errores
+    .filter(error => !error.schemaPath.includes('/anyOf/'))
+    .map(error => ({ campo: campoError(ubicacion, error), mensaje: mensajeError(error) }));
+}
+
+function responderInvalido(res, detalles) {
+  return res.status(400).json({ error: 'Invalid request', detalles });
+}
+
+// Validates `params`, `query` and `body` against the JSON Schemas given and
+// answers 400 with every field error at once. Schemas are compiled when the
+// route is declared, so a broken schema fails at startup. They are also kept on
+// the middleware, which is how the gateway's OpenAPI document finds them.
+function validar(esquemas) {
+  const validadores = UBICACIONES
+    .filter(ubicacion => esquemas[ubicacion])
+    .map(ubicacion => ({
+      ubicacion,
+      validador: (ubicacion === 'body' ? ajvCuerpo : ajvTexto).compile(esquemas[ubicacion])
+    }));
+
+  const middleware = (req, res, next) => {
+    const detalles = [];
+
+    for (const { ubicacion, validador } of validadores) {
+      if (!validador(req[ubicacion])) {
+        detalles.push(...detallesErrores(ubicacion, validador.errors));
+      }
+    }
+
+    if (detalles.length > 0) {
+      logger.warn(`Validation failed on ${req.method} ${req.originalUrl}: ${detalles.map(d => `${d.campo} ${d.mensaje}`).join('; ')}`);
+      return responderInvalido(res, detalles);
+    }
+    next();
+  };
+  middleware.esquemas = esquemas;
+  return middleware;
+}
+
+// Mount right after express.json() so a malformed body gets the same 400 as
+// any other invalid request instead of reaching the generic error handler
+function rechazarJsonInvalido(err, req, res, next) {
+  if (err.type !== 'entity.parse.failed') {
+    return next(err);
+  }
+  logger.warn(`Malformed JSON body on ${req.method} ${req.originalUrl}`);
+  responderInvalido(res, [{ campo: 'body', mensaje: 'must be valid JSON' }]);
+}
+
+module.exports = {
+  validar,
+  responderInvalido,
+  rechazarJsonInvalido
+};
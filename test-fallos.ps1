@@ -83,7 +83,7 @@ Write-Host "=========================================" -ForegroundColor Cyan
 
 Write-Host "Activando latencia de 20 segundos..." -ForegroundColor Yellow
 $body = @{ activar = $true } | ConvertTo-Json
-Invoke-RestMethod -Uri "http://localhost:3003/admin/simular-latencia" -Method POST -Body $body -ContentType "application/json"
+Invoke-RestMethod -Uri "http://localhost:3000/api/admin/simular-latencia" -Method POST -Headers @{"X-API-Key"="dev-admin-key"} -Body $body -ContentType "application/json"
 
 Write-Host "`nCreando reserva (timeout deberia activarse en 5s)..." -ForegroundColor Yellow
 $reservaBody = @{
@@ -94,7 +94,7 @@ $reservaBody = @{
 
 $startTime = Get-Date
 try {
-    $response = Invoke-RestMethod -Uri "http://localhost:3000/api/reservas" -Method POST -Body $reservaBody -ContentType "application/json" -TimeoutSec 15
+    $response = Invoke-RestMethod -Uri "http://localhost:3000/api/reservas" -Method POST -Headers @{"X-API-Key"="dev-admin-key"} -Body $reservaBody -ContentType "application/json" -TimeoutSec 15
 } catch {
     $elapsed = (Get-Date) - $startTime
     Write-Host "Timeout detectado en $($elapsed.TotalSeconds) segundos (esperado)" -ForegroundColor Yellow
@@ -102,7 +102,7 @@ try {
 
 Write-Host "`nDesactivando latencia..." -ForegroundColor Yellow
 $body = @{ activar = $false } | ConvertTo-Json
-Invoke-RestMethod -Uri "http://localhost:3003/admin/simular-latencia" -Method POST -Body $body -ContentType "application/json"
+Invoke-RestMethod -Uri "http://localhost:3000/api/admin/simular-latencia" -Method POST -Headers @{"X-API-Key"="dev-admin-key"} -Body $body -ContentType "application/json"
 
 # PASO 5: FALLO #3 - Apagar Redis
 Write-Host "`n=========================================" -ForegroundColor Cyan